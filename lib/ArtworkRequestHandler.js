@@ -0,0 +1,91 @@
+/**
+ * Artwork request handler; retrieves the artwork of an item (stream), an album or a playlist of the DAAP server and
+ * is a callback for {DaapHttpClient#execute(request)}.
+ * <p>
+ * The artwork is described by the following JSON format:
+ * <ul>
+ * <li>type : the content type of the image, e.g. image/jpeg
+ * <li>data : the bytes of the image as an {ArrayBuffer}
+ * </ul>
+ * The callback is called with <code>null</code> if the server has no artwork for the target.
+ *
+ * @constructor
+ * @param aSid {String} the DAAP session ID
+ * @param aDatabaseId {int} the DAAP ID of the database
+ * @param aTarget {Object} the target of the artwork: an object giving the itemId of a stream (e.g. a stream returned
+ *            by {@link DaapClient#fetchStreams(callback, options)}), the albumId of an album or the playlistId of a
+ *            playlist
+ * @param aSize {int|Object} the size of the artwork in pixels, or its width and height - optional
+ * @param aCallback {Function} the callback
+ */
+function ArtworkRequestHandler(aSid, aDatabaseId, aTarget, aSize, aCallback) {
+
+    /** @private the DAAP session ID. */
+    var sid = aSid;
+
+    /** @private the DAAP ID of the database. */
+    var databaseId = aDatabaseId;
+
+    /** @private the target of the artwork. */
+    var target = aTarget || {};
+
+    /** @private the size of the artwork. */
+    var size = aSize;
+
+    /** @private the callback. */
+    var callback = aCallback;
+
+    /**
+     * Handle the artwork sent by the DAAP server.
+     *
+     * @param data {Uint8Array} the bytes of the artwork - <code>null</code> if none (204)
+     * @param headers {Object} the response headers
+     */
+    this.handleData = function(data, headers) {
+        if(data == null || data.length == 0) {
+            // no artwork.
+            callback(200, null);
+            return;
+        }
+        callback(200, {
+            type: headers['content-type'] || "image/jpeg",
+            data: data.buffer.slice(data.byteOffset, data.byteOffset + data.length)
+        });
+    };
+
+
+    this.fail = function(error) {
+        if(error.status == 404) {
+            // no artwork.
+            callback(200, null);
+        } else {
+            callback(error.status, undefined, error);
+        }
+    };
+
+    /**
+     * Returns the artwork request URI.
+     *
+     * @return the artwork request URI
+     */
+    this.getUri = function() {
+        var uri = "databases/" + databaseId;
+        if( typeof (target.itemId) != 'undefined') {
+            uri += "/items/" + target.itemId + "/extra_data/artwork?";
+        } else if( typeof (target.albumId) != 'undefined') {
+            uri += "/groups/" + target.albumId + "/extra_data/artwork?group-type=albums&";
+        } else if( typeof (target.playlistId) != 'undefined') {
+            uri += "/containers/" + target.playlistId + "/extra_data/artwork?";
+        } else {
+            throw new DaapError("No artwork target: itemId, albumId or playlistId expected.");
+        }
+        uri += "session-id=" + sid;
+        if( typeof (size) == 'number') {
+            uri += "&mw=" + size + "&mh=" + size;
+        } else if( typeof (size) == 'object' && size != null) {
+            uri += "&mw=" + size.width + "&mh=" + size.height;
+        }
+        return uri;
+    };
+
+}
@@ -0,0 +1,19 @@
+/**
+ * A {@link DaapError} reported when the DAAP server rejects the credentials of the client (HTML status code 401 or
+ * 403 upon login, 401 otherwise), or upon login without password when the server reports that it requires one.
+ *
+ * @constructor
+ * @param aStatus {int} the HTML status code
+ * @param aMessage {String} the error message - if omitted, a message giving the status code is built
+ */
+function AuthenticationError(aStatus, aMessage) {
+
+    DaapError.call(this, aMessage || "Authentication failed: [HTML Status code = " + aStatus + "]", aStatus);
+
+    /** the name of the error. */
+    this.name = "AuthenticationError";
+
+}
+
+AuthenticationError.prototype = Object.create(DaapError.prototype);
+AuthenticationError.prototype.constructor = AuthenticationError;
@@ -0,0 +1,77 @@
+/**
+ * Browse request handler; retrieves the distinct artists, albums, genres or composers of a database of the DAAP
+ * server and is a callback for {DaapHttpClient#execute(request)}.
+ *
+ * @constructor
+ * @param aSid {String} the DAAP session ID
+ * @param aRid {String} the DAAP revision ID
+ * @param aCategory {String} the browsed category: artists, albums, genres or composers
+ * @param aOptions {Object} the request options: databaseId, the DAAP ID of the database and query, the {DaapQuery}
+ *            filtering the items - optional
+ * @param aCallback {Function} the callback
+ */
+function BrowseRequestHandler(aSid, aRid, aCategory, aOptions, aCallback) {
+
+    /** @private the DAAP session ID. */
+    var sid = aSid;
+
+    /** @private the DAAP revision ID. */
+    var rid = aRid;
+
+    /** @private the browsed category. */
+    var category = aCategory;
+
+    /** @private the DAAP ID of the database. */
+    var databaseId = aOptions.databaseId;
+
+    /** @private the query filtering the items, if any. */
+    var query = aOptions.query;
+
+    /** @private the callback. */
+    var callback = aCallback;
+
+    /** @private the listing code of each category. */
+    var LISTINGS = {
+        artists: "abar",
+        albums: "abal",
+        genres: "abgn",
+        composers: "abcp"
+    };
+
+    /**
+     * Handle the response of the DAAP server to the browse request.
+     *
+     * @param packet {Object} the DAAP packet received from the server upon browse request
+     */
+    this.handleResponse = function(packet) {
+        var listing = packet.seekFirst(LISTINGS[category]);
+        var names = [];
+        if(listing != null) {
+            var mlits = listing.seek("mlit");
+            var mlitsLength = mlits.length;
+            for(var i = 0; i < mlitsLength; i++) {
+                names.push(mlits[i].convertToString());
+            }
+        }
+        callback(200, names);
+    };
+
+
+    this.fail = function(error) {
+        callback(error.status, undefined, error);
+    };
+
+    /**
+     * Returns the browse request URI.
+     *
+     * @return the browse request URI
+     */
+    this.getUri = function() {
+        var uri = "databases/" + databaseId + "/browse/" + category + "?session-id=" + sid + "&revision-id=" + rid;
+        if( typeof (query) != 'undefined' && query != null) {
+            uri += "&filter=" + encodeURIComponent(query.toString());
+        }
+        return uri;
+    };
+
+}
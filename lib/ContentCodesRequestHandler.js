@@ -0,0 +1,41 @@
+/**
+ * Content codes request handler; retrieves the content codes of the DAAP server and is a callback for
+ * {DaapHttpClient#execute(request)}.
+ *
+ * @constructor
+ * @param aContentCodes {DaapContentCodes} the content codes to complete with the ones of the server
+ * @param aCallback {Function} the callback
+ */
+function ContentCodesRequestHandler(aContentCodes, aCallback) {
+
+    /** @private the content codes. */
+    var contentCodes = aContentCodes;
+
+    /** @private the callback. */
+    var callback = aCallback;
+
+    /**
+     * Handle the response of the DAAP server to the content codes request.
+     *
+     * @param packet {Object} the DAAP packet received from the server upon content codes request
+     */
+    this.handleResponse = function(packet) {
+        contentCodes.load(packet);
+        callback(200);
+    };
+
+
+    this.fail = function(error) {
+        callback(error.status, undefined, error);
+    };
+
+    /**
+     * Returns the content codes request URI.
+     *
+     * @return the content codes request URI
+     */
+    this.getUri = function() {
+        return "content-codes";
+    };
+
+}
@@ -0,0 +1,52 @@
+/**
+ * Control request handler; sends a playback command (ctrl-int/1/{command}) to a DACP server (see {@link DacpClient})
+ * and is a callback for {DaapHttpClient#execute(request)}.
+ *
+ * @constructor
+ * @param aSid {String} the DACP session ID
+ * @param aCommand {String} the command, e.g. playpause, nextitem or setproperty
+ * @param aParams {Array} the parameters of the command, each given as a name and a value
+ * @param aCallback {Function} the callback
+ */
+function ControlRequestHandler(aSid, aCommand, aParams, aCallback) {
+
+    /** @private the DACP session ID. */
+    var sid = aSid;
+
+    /** @private the command. */
+    var command = aCommand;
+
+    /** @private the parameters of the command. */
+    var params = aParams;
+
+    /** @private the callback. */
+    var callback = aCallback;
+
+    /**
+     * Handle the response of the DACP server to the command.
+     *
+     * @param packet {Object} the DAAP packet received from the server upon command - <code>null</code> if none (204)
+     */
+    this.handleResponse = function(packet) {
+        callback(200);
+    };
+
+
+    this.fail = function(error) {
+        callback(error.status, undefined, error);
+    };
+
+    /**
+     * Returns the command URI.
+     *
+     * @return the command URI
+     */
+    this.getUri = function() {
+        var query = "";
+        for(var i = 0; i < params.length; i++) {
+            query += params[i][0] + "=" + encodeURIComponent(params[i][1]) + "&";
+        }
+        return "ctrl-int/1/" + command + "?" + query + "session-id=" + sid;
+    };
+
+}
@@ -0,0 +1,210 @@
+/**
+ * The cache of the streams of the DAAP server: each cached listing is stored with the revision of the library it
+ * belongs to, so that it is fetched again (or updated with the changes since its revision) only once the library
+ * has changed. The cached streams can also be searched locally, e.g. offline.
+ *
+ * @constructor
+ * @param aStore {Object|String} the store: "indexeddb", "file" or any object providing the get and put methods
+ *            described in {@link IndexedDbStore}
+ * @param aName {String} the name of the IndexedDB database or the directory of the files - optional
+ */
+function DaapCache(aStore, aName) {
+
+    /** @private the store. */
+    var store = aStore;
+    if(store == "indexeddb") {
+        store = new IndexedDbStore(aName);
+    } else if(store == "file") {
+        store = new FileStore(aName);
+    }
+
+    /** @private the values being stored, indexed by key: read from memory until stored. */
+    var pending = {};
+
+    /** @private the stream properties searched if none specified. */
+    var SEARCHED_PROPERTIES = ["title", "artist", "album", "albumArtist", "composer", "genre"];
+
+    /** @private the stream properties compared by each sort order, the sort name preferred if any. */
+    var SORTS = {
+        artist: [["sortArtist", "artist"], ["sortAlbum", "album"], ["discNumber"], ["trackNumber"], ["sortTitle", "title"]],
+        album: [["sortAlbum", "album"], ["discNumber"], ["trackNumber"], ["sortTitle", "title"]],
+        track: [["discNumber"], ["trackNumber"], ["sortTitle", "title"]],
+        title: [["sortTitle", "title"]]
+    };
+
+    /**
+     * Return the value cached under the specified key.
+     *
+     * @param key {String} the key
+     * @param callback {Function} the callback function called with the value, <code>null</code> if none
+     */
+    this.get = function(key, callback) {
+        if(pending.hasOwnProperty(key)) {
+            var value = pending[key].value;
+            setTimeout(function() {
+                callback(value);
+            }, 0);
+            return;
+        }
+        store.get(key, function(value) {
+            callback( typeof (value) == 'undefined' ? null : value);
+        });
+    };
+
+    /**
+     * Cache the specified value under the specified key.
+     *
+     * @param key {String} the key
+     * @param value the value
+     */
+    this.put = function(key, value) {
+        var write = {
+            value: value
+        };
+        pending[key] = write;
+        store.put(key, value, function() {
+            if(pending[key] === write) {
+                delete pending[key];
+            }
+        });
+    };
+
+    /**
+     * Return the specified streams updated with the specified changes: the updated streams replace the streams of
+     * the same DAAP ID or are appended, the deleted streams are removed.
+     *
+     * @param streams {Array} the streams
+     * @param changes {Object} the changes: updated, the updated streams, and deleted, the DAAP IDs of the deleted
+     *            streams
+     * @return the updated streams
+     */
+    this.merge = function(streams, changes) {
+        var updated = {};
+        var i;
+        for(i = 0; i < changes.updated.length; i++) {
+            updated[changes.updated[i].itemId] = changes.updated[i];
+        }
+        var deleted = {};
+        for(i = 0; i < changes.deleted.length; i++) {
+            deleted[changes.deleted[i]] = true;
+        }
+        var result = [];
+        for(i = 0; i < streams.length; i++) {
+            var itemId = streams[i].itemId;
+            if(deleted.hasOwnProperty(itemId)) {
+                continue;
+            }
+            if(updated.hasOwnProperty(itemId)) {
+                result.push(updated[itemId]);
+                delete updated[itemId];
+            } else {
+                result.push(streams[i]);
+            }
+        }
+        for(i = 0; i < changes.updated.length; i++) {
+            if(updated.hasOwnProperty(changes.updated[i].itemId)) {
+                result.push(changes.updated[i]);
+            }
+        }
+        return result;
+    };
+
+    /**
+     * Return the specified streams matching the specified text, sorted as specified.
+     *
+     * @param streams {Array} the streams
+     * @param text {String} the text searched in the properties of the streams, case insensitive - if empty, every
+     *            stream matches
+     * @param options {Object} the search options - optional: properties, the stream properties searched (title,
+     *            artist, album, albumArtist, composer and genre if omitted) and sort, the sort order: "artist"
+     *            (artist, album, disc, track), "album" (album, disc, track), "track" (disc, track) or "title" - if
+     *            omitted, the order of the streams is kept
+     * @return the matching streams
+     */
+    this.search = function(streams, text, options) {
+        options = options || {};
+        var properties = options.properties || SEARCHED_PROPERTIES;
+        var searched = String(text || "").toLowerCase();
+        var result = [];
+        for(var i = 0; i < streams.length; i++) {
+            if(searched == "" || matches(streams[i], properties, searched)) {
+                result.push(streams[i]);
+            }
+        }
+        if( typeof (options.sort) != 'undefined') {
+            var sort = SORTS[options.sort];
+            if( typeof (sort) == 'undefined') {
+                throw new DaapError("Unknown sort order: " + options.sort);
+            }
+            result.sort(function(a, b) {
+                return compare(a, b, sort);
+            });
+        }
+        return result;
+    };
+
+    /**
+     * Return <code>true</code> if one of the specified properties of the specified stream holds the specified text.
+     *
+     * @private
+     * @param stream {Object} the stream
+     * @param properties {Array} the properties
+     * @param text {String} the text, lower case
+     * @return <code>true</code> if the stream matches
+     */
+    function matches(stream, properties, text) {
+        for(var i = 0; i < properties.length; i++) {
+            var value = stream[properties[i]];
+            if( typeof (value) == 'string' && value.toLowerCase().indexOf(text) != -1) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Compare the specified streams by the specified properties.
+     *
+     * @private
+     * @param a {Object} a stream
+     * @param b {Object} the other stream
+     * @param sort {Array} the compared properties, each given by its alternatives
+     * @return a negative number, zero, or a positive number as the first stream is less than, equal to, or greater
+     *         than the second
+     */
+    function compare(a, b, sort) {
+        for(var i = 0; i < sort.length; i++) {
+            var x = valueOf(a, sort[i]);
+            var y = valueOf(b, sort[i]);
+            var result;
+            if( typeof (x) == 'number' && typeof (y) == 'number') {
+                result = x - y;
+            } else {
+                result = String(x).toLowerCase().localeCompare(String(y).toLowerCase());
+            }
+            if(result != 0) {
+                return result;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Return the first value of the specified alternative properties of the specified stream which is not missing.
+     *
+     * @private
+     * @param stream {Object} the stream
+     * @param alternatives {Array} the properties
+     * @return the value, an empty string if none
+     */
+    function valueOf(stream, alternatives) {
+        for(var i = 0; i < alternatives.length; i++) {
+            var value = stream[alternatives[i]];
+            if( typeof (value) == 'number' || ( typeof (value) == 'string' && value != "")) {
+                return value;
+            }
+        }
+        return "";
+    }
+
+}
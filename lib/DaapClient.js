@@ -16,11 +16,13 @@
  */'use strict';
 
 /**
- * DAAP Client. This client connects to the DAAP server at the specified IP address/port.
+ * DAAP Client. This client connects to the DAAP server at the specified IP address/port, host name/port or base URL.
  * <p>
- * Since DaapClient.js relies on XmlHttpRequest to connect to the DAAP server, this latter shall 
- * allow Cross-Origin Ressource Sharing. If you cannot modify your DAAP server to include Access-Control-Allow-Origin 
- * in the response header, consider setting up a proxy such as (apache configuration file example):
+ * The client runs in browsers, service workers and Node: requests are sent with the Fetch API, XMLHttpRequest or the
+ * Node http module, whichever is available first, unless a transport is specified.
+ * <p>
+ * In browsers, the DAAP server shall allow Cross-Origin Ressource Sharing. If you cannot modify your DAAP server to
+ * include Access-Control-Allow-Origin in the response header, consider setting up a proxy such as (apache configuration file example):
  *
  * <p>
  * <pre>
@@ -42,6 +44,27 @@
  * </VirtualHost>"
  * </pre>
  * In which case DaapClient shall be constructed with port number 3690
+ * <p>
+ * The server can also be served under a path prefix, e.g. behind a reverse proxy:
+ * <code>new DaapClient("https://example.com/daap/")</code> or
+ * <code>new DaapClient({ protocol: "https", host: "example.com", path: "/daap" })</code>; the stream URIs use the same
+ * base URL.
+ *
+ * <p>
+ * Every callback is called with the HTML status code, the result of the request ('undefined' upon failure) and, upon
+ * failure, the {@link DaapError} describing the failure:
+ * <ul>
+ * <li>{@link AuthenticationError} : the server rejects the credentials (401 or 403 upon login)
+ * <li>{@link SessionExpiredError} : the server rejects the session (403)
+ * <li>{@link MalformedPacketError} : the response is not a valid DAAP packet (400)
+ * <li>{@link NetworkError} : the server cannot be reached (0)
+ * <li>{@link ServerStatusError} : the server responds with a DAAP status other than 200 (the DAAP status)
+ * <li>{@link RequestAbortedError} : the request is aborted through its AbortSignal (0)
+ * <li>{@link UnsupportedFeatureError} : the server does not support the request, as reported by its server info (0,
+ * the request is not sent) or by the response (405 or 501)
+ * <li>{@link DaapError} : any other HTML status code
+ * </ul>
+ * All these errors are exposed by DaapClient, e.g. DaapClient.AuthenticationError.
  *
  * <p>
  * Example of use:
@@ -75,22 +98,37 @@
  * @see http://www.w3.org/wiki/CORS_Enabled
  * 
  * @constructor
- * @param ip {String} the IP address of the DAAP Server
- * @param port {int} the port of the DAAP Server - if omitted, 3689 is assumed
+ * @param ip {String|Object} the IP address or host name of the DAAP Server, its base URL (e.g.
+ *            "https://example.com/daap/") or the server options:
+ *            <ul>
+ *            <li>protocol : "http" or "https" - if omitted, "http" is assumed
+ *            <li>host : the IP address or host name of the DAAP Server
+ *            <li>port : the port of the DAAP Server - if omitted, 3689 is assumed with http and 443 with https
+ *            <li>path : the path prefix of the DAAP Server, e.g. "/daap" - optional
+ *            <li>transport : the HTTP transport, see below - optional
+ *            </ul>
+ * @param port {int} the port of the DAAP Server - if omitted, 3689 is assumed; ignored if a base URL or options are
+ *            given
+ * @param transport {Object|String} the HTTP transport: "fetch", "xhr", "node" or any object providing the send method
+ *            described in {@link FetchTransport} - optional
  */
-function DaapClient(ip, port) {
+function DaapClient(ip, port, transport) {
 
-	/** @private the DAAP server. */
-	var server;
-	// if port not provided; port = 3689.
-    if( typeof (port) == 'undefined') {
-        server = "http://" + ip + ":/3689";
-    } else {
-        server = "http://" + ip + ":" + port;
-    }
+	/** @private this client. */
+	var self = this;
+
+	/** @private the base URL of the DAAP server, without trailing slash. */
+	var server = serverUrl(ip, port);
+
+	if( typeof (ip) == 'object' && ip != null && typeof (transport) == 'undefined') {
+		transport = ip.transport;
+	}
 
 	/** @private the HTTP client to communicate with the server. */
-	var httpClient = new DaapHttpClient(server);
+	var httpClient = new DaapHttpClient(server, transport);
+
+	/** @private the content codes used to decode the DAAP packets. */
+	var contentCodes = new DaapContentCodes();
 
 	/** @private the session id. */
 	var sid = null;
@@ -98,29 +136,286 @@ function DaapClient(ip, port) {
 	/** @private the revision id. */
 	var rid = null;
 
+	/** @private the description and the capabilities of the server, <code>null</code> if not fetched yet. */
+	var serverInfo = null;
+
+	/** @private the databases served by the server, the main database first. */
+	var databases = null;
+
+	/** @private the watchers of the library changes: listener and fetch options. */
+	var watchers = [];
+
+	/** @private the current update polling: the AbortController of its pending request, <code>null</code> if not polling. */
+	var polling = null;
+
+	/** @private the callbacks waiting for the pending re-login, <code>null</code> if none pending. */
+	var relogins = null;
+
+	/** @private the keep-alive interval (ms), <code>0</code> if disabled. */
+	var keepAliveInterval = 0;
+
+	/** @private the keep-alive timer. */
+	var keepAliveTimer = null;
+
+	/** @private the cache of the streams, <code>null</code> if disabled. */
+	var cache = null;
+
+	/** @private the codecs (Accept-Codecs) of the formats a stream can be transcoded to, by format. */
+	var CODECS = {
+		mp3: "mpeg",
+		wav: "wav",
+		alac: "alac",
+		flac: "flac",
+		ogg: "ogg"
+	};
+
 	@EndOfPacketException;
 
+	@DaapContentCodes;
+
 	@DaapPacket;
 
+	@DaapStreamParser;
+
+	@DaapEncoder;
+
+	@FetchTransport;
+
+	@XhrTransport;
+
+	@NodeTransport;
+
+	@Md5;
+
 	@DaapHttpClient;
 
+	@IndexedDbStore;
+
+	@FileStore;
+
+	@DaapCache;
+
+	@ServerInfoRequestHandler;
+
+	@ContentCodesRequestHandler;
+
 	@LoginRequestHandler;
 
 	@UpdateRequestHandler;
 
+	@DatabasesRequestHandler;
+
 	@DatabaseRequestHandler;
 
+	@PlaylistsRequestHandler;
+
+	@BrowseRequestHandler;
+
+	@ArtworkRequestHandler;
+
+	@StreamRequestHandler;
+
+	@EditRequestHandler;
+
+	@LogoutRequestHandler;
+
 	@LoginListener;
 
+	@ServerUrl;
+
 	/**
-	 * If SID or RID is <code>null</code> throws Error.
+	 * If SID or RID is <code>null</code> throws DaapError.
 	 * 
 	 * @private
 	 */
 	function checkLogin() {
 		if(sid == null || rid == null) {
-			throw new Error("Login not completed.");
+			throw new DaapError("Login not completed.");
+		}
+	}
+
+	/**
+	 * Return the error reporting the first of the specified features that the server reports as unsupported, if
+	 * any; a feature not reported is assumed supported.
+	 *
+	 * @private
+	 * @param features {Array} the features, see the supports property of {@link DaapClient#getServerInfo()}
+	 * @return the {UnsupportedFeatureError}, of status code <code>0</code>, <code>null</code> if none unsupported
+	 */
+	function unsupported(features) {
+		if(serverInfo == null) {
+			return null;
+		}
+		for(var i = 0; i < features.length; i++) {
+			if(serverInfo.supports[features[i]] === false) {
+				return new UnsupportedFeatureError(features[i], 0);
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Fail the request requiring the specified features and the features used by the specified fetch options (query
+	 * and index for a range) if the server reports one of them as unsupported: the callback is then called with the
+	 * {UnsupportedFeatureError}, asynchronously as upon a failed request.
+	 *
+	 * @private
+	 * @param features {Array} the features required by the request
+	 * @param options the fetch options
+	 * @param callback the callback function of the request
+	 * @return <code>true</code> if the request fails
+	 */
+	function failUnsupported(features, options, callback) {
+		features = features.slice();
+		if( typeof (options.query) != 'undefined' && options.query != null) {
+			features.push("query");
+		}
+		if( typeof (options.range) != 'undefined' && options.range != null) {
+			features.push("index");
+		}
+		var error = unsupported(features);
+		if(error == null) {
+			return false;
+		}
+		setTimeout(function() {
+			callback(error.status, undefined, error);
+		}, 0);
+		return true;
+	}
+
+	/**
+	 * Return the distinct values of the specified property of the specified streams, sorted; empty values are
+	 * ignored.
+	 *
+	 * @private
+	 * @param streams {Array} the streams
+	 * @param property {String} the property, e.g. artist
+	 * @return the distinct values
+	 */
+	function distinctValues(streams, property) {
+		var seen = {};
+		var result = [];
+		for(var i = 0; i < streams.length; i++) {
+			var value = streams[i][property];
+			if( typeof (value) == 'string' && value != "" && !seen.hasOwnProperty(value)) {
+				seen[value] = true;
+				result.push(value);
+			}
+		}
+		return result.sort();
+	}
+
+	/**
+	 * Return the options of a fetch request: the specified options completed with the DAAP ID of the main database
+	 * if no database is specified.
+	 *
+	 * @private
+	 * @param options {Object|int} the fetch options or the DAAP ID of the database - optional
+	 * @return the options of a fetch request
+	 */
+	function fetchOptions(options) {
+		var result = {};
+		if( typeof (options) == 'number' || typeof (options) == 'string') {
+			result.databaseId = options;
+		} else if( typeof (options) == 'object' && options != null) {
+			for(var name in options) {
+				if(options.hasOwnProperty(name)) {
+					result[name] = options[name];
+				}
+			}
+		}
+		if( typeof (result.databaseId) == 'undefined') {
+			// the main database is listed first; database 1 is assumed if the server did not list any.
+			result.databaseId = databases != null && databases.length > 0 ? databases[0].id : 1;
+		}
+		return result;
+	}
+
+	/**
+	 * Execute the request created by the specified function. If the server rejects the session (e.g. expired after
+	 * a long idle time), the client logs on again with the same credentials and the request is created and executed
+	 * once more with the new session.
+	 *
+	 * @private
+	 * @param newHandler {Function} the function returning the request handler for the specified callback; called
+	 *            again upon retry so that the handler uses the new session
+	 * @param callback the callback function of the request
+	 * @param options the request options: timeout and signal - optional
+	 */
+	function execute(newHandler, callback, options) {
+		httpClient.execute(newHandler(function(code, result, error) {
+			if(error instanceof SessionExpiredError && sid != null) {
+				relogin(function(loginCode, aDatabases, loginError) {
+					if(loginCode == 200) {
+						httpClient.execute(newHandler(callback), options);
+					} else {
+						callback(loginCode, undefined, loginError);
+					}
+				});
+			} else {
+				callback(code, result, error);
+			}
+		}), options);
+	}
+
+	/**
+	 * Log on to the DAAP server again; the requests failing concurrently share the same login.
+	 *
+	 * @private
+	 * @param callback the callback function called once the login phase is over
+	 */
+	function relogin(callback) {
+		if(relogins != null) {
+			relogins.push(callback);
+			return;
+		}
+		relogins = [callback];
+		self.login(function(code, aDatabases, error) {
+			var waiting = relogins;
+			relogins = null;
+			for(var i = 0; i < waiting.length; i++) {
+				waiting[i](code, aDatabases, error);
+			}
+		});
+	}
+
+	/**
+	 * (Re)start the keep-alive timer if enabled and logged on, stop it otherwise.
+	 *
+	 * @private
+	 */
+	function scheduleKeepAlive() {
+		if(keepAliveTimer != null) {
+			clearInterval(keepAliveTimer);
+			keepAliveTimer = null;
 		}
+		if(keepAliveInterval > 0 && sid != null) {
+			keepAliveTimer = setInterval(keepAlive, keepAliveInterval);
+			// do not keep Node running only to keep the session alive.
+			if( typeof (keepAliveTimer.unref) == 'function') {
+				keepAliveTimer.unref();
+			}
+		}
+	}
+
+	/**
+	 * Ping the server so that it does not drop the session; an expired session is renewed.
+	 *
+	 * @private
+	 */
+	function keepAlive() {
+		execute(function(callback) {
+			return new UpdateRequestHandler(sid, {
+				ridUpdated: function() {
+					callback(200);
+				},
+				fail: function(error) {
+					callback(error.status, undefined, error);
+				}
+			});
+		}, function() {
+			// nothing to do: a failure will be reported by the next request.
+		});
 	}
 
 	/**
@@ -128,47 +423,1522 @@ function DaapClient(ip, port) {
 	 *
 	 * @param password the password to connect to the DAAP server - optional, if none provided no HTTP Authorization header will be sent
 	 * @param callback the callback function called once the login phase is over. The HTML status code is returned.
+	 * @param options the request options, see {@link DaapClient#fetchContentCodes(callback, options)} - optional
 	 */
-	this.secureLogin = function(password, callback) {
+	this.secureLogin = function(password, callback, options) {
 		if( typeof (password) != 'undefined') {
 			httpClient.setPassword(password);
 		}
-		this.login(callback);
+		this.login(callback, options);
 	};
 	
 	/**
-	 * Log on to the DAAP server.
+	 * Fetch the content codes of the DAAP server so that the tags unknown to the default dictionary can be decoded.
+	 * This request does not require login.
 	 *
-	 * @param callback the callback function called once the login phase is over. The HTML status code is returned.
+	 * @param callback the callback function called once the content codes have been fetched. The HTML status code is returned.
+	 * @param options the request options - optional:
+	 *            <ul>
+	 *            <li>timeout : the timeout (ms) of the request, see {@link DaapClient#setRequestTimeout(timeout)}
+	 *            <li>signal : the AbortSignal aborting the request - the callback is then called with a
+	 *            {@link RequestAbortedError}
+	 *            <li>headers : the HTTP headers of the request, indexed by name, see
+	 *            {@link DaapClient#setHeaders(headers)}
+	 *            </ul>
+	 */
+	this.fetchContentCodes = function(callback, options) {
+		var handler = new ContentCodesRequestHandler(contentCodes, callback);
+		httpClient.execute(handler, options);
+	};
+
+	/**
+	 * Fetch the description and the capabilities of the DAAP server; they are also fetched upon the first login.
+	 * This request does not require login.
+	 * <p>
+	 * The server info is described by the following JSON format:
+	 * <ul>
+	 * <li>name : the name of the server
+	 * <li>dmapVersion, daapVersion : the versions of the DMAP and DAAP protocols, e.g. "3.0.0" - <code>null</code>
+	 * if not reported
+	 * <li>loginRequired : <code>true</code> if a session is required, see {@link DaapClient#login(callback, options)}
+	 * <li>authenticationMethod : the authentication method: <code>0</code> for none, <code>1</code> for a password,
+	 * <code>2</code> for a user name and a password
+	 * <li>passwordRequired : <code>true</code> if a password is required to log on
+	 * <li>timeout : the idle time (s) after which the server ends a session, <code>-1</code> if not reported; see
+	 * {@link DaapClient#setKeepAlive(interval)}
+	 * <li>databaseCount : the number of databases, <code>-1</code> if not reported
+	 * <li>supports : the features reported by the server, <code>true</code> if supported and <code>false</code> if
+	 * not: autoLogout, update, persistentIds, extensions, browse, query, index, resolve and edit - a feature not
+	 * reported is not listed
+	 * </ul>
+	 * Once known, the capabilities are used by the requests: a request requiring a feature the server reports as
+	 * unsupported fails at once with an {@link UnsupportedFeatureError} (e.g. a query without the query feature, a
+	 * range without the index feature, watching without the update feature, browsing without the browse feature) -
+	 * unless the distinct option of browsing is set, see {@link DaapClient#fetchArtists(callback, options)}. Artwork
+	 * is not reported: a server without artwork answers that it has none, see
+	 * {@link DaapClient#fetchArtwork(target, size, callback, options)}.
+	 *
+	 * @param callback the callback function called once the server info has been fetched. The HTML status code and the server info are returned.
+	 * @param options the request options, see {@link DaapClient#fetchContentCodes(callback, options)} - optional
+	 */
+	this.fetchServerInfo = function(callback, options) {
+		var handler = new ServerInfoRequestHandler(contentCodes, function(code, aServerInfo, error) {
+			if(code == 200) {
+				serverInfo = aServerInfo;
+			}
+			callback(code, aServerInfo, error);
+		});
+		httpClient.execute(handler, options);
+	};
+
+	/**
+	 * Return the description and the capabilities of the DAAP server, see
+	 * {@link DaapClient#fetchServerInfo(callback, options)}.
+	 *
+	 * @return the server info or <code>null</code> if not fetched yet
+	 */
+	this.getServerInfo = function() {
+		return serverInfo;
+	};
+
+	/**
+	 * Log on to the DAAP server. Once logged on, the databases served by the server are known, see
+	 * {@link DaapClient#getDatabases()}.
+	 * <p>
+	 * The server info is fetched first unless already known, see {@link DaapClient#fetchServerInfo(callback, options)}:
+	 * if the server requires a password and none is set, the login fails at once with an {@link AuthenticationError}.
+	 *
+	 * @param callback the callback function called once the login phase is over. The HTML status code and the databases are returned.
+	 * @param options the request options, see {@link DaapClient#fetchContentCodes(callback, options)} - optional
 	 */
-	this.login = function(callback) {
-		var l = new LoginListener(callback);
-		// retrieve session id.
-		var handler = new LoginRequestHandler(l);
-		httpClient.execute(handler);
+	this.login = function(callback, options) {
+		var l = new LoginListener(function(code, aDatabases, error) {
+			if(code == 200) {
+				scheduleKeepAlive();
+				if(cache != null) {
+					// the main database is then known before login, see fetchCachedStreams.
+					cache.put(server + "|databases", aDatabases);
+				}
+			}
+			callback(code, aDatabases, error);
+		}, options);
+		if(serverInfo != null) {
+			l.serverInfoUpdated(serverInfo);
+			return;
+		}
+		// retrieve the capabilities of the server first.
+		self.fetchServerInfo(function(code, aServerInfo, error) {
+			if(code == 0) {
+				l.fail(error);
+			} else {
+				// servers without server-info are assumed to support every feature.
+				l.serverInfoUpdated(code == 200 ? aServerInfo : null);
+			}
+		}, options);
 	};
 	
+	/**
+	 * Log out of the DAAP server: the session is ended, the keep-alive is stopped and all the watchers are
+	 * unregistered.
+	 *
+	 * @param callback the callback function called once logged out. The HTML status code is returned - optional
+	 * @param options the request options, see {@link DaapClient#fetchContentCodes(callback, options)} - optional
+	 */
+	this.logout = function(callback, options) {
+		checkLogin();
+		var handler = new LogoutRequestHandler(sid, callback || function() {
+		});
+		sid = null;
+		rid = null;
+		watchers = [];
+		stopPolling();
+		scheduleKeepAlive();
+		httpClient.execute(handler, options);
+	};
+
+	/**
+	 * Set the credentials used to log on to the DAAP server; the password is sent with HTTP Basic authentication
+	 * unless the server requests HTTP Digest authentication. Use {@link DaapClient#login(callback, options)} to log
+	 * on with these credentials.
+	 * <p>
+	 * In browsers, HTTP Digest authentication requires the server to expose the WWW-Authenticate header
+	 * (Access-Control-Expose-Headers).
+	 *
+	 * @param username {String} the user name - if omitted, "admin" is assumed
+	 * @param password {String} the password, any character allowed - <code>null</code> for none
+	 */
+	this.setCredentials = function(username, password) {
+		httpClient.setCredentials(username, password);
+	};
+
+	/**
+	 * Set the HTTP headers sent with every request, in addition to the headers of the client profile. The headers
+	 * of a request can also be given in its options, e.g.
+	 * <code>client.fetchStreams(callback, { headers: { "Accept-Language": "fr" } })</code>.
+	 *
+	 * @param headers {Object} the HTTP headers, indexed by name
+	 */
+	this.setHeaders = function(headers) {
+		httpClient.setHeaders(headers);
+	};
+
+	/**
+	 * Set the client profile: the headers identifying the client that some iTunes-compatible servers expect before
+	 * accepting the client. The profile can be:
+	 * <ul>
+	 * <li>"itunes" : Client-DAAP-Version 3.13 and Client-DAAP-Access-Index 2, as sent by iTunes
+	 * <li>"viewer" : the "itunes" headers and Viewer-Only-Client, for a client not playing the streams
+	 * <li>an object giving the version, accessIndex and viewerOnly headers and the validate function returning
+	 * the Client-DAAP-Validation header of a request (URI and request ID) for the servers requiring it
+	 * </ul>
+	 * No profile is used by default.
+	 *
+	 * @param profile {String|Object} the profile, <code>null</code> for none
+	 */
+	this.setClientProfile = function(profile) {
+		httpClient.setProfile(profile);
+	};
+
+	/**
+	 * Keep the session alive by pinging the server at the specified interval; servers usually drop the sessions
+	 * idle for about 30 minutes. Keep-alive is disabled by default.
+	 * <p>
+	 * Whether or not keep-alive is enabled, a request rejected because of an expired session is retried once after
+	 * logging on again with the same credentials.
+	 *
+	 * @param interval {int} the interval between two pings in milliseconds, <code>0</code> to disable keep-alive
+	 */
+	this.setKeepAlive = function(interval) {
+		keepAliveInterval = interval > 0 ? interval : 0;
+		scheduleKeepAlive();
+	};
+
+	/**
+	 * Set the default timeout of the requests; none by default. A request not responded in time fails with a
+	 * {@link NetworkError} whose timedOut property is <code>true</code>. The timeout of a request can also be given in
+	 * its options, e.g. <code>client.fetchStreams(callback, { timeout: 5000 })</code>.
+	 * <p>
+	 * The long-polling of {@link DaapClient#watch(listener, options)} is not subject to the timeout.
+	 *
+	 * @param timeout {int} the timeout (ms) of each attempt of a request, <code>0</code> for none
+	 */
+	this.setRequestTimeout = function(timeout) {
+		httpClient.setRequestTimeout(timeout);
+	};
+
+	/**
+	 * Set the number of retries of a request failing because the server cannot be reached, does not respond in time
+	 * or responds with a 5xx status code; the delay between two attempts doubles upon each retry. Requests are not
+	 * retried by default, and are never retried upon 401 or 403.
+	 *
+	 * @param count {int} the maximum number of retries, <code>0</code> for none
+	 * @param delay {int} the delay (ms) before the first retry - optional, 500 by default
+	 */
+	this.setRetries = function(count, delay) {
+		httpClient.setRetries(count, delay);
+	};
+
+	/**
+	 * Cache the streams of the DAAP server, e.g. to show the library at once upon startup; the cache is disabled by
+	 * default. The store can be:
+	 * <ul>
+	 * <li>"indexeddb" : IndexedDB, in browsers - the name is the name of the IndexedDB database, "DaapClient" by
+	 * default
+	 * <li>"file" : a JSON file per listing, in Node - the name is the directory of the files, the daapclient
+	 * directory of the temporary directory of the system by default
+	 * <li>any object providing the get and put methods described in {@link IndexedDbStore}
+	 * </ul>
+	 * Once enabled, the listings of {@link DaapClient#fetchStreams(callback, options)} without query nor range are
+	 * cached with the revision of the library: a listing is served from the cache while the revision is unchanged,
+	 * and is otherwise updated with the changes since its revision if the server supports updates, fetched again if
+	 * not. The cached streams can be read and searched before login, see
+	 * {@link DaapClient#fetchCachedStreams(callback, options)} and
+	 * {@link DaapClient#searchCachedStreams(text, callback, options)}.
+	 *
+	 * @param store {String|Object} the store, <code>null</code> to disable the cache
+	 * @param name {String} the name of the IndexedDB database or the directory of the files - optional
+	 */
+	this.setCache = function(store, name) {
+		cache = store == null ? null : new DaapCache(store, name);
+	};
+
+	/**
+	 * Return the databases served by the DAAP server, as discovered upon login. The main database of the server is
+	 * listed first and is the database used by the fetch methods when none is specified.
+	 * <p>
+	 * Each database is described by the following JSON format:
+	 * <ul>
+	 * <li>id : the DAAP ID of the database
+	 * <li>name : the database name
+	 * <li>itemCount : the number of items in the database
+	 * <li>containerCount : the number of playlists in the database
+	 * </ul>
+	 *
+	 * @return the databases served by the DAAP server or <code>null</code> if login has not been completed
+	 */
+	this.getDatabases = function() {
+		return databases;
+	};
+
+	/**
+	 * Fetch the databases served by the DAAP server, see {@link DaapClient#getDatabases()}.
+	 *
+	 * @param callback the callback function called once the databases have been fetched. Callback is called with HTML status code and an array of database or 'undefined' if the the status code is not <code>200</code>.
+	 * @param options the request options, see {@link DaapClient#fetchContentCodes(callback, options)} - optional
+	 */
+	this.fetchDatabases = function(callback, options) {
+		checkLogin();
+		execute(function(aCallback) {
+			return new DatabasesRequestHandler(sid, rid, contentCodes, aCallback);
+		}, function(code, aDatabases, error) {
+			if(code == 200) {
+				databases = aDatabases;
+			}
+			callback(code, aDatabases, error);
+		}, options);
+	};
+
 	/**
 	 * Fetch all audio streams served by the DAAP server.
 	 * <p>
 	 * Each stream is described by the following JSON format:
 	 * <ul>
-	 * <li>uri : the address of the stream
-	 * <li>trackNumber : the track number in the album
-	 * <li>title : the stream title
-	 * <li>album : the stream album
-	 * <li>artist : the stream artist
-	 * <li>genre : the stream genre
-	 * <li>id : the DAAP ID of the stream
-	 * <li>
+	 * <li>uri : the address of the stream; no HTTP header can be added to it though, see
+	 * {@link DaapClient#getStream(item, callback, options)} for the servers requiring a client profile
+	 * <li>id : the ID of the stream: session ID + DAAP ID
+	 * <li>itemId : the DAAP ID of the stream
+	 * <li>format : the stream format, e.g. mp3
 	 * </ul>
+	 * and one property per requested DAAP field (see the meta option). By default:
+	 * <ul>
+	 * <li>title, album, artist, albumArtist, composer, genre : the stream title, album, artist...
+	 * <li>trackNumber, discNumber, discCount : the track number in the album, the disc number and count
+	 * <li>duration, size, bitrate, year : the stream duration (ms), size (bytes), bitrate (kbps) and year
+	 * <li>sortTitle, sortArtist, sortAlbum, sortAlbumArtist, sortComposer : the names used for sorting
+	 * <li>dateAdded, dateModified : the {Date} the stream was added and last modified
+	 * <li>rating, playCount, compilation, mediaKind : the user rating (0-100), the play count, the compilation
+	 * flag (1 if part of a compilation) and the media kind (1 for music)
+	 * <li>persistentId : the persistent ID of the stream, as a decimal string
+	 * </ul>
+	 * A missing value is given as an empty string for texts, <code>-1</code> for numbers and <code>null</code> for
+	 * dates and 64-bit integers. Fields without a known property name are keyed by their DAAP name.
 	 * <p>
 	 * @param callback the callback function called once the streams have been fetched. Callback is called with HTML status code and an array of stream or 'undefined' if the the status code is not <code>200</code>.
+	 * @param options the fetch options - optional:
+	 *            <ul>
+	 *            <li>databaseId : the DAAP ID of the database - if omitted, the main database is assumed
+	 *            <li>query : the {@link DaapQuery} (or the DAAP expression) filtering the streams on the server -
+	 *            e.g. <code>DaapClient.Query.equals("daap.songartist", "Foo")</code>
+	 *            <li>range : the range of the streams to fetch, for paging - e.g. <code>{ offset: 0, count: 50 }</code>
+	 *            <li>meta : the DAAP fields to fetch, by DAAP name or property name - e.g.
+	 *            <code>["daap.songartist", "title", "daap.songcomment"]</code>; a field unknown to the content codes
+	 *            is not set on the streams
+	 *            <li>onProgress : the function called with the streams read from each part of the response as it
+	 *            arrives, e.g. to show the first streams of a large library while the rest loads; the callback is
+	 *            still called with all the streams
+	 *            <li>timeout, signal, headers : the request options, see
+	 *            {@link DaapClient#fetchContentCodes(callback, options)}
+	 *            </ul>
+	 *            the DAAP ID of the database can also be given in place of the options
 	 */
-	this.fetchStreams = function(callback) {
+	this.fetchStreams = function(callback, options) {
 		checkLogin();
-		var handler = new DatabaseRequestHandler(sid, rid, server, callback);
-		httpClient.execute(handler);
+		var o = fetchOptions(options);
+		if(failUnsupported([], o, callback)) {
+			return;
+		}
+		if(cache != null && o.query == null && o.range == null) {
+			cachedStreams(o, callback);
+			return;
+		}
+		execute(function(aCallback) {
+			return new DatabaseRequestHandler(sid, rid, server, contentCodes, o, aCallback);
+		}, callback, o);
 	};
-	
-}
\ No newline at end of file
+
+	/**
+	 * Read the streams cached by {@link DaapClient#fetchStreams(callback, options)}, whatever the revision of the
+	 * library; login is not required, e.g. to show the library at once upon startup, then refresh it once logged
+	 * on. The uri and id of the streams refer to the session of the cached listing.
+	 *
+	 * @param callback the callback function called with the HTML status code 200 and the cached streams or
+	 *            <code>null</code> if none cached
+	 * @param options the fetch options, see {@link DaapClient#fetchStreams(callback, options)} - only databaseId and
+	 *            meta are used - optional
+	 * @throws DaapError if the cache is disabled, see {@link DaapClient#setCache(store, name)}
+	 */
+	this.fetchCachedStreams = function(callback, options) {
+		checkCache();
+		cachedEntry(options, function(entry) {
+			callback(200, entry != null ? entry.streams : null);
+		});
+	};
+
+	/**
+	 * Search the streams cached by {@link DaapClient#fetchStreams(callback, options)}; login is not required.
+	 *
+	 * @param text {String} the text searched in the title, artist, album, album artist, composer and genre of the
+	 *            streams, case insensitive - an empty text matches every stream
+	 * @param callback the callback function called with the HTML status code 200 and the matching streams (none if
+	 *            no streams are cached)
+	 * @param options the search options - optional:
+	 *            <ul>
+	 *            <li>sort : the sort order: "artist" (artist, album, disc and track number), "album" (album, disc
+	 *            and track number), "track" (disc and track number) or "title" - if omitted, the order of the
+	 *            listing is kept
+	 *            <li>properties : the stream properties searched - e.g. <code>["title"]</code>
+	 *            <li>databaseId, meta : the fetch options of the cached listing, see
+	 *            {@link DaapClient#fetchStreams(callback, options)}
+	 *            </ul>
+	 * @throws DaapError if the cache is disabled, see {@link DaapClient#setCache(store, name)}
+	 */
+	this.searchCachedStreams = function(text, callback, options) {
+		checkCache();
+		cachedEntry(options, function(entry) {
+			var result;
+			try {
+				result = cache.search(entry != null ? entry.streams : [], text, options);
+			} catch(error) {
+				callback(error.status, undefined, error);
+				return;
+			}
+			callback(200, result);
+		});
+	};
+
+	/**
+	 * Fetch the streams through the cache: the cached streams are served if cached for the current revision,
+	 * updated with the changes since their revision if the server supports updates, or fetched again.
+	 *
+	 * @private
+	 * @param o the fetch options
+	 * @param callback the callback function
+	 */
+	function cachedStreams(o, callback) {
+		var key = streamsKey(o);
+		var revision = rid;
+		cache.get(key, function(entry) {
+			if(entry != null && entry.revision == revision) {
+				served(entry.streams, o, callback);
+				return;
+			}
+			var delta = entry != null && serverInfo != null && serverInfo.supports.update === true;
+			var options = fetchOptions(o);
+			if(delta) {
+				options.delta = entry.revision;
+				// the progress is notified once the changes are merged.
+				delete options.onProgress;
+			}
+			execute(function(aCallback) {
+				return new DatabaseRequestHandler(sid, revision, server, contentCodes, options, aCallback);
+			}, function(code, result, error) {
+				if(code != 200) {
+					callback(code, result, error);
+					return;
+				}
+				var streams = delta ? cache.merge(entry.streams, result) : result;
+				cache.put(key, {
+					revision: revision,
+					streams: streams
+				});
+				if(delta) {
+					served(streams, o, callback);
+				} else {
+					callback(200, streams);
+				}
+			}, options);
+		});
+	}
+
+	/**
+	 * Call the specified callback with the specified streams, updated for the current session, after notifying
+	 * them as progress if requested.
+	 *
+	 * @private
+	 * @param streams {Array} the streams
+	 * @param o the fetch options
+	 * @param callback the callback function
+	 */
+	function served(streams, o, callback) {
+		for(var i = 0; i < streams.length; i++) {
+			streams[i].uri = streams[i].uri.replace(/([?&]session-id=)[^&]*/, "$1" + sid);
+			streams[i].id = sid + "-" + streams[i].itemId;
+		}
+		if( typeof (o.onProgress) == 'function' && streams.length > 0) {
+			o.onProgress(streams);
+		}
+		callback(200, streams);
+	}
+
+	/**
+	 * Read the cached listing of the specified fetch options; before login, the main database is read from the
+	 * databases cached upon the last login.
+	 *
+	 * @private
+	 * @param options the fetch options
+	 * @param callback the callback function called with the cached entry (revision and streams), <code>null</code>
+	 *            if none
+	 */
+	function cachedEntry(options, callback) {
+		var o = fetchOptions(options);
+		var databaseGiven = typeof (options) == 'number' || typeof (options) == 'string' || ( typeof (options) == 'object' && options != null && typeof (options.databaseId) != 'undefined');
+		if(databases != null || databaseGiven) {
+			cache.get(streamsKey(o), callback);
+			return;
+		}
+		cache.get(server + "|databases", function(cachedDatabases) {
+			if(cachedDatabases != null && cachedDatabases.length > 0) {
+				o.databaseId = cachedDatabases[0].id;
+			}
+			cache.get(streamsKey(o), callback);
+		});
+	}
+
+	/**
+	 * Return the cache key of the listing of the specified fetch options: server, database and requested fields.
+	 *
+	 * @private
+	 * @param o the fetch options
+	 * @return the key
+	 */
+	function streamsKey(o) {
+		var key = server + "|" + o.databaseId + "|streams";
+		if( typeof (o.meta) != 'undefined' && o.meta != null) {
+			key += "|" + o.meta.join();
+		}
+		return key;
+	}
+
+	/**
+	 * Check that the cache is enabled.
+	 *
+	 * @private
+	 * @throws DaapError if the cache is disabled
+	 */
+	function checkCache() {
+		if(cache == null) {
+			throw new DaapError("Cache not enabled.");
+		}
+	}
+
+	/**
+	 * Fetch all playlists served by the DAAP server.
+	 * <p>
+	 * Each playlist is described by the following JSON format:
+	 * <ul>
+	 * <li>id : the DAAP ID of the playlist
+	 * <li>name : the playlist name
+	 * <li>itemCount : the number of items in the playlist
+	 * <li>smart : <code>true</code> if the playlist is a smart playlist
+	 * <li>base : <code>true</code> if the playlist is the base playlist (i.e. the whole library)
+	 * <li>parentId : the DAAP ID of the parent playlist (folder), <code>0</code> if none
+	 * </ul>
+	 * <p>
+	 * @param callback the callback function called once the playlists have been fetched. Callback is called with HTML status code and an array of playlist or 'undefined' if the the status code is not <code>200</code>.
+	 * @param options the fetch options, see {@link DaapClient#fetchStreams(callback, options)} - optional
+	 */
+	this.fetchPlaylists = function(callback, options) {
+		checkLogin();
+		var o = fetchOptions(options);
+		execute(function(aCallback) {
+			return new PlaylistsRequestHandler(sid, rid, o.databaseId, contentCodes, aCallback);
+		}, callback, o);
+	};
+
+	/**
+	 * Fetch all audio streams of the specified playlist, in the playlist order.
+	 * <p>
+	 * Each stream is described by the JSON format detailed in {@link DaapClient#fetchStreams(callback)} with in
+	 * addition:
+	 * <ul>
+	 * <li>playlistItemId : the DAAP ID of the stream within the playlist
+	 * </ul>
+	 * <p>
+	 * @param playlistId the DAAP ID of the playlist
+	 * @param callback the callback function called once the streams have been fetched. Callback is called with HTML status code and an array of stream or 'undefined' if the the status code is not <code>200</code>.
+	 * @param options the fetch options, see {@link DaapClient#fetchStreams(callback, options)} - optional
+	 */
+	this.fetchPlaylistItems = function(playlistId, callback, options) {
+		checkLogin();
+		var o = fetchOptions(options);
+		o.playlistId = playlistId;
+		if(failUnsupported([], o, callback)) {
+			return;
+		}
+		execute(function(aCallback) {
+			return new DatabaseRequestHandler(sid, rid, server, contentCodes, o, aCallback);
+		}, callback, o);
+	};
+
+
+	/**
+	 * Fetch the distinct artists of the streams served by the DAAP server.
+	 *
+	 * @param callback the callback function called once the artists have been fetched. Callback is called with HTML status code and an array of artist names or 'undefined' if the the status code is not <code>200</code>.
+	 * @param options the fetch options - optional:
+	 *            <ul>
+	 *            <li>databaseId : the DAAP ID of the database - if omitted, the main database is assumed
+	 *            <li>query : the {@link DaapQuery} (or the DAAP expression) filtering the streams on the server -
+	 *            e.g. <code>DaapClient.Query.equals("daap.songgenre", "Rock")</code>
+	 *            <li>distinct : <code>true</code> to list the distinct values of the streams if the server reports
+	 *            browsing as unsupported, which otherwise fails with an {@link UnsupportedFeatureError}; the
+	 *            property of every stream of the database is then downloaded, which takes time and memory on a large
+	 *            library
+	 *            <li>timeout, signal, headers : the request options, see
+	 *            {@link DaapClient#fetchContentCodes(callback, options)}
+	 *            </ul>
+	 *            the DAAP ID of the database can also be given in place of the options
+	 */
+	this.fetchArtists = function(callback, options) {
+		browse("artists", callback, options);
+	};
+
+	/**
+	 * Fetch the distinct albums of the streams served by the DAAP server; e.g. the albums of an artist with
+	 * <code>{ query: DaapClient.Query.equals("daap.songartist", "Foo") }</code>.
+	 *
+	 * @param callback the callback function called once the albums have been fetched. Callback is called with HTML status code and an array of album names or 'undefined' if the the status code is not <code>200</code>.
+	 * @param options the fetch options, see {@link DaapClient#fetchArtists(callback, options)} - optional
+	 */
+	this.fetchAlbums = function(callback, options) {
+		browse("albums", callback, options);
+	};
+
+	/**
+	 * Fetch the distinct genres of the streams served by the DAAP server.
+	 *
+	 * @param callback the callback function called once the genres have been fetched. Callback is called with HTML status code and an array of genre names or 'undefined' if the the status code is not <code>200</code>.
+	 * @param options the fetch options, see {@link DaapClient#fetchArtists(callback, options)} - optional
+	 */
+	this.fetchGenres = function(callback, options) {
+		browse("genres", callback, options);
+	};
+
+	/**
+	 * Fetch the distinct composers of the streams served by the DAAP server.
+	 *
+	 * @param callback the callback function called once the composers have been fetched. Callback is called with HTML status code and an array of composer names or 'undefined' if the the status code is not <code>200</code>.
+	 * @param options the fetch options, see {@link DaapClient#fetchArtists(callback, options)} - optional
+	 */
+	this.fetchComposers = function(callback, options) {
+		browse("composers", callback, options);
+	};
+
+	/** @private the stream property listed by each browsed category. */
+	var BROWSED_PROPERTIES = {
+		artists: "artist",
+		albums: "album",
+		genres: "genre",
+		composers: "composer"
+	};
+
+	/**
+	 * Browse the specified category.
+	 *
+	 * @private
+	 * @param category {String} the category: artists, albums, genres or composers
+	 * @param callback the callback function
+	 * @param options the fetch options
+	 */
+	function browse(category, callback, options) {
+		checkLogin();
+		var o = fetchOptions(options);
+		if(failUnsupported(o.distinct === true ? [] : ["browse"], o, callback)) {
+			return;
+		}
+		if(o.distinct === true && serverInfo != null && serverInfo.supports.browse === false) {
+			// list the distinct values of the streams instead.
+			var property = BROWSED_PROPERTIES[category];
+			o.meta = [property];
+			execute(function(aCallback) {
+				return new DatabaseRequestHandler(sid, rid, server, contentCodes, o, aCallback);
+			}, function(code, streams, error) {
+				callback(code, code == 200 ? distinctValues(streams, property) : undefined, error);
+			}, o);
+			return;
+		}
+		execute(function(aCallback) {
+			return new BrowseRequestHandler(sid, rid, category, o, aCallback);
+		}, callback, o);
+	}
+
+
+	/**
+	 * Create a playlist, see {@link DaapClient#fetchPlaylists(callback, options)}.
+	 * <p>
+	 * The edits of the playlists require a server supporting edits: a server reporting otherwise in its server info
+	 * fails at once, and a server rejecting the edit as not supported (HTML status code 405 or 501) fails, with an
+	 * {@link UnsupportedFeatureError}. An edit the server rejects otherwise, e.g. of an unknown playlist (404), fails
+	 * with a {@link DaapError} of that status.
+	 * Edits are not retried upon failure (see {@link DaapClient#setRetries(count, delay)}) and the revision of the
+	 * library is refreshed once done.
+	 *
+	 * @param name {String} the name of the playlist
+	 * @param callback the callback function called once the playlist has been created. Callback is called with HTML status code and the DAAP ID of the new playlist - 'undefined' if not reported by the server.
+	 * @param options the fetch options, see {@link DaapClient#fetchArtists(callback, options)} - optional
+	 */
+	this.createPlaylist = function(name, callback, options) {
+		edit(undefined, "add", [["dmap.itemname", name]], callback, options);
+	};
+
+	/**
+	 * Rename the specified playlist, see {@link DaapClient#createPlaylist(name, callback, options)}.
+	 *
+	 * @param playlistId the DAAP ID of the playlist
+	 * @param name {String} the new name of the playlist
+	 * @param callback the callback function called once the playlist has been renamed. The HTML status code is returned.
+	 * @param options the fetch options, see {@link DaapClient#fetchArtists(callback, options)} - optional
+	 */
+	this.renamePlaylist = function(playlistId, name, callback, options) {
+		edit(undefined, "refresh", [["dmap.itemid", playlistId], ["dmap.itemname", name]], callback, options);
+	};
+
+	/**
+	 * Delete the specified playlist, see {@link DaapClient#createPlaylist(name, callback, options)}.
+	 *
+	 * @param playlistId the DAAP ID of the playlist
+	 * @param callback the callback function called once the playlist has been deleted. The HTML status code is returned.
+	 * @param options the fetch options, see {@link DaapClient#fetchArtists(callback, options)} - optional
+	 */
+	this.deletePlaylist = function(playlistId, callback, options) {
+		edit(undefined, "remove", [["dmap.itemid", playlistId]], callback, options);
+	};
+
+	/**
+	 * Append the specified streams to the specified playlist, see
+	 * {@link DaapClient#createPlaylist(name, callback, options)}.
+	 *
+	 * @param playlistId the DAAP ID of the playlist
+	 * @param items {Array} the streams, or their DAAP IDs (itemId)
+	 * @param callback the callback function called once the streams have been added. The HTML status code is returned.
+	 * @param options the fetch options, see {@link DaapClient#fetchArtists(callback, options)} - optional
+	 */
+	this.addItemsToPlaylist = function(playlistId, items, callback, options) {
+		edit(playlistId, "add", editParams("dmap.itemid", items, "itemId"), callback, options);
+	};
+
+	/**
+	 * Remove the specified streams from the specified playlist, see
+	 * {@link DaapClient#createPlaylist(name, callback, options)}.
+	 *
+	 * @param playlistId the DAAP ID of the playlist
+	 * @param items {Array} the streams of the playlist, or their DAAP IDs within the playlist (playlistItemId), see
+	 *            {@link DaapClient#fetchPlaylistItems(playlistId, callback, options)}
+	 * @param callback the callback function called once the streams have been removed. The HTML status code is returned.
+	 * @param options the fetch options, see {@link DaapClient#fetchArtists(callback, options)} - optional
+	 */
+	this.removeItemsFromPlaylist = function(playlistId, items, callback, options) {
+		edit(playlistId, "remove", editParams("dmap.containeritemid", items, "playlistItemId"), callback, options);
+	};
+
+	/**
+	 * Move the specified stream of the specified playlist after another stream of the playlist, see
+	 * {@link DaapClient#createPlaylist(name, callback, options)}.
+	 *
+	 * @param playlistId the DAAP ID of the playlist
+	 * @param item the stream of the playlist, or its DAAP ID within the playlist (playlistItemId)
+	 * @param after the stream after which the stream is moved, or its DAAP ID within the playlist -
+	 *            <code>0</code> to move the stream first
+	 * @param callback the callback function called once the stream has been moved. The HTML status code is returned.
+	 * @param options the fetch options, see {@link DaapClient#fetchArtists(callback, options)} - optional
+	 */
+	this.moveItemInPlaylist = function(playlistId, item, after, callback, options) {
+		var pair = [idOf(item, "playlistItemId"), idOf(after, "playlistItemId")];
+		edit(playlistId, "move", [["edit-param.move-pair", pair]], callback, options);
+	};
+
+	/**
+	 * Edit the playlists of the database, or the streams of the specified playlist, then refresh the revision.
+	 *
+	 * @private
+	 * @param playlistId the DAAP ID of the edited playlist, 'undefined' to edit the playlists
+	 * @param action {String} the edit action
+	 * @param params {Array} the edit parameters
+	 * @param callback the callback function
+	 * @param options the fetch options
+	 */
+	function edit(playlistId, action, params, callback, options) {
+		checkLogin();
+		var o = fetchOptions(options);
+		if(failUnsupported(["edit"], o, callback)) {
+			return;
+		}
+		// an edit is not idempotent: the server may have applied an edit whose response was lost.
+		o.retries = 0;
+		execute(function(aCallback) {
+			return new EditRequestHandler(sid, contentCodes, o.databaseId, playlistId, action, params, aCallback);
+		}, function(code, result, error) {
+			if(code != 200) {
+				callback(code, result, error);
+				return;
+			}
+			var handler = new UpdateRequestHandler(sid, {
+				ridUpdated: function(aRid) {
+					rid = aRid;
+					callback(200, result);
+				},
+				fail: function() {
+					// the edit is done: the revision is refreshed by the next update.
+					callback(200, result);
+				}
+			});
+			httpClient.execute(handler, o);
+		}, o);
+	}
+
+	/**
+	 * Return the edit parameters giving the specified IDs.
+	 *
+	 * @private
+	 * @param name {String} the name of the parameters
+	 * @param items {Array} the IDs, or the objects holding them
+	 * @param property {String} the property holding the ID of an object
+	 * @return the edit parameters
+	 */
+	function editParams(name, items, property) {
+		var params = [];
+		for(var i = 0; i < items.length; i++) {
+			params.push([name, idOf(items[i], property)]);
+		}
+		return params;
+	}
+
+	/**
+	 * Return the specified ID, or the ID held by the specified object.
+	 *
+	 * @private
+	 * @param item the ID, or the object holding it
+	 * @param property {String} the property holding the ID of an object
+	 * @return the ID
+	 */
+	function idOf(item, property) {
+		return typeof (item) == 'object' && item != null ? item[property] : item;
+	}
+
+	/**
+	 * Return the URL of the artwork of the specified stream, album or playlist, e.g. for an &lt;img&gt; tag. The URL
+	 * holds the session ID; no HTTP header can be added though, see {@link DaapClient#fetchArtwork(target, size,
+	 * callback, options)} for the servers requiring authentication or a client profile.
+	 *
+	 * @param target {Object} the target of the artwork: a stream (or any object giving its itemId), an object giving
+	 *            the albumId of an album (daap.songalbumid) or the playlistId of a playlist
+	 * @param size {int|Object} the size of the artwork in pixels, or its width and height - e.g.
+	 *            <code>{ width: 300, height: 200 }</code> - optional, the server chooses the size if omitted
+	 * @param options the fetch options - optional:
+	 *            <ul>
+	 *            <li>databaseId : the DAAP ID of the database - if omitted, the main database is assumed
+	 *            </ul>
+	 * @return the URL of the artwork
+	 */
+	this.getArtworkUrl = function(target, size, options) {
+		checkLogin();
+		var handler = new ArtworkRequestHandler(sid, fetchOptions(options).databaseId, target, size);
+		return server + "/" + handler.getUri();
+	};
+
+	/**
+	 * Fetch the artwork of the specified stream, album or playlist.
+	 * <p>
+	 * The artwork is described by the following JSON format:
+	 * <ul>
+	 * <li>type : the content type of the image, e.g. image/jpeg
+	 * <li>data : the bytes of the image as an {ArrayBuffer} - e.g. <code>new Blob([artwork.data], { type: artwork.type })</code>
+	 * </ul>
+	 *
+	 * @param target {Object} the target of the artwork, see {@link DaapClient#getArtworkUrl(target, size, options)}
+	 * @param size {int|Object} the size of the artwork in pixels, or its width and height - optional
+	 * @param callback the callback function called once the artwork has been fetched. Callback is called with HTML status code and the artwork - <code>null</code> if the server has no artwork for the target - or 'undefined' if the the status code is not <code>200</code>.
+	 * @param options the fetch options - optional:
+	 *            <ul>
+	 *            <li>databaseId : the DAAP ID of the database - if omitted, the main database is assumed
+	 *            <li>timeout, signal, headers : the request options, see
+	 *            {@link DaapClient#fetchContentCodes(callback, options)}
+	 *            </ul>
+	 */
+	this.fetchArtwork = function(target, size, callback, options) {
+		checkLogin();
+		var o = fetchOptions(options);
+		if(failUnsupported([], o, callback)) {
+			return;
+		}
+		execute(function(aCallback) {
+			return new ArtworkRequestHandler(sid, o.databaseId, target, size, aCallback);
+		}, callback, o);
+	};
+
+	/**
+	 * Fetch the audio of the specified stream, or a byte range of it, with the HTTP headers of the client (client
+	 * profile, credentials...) which an &lt;audio&gt; element cannot send with the stream uri. The audio is either:
+	 * <ul>
+	 * <li>returned once complete as a Blob URL - e.g. <code>audio.src = result.url</code> -, the audio element playing
+	 * and seeking within the bytes received: the whole audio is then held in memory, once (twice with data) until the
+	 * URL is revoked
+	 * <li>returned as soon as it arrives, its body being the ReadableStream of its parts - stream option -, or handed
+	 * over part by part - onChunk option -, e.g. to the SourceBuffer of a MediaSource created for its mimeType. Seeking
+	 * then fetches the audio again from the offset of the new position (offset option), its parts being appended
+	 * where they belong: the offset of the audio gives their place in the whole audio
+	 * </ul>
+	 * A range of the audio (offset or length) is not playable as a song of its own by an audio element: it is meant
+	 * for a MediaSource, or to be appended to the parts fetched before.
+	 * <p>
+	 * The audio is described by the following JSON format:
+	 * <ul>
+	 * <li>type : the content type of the audio, e.g. audio/mpeg
+	 * <li>mimeType : the type of the audio for a MediaSource (MediaSource.isTypeSupported, addSourceBuffer), with its
+	 * codec when known - e.g. <code>audio/mp4; codecs="mp4a.40.2"</code>
+	 * <li>offset : the offset of the first byte received - <code>0</code> if the server ignored the requested range
+	 * <li>length : the number of bytes received - once the audio is complete, <code>-1</code> before
+	 * <li>size : the size of the whole audio in bytes, <code>-1</code> if not reported
+	 * <li>body : the ReadableStream of the parts of the audio ({Uint8Array}) - with the stream option; cancelling it
+	 * stops the request
+	 * <li>url : the Blob URL of the bytes received, where Blob URLs are available (revoke it with
+	 * URL.revokeObjectURL once played) - unless streamed or handed over part by part
+	 * <li>data : the bytes received as an {ArrayBuffer} - with the data option, or where Blob URLs are not available
+	 * </ul>
+	 * Behind a proxy, the proxy shall forward the Range header and, in browsers, allow the headers of the client
+	 * (Access-Control-Allow-Headers) and expose Content-Range (Access-Control-Expose-Headers).
+	 * <p>
+	 * Example of seeking with a MediaSource:
+	 * <pre>
+	 * const audio = await client.async.getStream(stream, { offset: byteOffset, stream: true });
+	 * const buffer = mediaSource.addSourceBuffer(audio.mimeType);
+	 * for await (const part of audio.body) { ... buffer.appendBuffer(part); ... }
+	 * </pre>
+	 *
+	 * @param item {Object|int} the stream (or any object giving its itemId and format) or its DAAP ID
+	 * @param callback the callback function called once the audio has been fetched - with the stream option, once it
+	 *            starts arriving. Callback is called with HTML status code and the audio or 'undefined' if the the status code is not <code>200</code>.
+	 * @param options the fetch options - optional:
+	 *            <ul>
+	 *            <li>offset : the offset (bytes) of the first byte requested (HTTP Range) - if omitted, the audio is
+	 *            requested from its start
+	 *            <li>length : the number of bytes requested, greater than <code>0</code> - if omitted, the audio is
+	 *            requested up to its end
+	 *            <li>transcode : the format in which the audio is requested from a server transcoding on request
+	 *            (Accept-Codecs), e.g. "mp3" or "wav" - if omitted, the format of the stream
+	 *            <li>stream : <code>true</code> to return the audio as soon as it arrives, its parts being read from
+	 *            its body - where ReadableStream is available
+	 *            <li>onChunk : the function called with each part of the audio ({Uint8Array}) and the audio as it
+	 *            arrives - the audio is then neither kept nor returned
+	 *            <li>data : <code>true</code> to also return the bytes of the audio
+	 *            <li>databaseId : the DAAP ID of the database - if omitted, the main database is assumed
+	 *            <li>timeout, signal, headers : the request options, see
+	 *            {@link DaapClient#fetchContentCodes(callback, options)}
+	 *            </ul>
+	 * @throws DaapError if the length is not greater than <code>0</code>, or if the stream option is given where
+	 *             ReadableStream is not available
+	 */
+	this.getStream = function(item, callback, options) {
+		checkLogin();
+		var o = fetchOptions(options);
+		if( typeof (o.length) != 'undefined' && !(typeof (o.length) == 'number' && o.length > 0)) {
+			throw new DaapError("Invalid length: " + o.length);
+		}
+		if(o.stream === true && typeof (ReadableStream) == 'undefined') {
+			throw new DaapError("ReadableStream not available.");
+		}
+		var headers = {};
+		for(var name in o.headers) {
+			if(o.headers.hasOwnProperty(name)) {
+				headers[name] = o.headers[name];
+			}
+		}
+		var offset = typeof (o.offset) == 'number' && o.offset > 0 ? o.offset : 0;
+		if(offset > 0 || typeof (o.length) == 'number') {
+			headers["Range"] = "bytes=" + offset + "-" + ( typeof (o.length) == 'number' ? offset + o.length - 1 : "");
+		}
+		if( typeof (o.transcode) == 'string') {
+			headers["Accept-Codecs"] = CODECS.hasOwnProperty(o.transcode) ? CODECS[o.transcode] : o.transcode;
+		}
+		o.headers = headers;
+		execute(function(aCallback) {
+			return new StreamRequestHandler(sid, o.databaseId, item, {
+				format: o.transcode,
+				onChunk: o.onChunk,
+				stream: o.stream,
+				data: o.data
+			}, aCallback);
+		}, callback, o);
+	};
+
+
+	/**
+	 * Watch the changes made to the library of the DAAP server. While at least one listener is registered, the client
+	 * long-polls the server for a new revision; whenever the revision changes, the changes since the previous
+	 * revision are fetched and each listener is called with the HTML status code and the changes described by the
+	 * following JSON format:
+	 * <ul>
+	 * <li>revision : the new revision ID
+	 * <li>previousRevision : the previous revision ID
+	 * <li>updated : the streams added or changed since the previous revision, see
+	 * {@link DaapClient#fetchStreams(callback, options)}
+	 * <li>deleted : the DAAP IDs (itemId) of the streams deleted since the previous revision
+	 * </ul>
+	 * If the server cannot be polled, each listener is called with the HTML status code, 'undefined' and the
+	 * {@link DaapError} and all the listeners are unregistered. If the server reports that it does not support
+	 * updates, the listener is called with an {@link UnsupportedFeatureError} and is not registered.
+	 *
+	 * @param listener the listener function called upon each change
+	 * @param options the fetch options of the updated streams, see {@link DaapClient#fetchStreams(callback, options)} - optional
+	 */
+	this.watch = function(listener, options) {
+		checkLogin();
+		var o = fetchOptions(options);
+		if(failUnsupported(["update"], o, listener)) {
+			return;
+		}
+		watchers.push({
+			listener: listener,
+			options: o
+		});
+		if(polling == null) {
+			polling = {};
+			pollUpdate(polling);
+		}
+	};
+
+	/**
+	 * Stop notifying the specified listener of the library changes. Polling stops once no listener is registered: the
+	 * pending update request is aborted.
+	 *
+	 * @param listener the listener function registered with {@link DaapClient#watch(listener, options)}
+	 */
+	this.unwatch = function(listener) {
+		for(var i = watchers.length - 1; i >= 0; i--) {
+			if(watchers[i].listener === listener) {
+				watchers.splice(i, 1);
+			}
+		}
+		if(watchers.length == 0) {
+			stopPolling();
+		}
+	};
+
+	/**
+	 * Long-poll the server for a new revision while at least one listener is registered.
+	 *
+	 * @private
+	 * @param aPolling the polling, ignored once superseded or stopped
+	 */
+	function pollUpdate(aPolling) {
+		if(polling !== aPolling) {
+			return;
+		}
+		if(watchers.length == 0) {
+			stopPolling();
+			return;
+		}
+		aPolling.controller = typeof (AbortController) == 'function' ? new AbortController() : null;
+		var handler = new UpdateRequestHandler(sid, {
+			ridUpdated: function(aRid) {
+				if(polling !== aPolling) {
+					return;
+				}
+				if(aRid == rid) {
+					// server timeout, the revision has not changed.
+					pollUpdate(aPolling);
+				} else {
+					revisionChanged(aPolling, rid, aRid);
+				}
+			},
+			fail: function(error) {
+				if(polling !== aPolling) {
+					return;
+				}
+				if(error instanceof SessionExpiredError && sid != null) {
+					sessionRenewed(aPolling);
+					return;
+				}
+				pollingFailed(error.status, error);
+			}
+		}, rid);
+		// the server holds the request until the revision changes: no timeout.
+		httpClient.execute(handler, {
+			timeout: 0,
+			signal: aPolling.controller != null ? aPolling.controller.signal : undefined
+		});
+	}
+
+	/**
+	 * Stop polling the server: the pending update request, if any, is aborted.
+	 *
+	 * @private
+	 */
+	function stopPolling() {
+		var stopped = polling;
+		polling = null;
+		if(stopped != null && stopped.controller != null) {
+			stopped.controller.abort();
+		}
+	}
+
+	/**
+	 * Stop polling and notify all the listeners of the specified failure; the listeners are unregistered.
+	 *
+	 * @private
+	 * @param code the HTML status code
+	 * @param error the {@link DaapError}
+	 */
+	function pollingFailed(code, error) {
+		var failed = watchers;
+		watchers = [];
+		stopPolling();
+		for(var i = 0; i < failed.length; i++) {
+			failed[i].listener(code, undefined, error);
+		}
+	}
+
+	/**
+	 * Log on again once the session used to poll the server has expired, then resume polling: the changes made
+	 * meanwhile are fetched if the revision differs.
+	 *
+	 * @private
+	 * @param aPolling the polling
+	 */
+	function sessionRenewed(aPolling) {
+		var previousRid = rid;
+		relogin(function(code, aDatabases, error) {
+			if(polling !== aPolling) {
+				return;
+			}
+			if(code == 200) {
+				if(rid == previousRid) {
+					pollUpdate(aPolling);
+				} else {
+					var newRid = rid;
+					rid = previousRid;
+					revisionChanged(aPolling, previousRid, newRid);
+				}
+			} else {
+				pollingFailed(code, error);
+			}
+		});
+	}
+
+	/**
+	 * Fetch the changes between the specified revisions for each registered listener and resume polling.
+	 *
+	 * @private
+	 * @param aPolling the polling
+	 * @param previousRid the previous revision ID
+	 * @param newRid the new revision ID
+	 */
+	function revisionChanged(aPolling, previousRid, newRid) {
+		rid = newRid;
+		var notified = watchers.slice(0);
+		var pending = notified.length;
+		for(var i = 0; i < notified.length; i++) {
+			var options = notified[i].options;
+			options.delta = previousRid;
+			execute(deltaHandler(options), changesFetched(notified[i].listener, previousRid, newRid, function() {
+				pending--;
+				if(pending == 0) {
+					pollUpdate(aPolling);
+				}
+			}));
+		}
+	}
+
+	/**
+	 * Return the function creating the request handler of the changes since the revision specified in the options.
+	 *
+	 * @private
+	 * @param options the fetch options, with the previous revision ID as delta
+	 * @return the function creating the request handler
+	 */
+	function deltaHandler(options) {
+		return function(callback) {
+			return new DatabaseRequestHandler(sid, rid, server, contentCodes, options, callback);
+		};
+	}
+
+	/**
+	 * Return the callback notifying the specified listener of the fetched changes.
+	 *
+	 * @private
+	 * @param listener the listener function
+	 * @param previousRid the previous revision ID
+	 * @param newRid the new revision ID
+	 * @param done the function called once the listener has been notified
+	 * @return the callback of the changes request
+	 */
+	function changesFetched(listener, previousRid, newRid, done) {
+		return function(code, changes, error) {
+			if(code == 200) {
+				listener(code, {
+					revision: newRid,
+					previousRevision: previousRid,
+					updated: changes.updated,
+					deleted: changes.deleted
+				});
+			} else {
+				listener(code, undefined, error);
+			}
+			done();
+		};
+	}
+
+
+	/**
+	 * The Promise based API: each method calls the corresponding callback based method and returns a Promise
+	 * resolved with the result of the request or rejected with a {@link DaapError}.
+	 * <p>
+	 * Example of use:
+	 * <pre>
+	 * const databases = await client.async.login();
+	 * const streams = await client.async.fetchStreams({ query: DaapClient.Query.equals("daap.songartist", "Foo") });
+	 * </pre>
+	 */
+	this.async = {
+
+		/**
+		 * See {@link DaapClient#secureLogin(password, callback, options)}.
+		 *
+		 * @return a Promise resolved with the databases served by the DAAP server
+		 */
+		secureLogin: function(password, options) {
+			return promised(function(callback) {
+				self.secureLogin(password, callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DaapClient#login(callback, options)}.
+		 *
+		 * @return a Promise resolved with the databases served by the DAAP server
+		 */
+		login: function(options) {
+			return promised(function(callback) {
+				self.login(callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DaapClient#logout(callback, options)}.
+		 *
+		 * @return a Promise resolved once logged out
+		 */
+		logout: function(options) {
+			return promised(function(callback) {
+				self.logout(callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DaapClient#fetchServerInfo(callback, options)}.
+		 *
+		 * @return a Promise resolved with the server info
+		 */
+		fetchServerInfo: function(options) {
+			return promised(function(callback) {
+				self.fetchServerInfo(callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DaapClient#fetchContentCodes(callback, options)}.
+		 *
+		 * @return a Promise resolved once the content codes have been fetched
+		 */
+		fetchContentCodes: function(options) {
+			return promised(function(callback) {
+				self.fetchContentCodes(callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DaapClient#fetchDatabases(callback, options)}.
+		 *
+		 * @return a Promise resolved with the databases
+		 */
+		fetchDatabases: function(options) {
+			return promised(function(callback) {
+				self.fetchDatabases(callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DaapClient#fetchStreams(callback, options)}.
+		 *
+		 * @return a Promise resolved with the streams
+		 */
+		fetchStreams: function(options) {
+			return promised(function(callback) {
+				self.fetchStreams(callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DaapClient#fetchCachedStreams(callback, options)}.
+		 *
+		 * @return a Promise resolved with the cached streams, <code>null</code> if none
+		 */
+		fetchCachedStreams: function(options) {
+			return promised(function(callback) {
+				self.fetchCachedStreams(callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DaapClient#searchCachedStreams(text, callback, options)}.
+		 *
+		 * @return a Promise resolved with the matching streams
+		 */
+		searchCachedStreams: function(text, options) {
+			return promised(function(callback) {
+				self.searchCachedStreams(text, callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DaapClient#fetchPlaylists(callback, options)}.
+		 *
+		 * @return a Promise resolved with the playlists
+		 */
+		fetchPlaylists: function(options) {
+			return promised(function(callback) {
+				self.fetchPlaylists(callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DaapClient#createPlaylist(name, callback, options)}.
+		 *
+		 * @return a Promise resolved with the DAAP ID of the new playlist
+		 */
+		createPlaylist: function(name, options) {
+			return promised(function(callback) {
+				self.createPlaylist(name, callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DaapClient#renamePlaylist(playlistId, name, callback, options)}.
+		 *
+		 * @return a Promise resolved once the playlist has been renamed
+		 */
+		renamePlaylist: function(playlistId, name, options) {
+			return promised(function(callback) {
+				self.renamePlaylist(playlistId, name, callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DaapClient#deletePlaylist(playlistId, callback, options)}.
+		 *
+		 * @return a Promise resolved once the playlist has been deleted
+		 */
+		deletePlaylist: function(playlistId, options) {
+			return promised(function(callback) {
+				self.deletePlaylist(playlistId, callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DaapClient#addItemsToPlaylist(playlistId, items, callback, options)}.
+		 *
+		 * @return a Promise resolved once the streams have been added
+		 */
+		addItemsToPlaylist: function(playlistId, items, options) {
+			return promised(function(callback) {
+				self.addItemsToPlaylist(playlistId, items, callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DaapClient#removeItemsFromPlaylist(playlistId, items, callback, options)}.
+		 *
+		 * @return a Promise resolved once the streams have been removed
+		 */
+		removeItemsFromPlaylist: function(playlistId, items, options) {
+			return promised(function(callback) {
+				self.removeItemsFromPlaylist(playlistId, items, callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DaapClient#moveItemInPlaylist(playlistId, item, after, callback, options)}.
+		 *
+		 * @return a Promise resolved once the stream has been moved
+		 */
+		moveItemInPlaylist: function(playlistId, item, after, options) {
+			return promised(function(callback) {
+				self.moveItemInPlaylist(playlistId, item, after, callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DaapClient#fetchPlaylistItems(playlistId, callback, options)}.
+		 *
+		 * @return a Promise resolved with the streams of the playlist
+		 */
+		fetchPlaylistItems: function(playlistId, options) {
+			return promised(function(callback) {
+				self.fetchPlaylistItems(playlistId, callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DaapClient#fetchArtists(callback, options)}.
+		 *
+		 * @return a Promise resolved with the artist names
+		 */
+		fetchArtists: function(options) {
+			return promised(function(callback) {
+				self.fetchArtists(callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DaapClient#fetchAlbums(callback, options)}.
+		 *
+		 * @return a Promise resolved with the album names
+		 */
+		fetchAlbums: function(options) {
+			return promised(function(callback) {
+				self.fetchAlbums(callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DaapClient#fetchGenres(callback, options)}.
+		 *
+		 * @return a Promise resolved with the genre names
+		 */
+		fetchGenres: function(options) {
+			return promised(function(callback) {
+				self.fetchGenres(callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DaapClient#fetchComposers(callback, options)}.
+		 *
+		 * @return a Promise resolved with the composer names
+		 */
+		fetchComposers: function(options) {
+			return promised(function(callback) {
+				self.fetchComposers(callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DaapClient#getStream(item, callback, options)}.
+		 *
+		 * @return a Promise resolved with the audio
+		 */
+		getStream: function(item, options) {
+			return promised(function(callback) {
+				self.getStream(item, callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DaapClient#fetchArtwork(target, size, callback, options)}.
+		 *
+		 * @return a Promise resolved with the artwork, <code>null</code> if none
+		 */
+		fetchArtwork: function(target, size, options) {
+			return promised(function(callback) {
+				self.fetchArtwork(target, size, callback, options);
+			});
+		}
+
+	};
+
+	/**
+	 * Return a Promise settled by the callback given to the specified call: resolved with the result if the status
+	 * code is <code>200</code>, rejected with a {@link DaapError} otherwise.
+	 *
+	 * @private
+	 * @param call the function calling a callback based method with the specified callback
+	 * @return the Promise
+	 */
+	function promised(call) {
+		return new Promise(function(resolve, reject) {
+			call(function(code, result, error) {
+				if(code == 200) {
+					resolve(result);
+				} else {
+					reject(error);
+				}
+			});
+		});
+	}
+
+}
+
+@DaapQuery;
+
+/**
+ * The DAAP query builder, see {@link DaapQuery}.
+ */
+DaapClient.Query = DaapQuery;
+
+@ServiceBrowser;
+
+/**
+ * The browser of the DAAP and DACP servers announced over multicast DNS (Node), see {@link ServiceBrowser}.
+ */
+DaapClient.ServiceBrowser = ServiceBrowser;
+
+@DaapError;
+
+/**
+ * The Error reported when a request fails, see {@link DaapError}.
+ */
+DaapClient.Error = DaapError;
+
+@AuthenticationError;
+
+/**
+ * The Error reported when the server rejects the credentials, see {@link AuthenticationError}.
+ */
+DaapClient.AuthenticationError = AuthenticationError;
+
+@SessionExpiredError;
+
+/**
+ * The Error reported when the server rejects the session, see {@link SessionExpiredError}.
+ */
+DaapClient.SessionExpiredError = SessionExpiredError;
+
+@MalformedPacketError;
+
+/**
+ * The Error reported when a response is not a valid DAAP packet, see {@link MalformedPacketError}.
+ */
+DaapClient.MalformedPacketError = MalformedPacketError;
+
+@NetworkError;
+
+/**
+ * The Error reported when the server cannot be reached, see {@link NetworkError}.
+ */
+DaapClient.NetworkError = NetworkError;
+
+@ServerStatusError;
+
+/**
+ * The Error reported when the server responds with a DAAP status other than 200, see {@link ServerStatusError}.
+ */
+DaapClient.ServerStatusError = ServerStatusError;
+
+@RequestAbortedError;
+
+/**
+ * The Error reported when a request is aborted, see {@link RequestAbortedError}.
+ */
+DaapClient.RequestAbortedError = RequestAbortedError;
+
+@UnsupportedFeatureError;
+
+/**
+ * The Error reported when the server does not support the requested feature, see {@link UnsupportedFeatureError}.
+ */
+DaapClient.UnsupportedFeatureError = UnsupportedFeatureError;
+
+// export the client when loaded as a CommonJS module (Node).
+if( typeof (module) != 'undefined' && module.exports) {
+	module.exports = DaapClient;
+}
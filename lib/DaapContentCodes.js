@@ -0,0 +1,296 @@
+/**
+ * The DAAP content codes: a dictionary of the DMAP tags (dmap.*, daap.* and com.apple.itunes.*) giving, for each 4
+ * character code, its name and the type of its data. The type of a tag is one of:
+ * <ul>
+ * <li><code>byte</code>: 1 byte integer
+ * <li><code>short</code>: 2 bytes integer
+ * <li><code>int</code>: 4 bytes integer
+ * <li><code>long</code>: 8 bytes integer
+ * <li><code>string</code>: text
+ * <li><code>date</code>: 4 bytes integer, seconds since epoch
+ * <li><code>version</code>: 4 bytes, 2 bytes major, 1 byte minor, 1 byte patch
+ * <li><code>container</code>: a sequence of chunks
+ * </ul>
+ * Integer tags are unsigned unless flagged as <code>signed</code>. Container tags flagged as <code>listing</code> hold
+ * a list of chunks (e.g. <code>mlcl</code>).
+ * <p>
+ * The dictionary can be completed with the content codes served by the DAAP server, see
+ * {@link DaapContentCodes#load(packet)}.
+ *
+ * @see <a href="http://tapjam.net/daap">DAAP Protocol documentation v0.2</a>
+ *
+ * @constructor
+ */
+function DaapContentCodes() {
+
+    /** @private the DMAP types as sent by the server in the content codes response (mcty). */
+    var TYPES = {
+        1: { type: "byte", signed: true },
+        2: { type: "byte" },
+        3: { type: "short", signed: true },
+        4: { type: "short" },
+        5: { type: "int", signed: true },
+        6: { type: "int" },
+        7: { type: "long", signed: true },
+        8: { type: "long" },
+        9: { type: "string" },
+        10: { type: "date" },
+        11: { type: "version" },
+        12: { type: "container" }
+    };
+
+    /** @private the known tags indexed by code. */
+    var codes = {};
+
+    /** @private the known tags indexed by name. */
+    var names = {};
+
+    /**
+     * Return the tag corresponding to the specified code.
+     * <p>
+     * The tag is described by the following JSON format:
+     * <ul>
+     * <li>code : the 4 character code
+     * <li>name : the name of the tag, e.g. dmap.itemid
+     * <li>type : the type of the data
+     * <li>signed : <code>true</code> if the tag is a signed integer
+     * <li>listing : <code>true</code> if the tag is a container holding a list of chunks
+     * </ul>
+     *
+     * @param code {String} the specified code
+     * @return the tag corresponding to the specified code or <code>null</code> if the code is unknown
+     */
+    this.lookup = function(code) {
+        if(codes.hasOwnProperty(code)) {
+            return codes[code];
+        }
+        return null;
+    };
+
+    /**
+     * Return the tag corresponding to the specified name, see {@link DaapContentCodes#lookup(code)}.
+     *
+     * @param name {String} the specified name, e.g. dmap.itemid
+     * @return the tag corresponding to the specified name or <code>null</code> if the name is unknown
+     */
+    this.lookupByName = function(name) {
+        if(names.hasOwnProperty(name)) {
+            return names[name];
+        }
+        return null;
+    };
+
+    /**
+     * Register the specified tag, replacing any tag previously registered with the same code.
+     *
+     * @param code {String} the 4 character code
+     * @param name {String} the name of the tag
+     * @param type {String} the type of the data
+     * @param flags {Object} the flags of the tag - optional: <code>signed</code> and/or <code>listing</code>
+     */
+    this.register = function(code, name, type, flags) {
+        if( typeof (flags) == 'undefined') {
+            flags = {};
+        }
+        codes[code] = {
+            code: code,
+            name: name,
+            type: type,
+            signed: flags.signed === true,
+            listing: flags.listing === true
+        };
+        names[name] = codes[code];
+    };
+
+    /**
+     * Load the content codes served by the DAAP server. Only the codes not yet known are registered.
+     *
+     * @param packet {DaapPacket} the DAAP packet received from the server upon content-codes request
+     */
+    this.load = function(packet) {
+        var mdcls = packet.seek("mdcl");
+        var mdclsLength = mdcls.length;
+        for(var i = 0; i < mdclsLength; i++) {
+            var mcnm = mdcls[i].seekFirst("mcnm");
+            var dictionary = mdcls[i].decode(this);
+            if(mcnm == null || !dictionary.hasOwnProperty("mcna") || !dictionary.hasOwnProperty("mcty")) {
+                continue;
+            }
+            // mcnm holds the code as a 4 bytes integer, i.e. the 4 characters of the code.
+            var code = mcnm.convertToString();
+            var type = TYPES[dictionary.mcty];
+            if(this.lookup(code) == null && typeof (type) != 'undefined') {
+                this.register(code, dictionary.mcna, type.type, type);
+            }
+        }
+    };
+
+    // dmap.*
+    this.register("mbcl", "dmap.bag", "container");
+    this.register("mccr", "dmap.contentcodesresponse", "container");
+    this.register("mcna", "dmap.contentcodesname", "string");
+    this.register("mcnm", "dmap.contentcodesnumber", "int");
+    this.register("mcon", "dmap.container", "container");
+    this.register("mctc", "dmap.containercount", "int");
+    this.register("mcti", "dmap.containeritemid", "int");
+    this.register("mcty", "dmap.contentcodestype", "short");
+    this.register("mdcl", "dmap.dictionary", "container");
+    this.register("mdbk", "dmap.databasekind", "int");
+    this.register("medc", "dmap.editdictionary", "container");
+    this.register("meds", "dmap.editcommandssupported", "int");
+    this.register("miid", "dmap.itemid", "int");
+    this.register("mikd", "dmap.itemkind", "byte");
+    this.register("mimc", "dmap.itemcount", "int");
+    this.register("minm", "dmap.itemname", "string");
+    this.register("mlcl", "dmap.listing", "container", { listing: true });
+    this.register("mlid", "dmap.sessionid", "int");
+    this.register("mlit", "dmap.listingitem", "container");
+    this.register("mlog", "dmap.loginresponse", "container");
+    this.register("mpco", "dmap.parentcontainerid", "int");
+    this.register("mper", "dmap.persistentid", "long");
+    this.register("mpro", "dmap.protocolversion", "version");
+    this.register("mrco", "dmap.returnedcount", "int");
+    this.register("msal", "dmap.supportsautologout", "byte");
+    this.register("msas", "dmap.authenticationschemes", "int");
+    this.register("msau", "dmap.authenticationmethod", "byte");
+    this.register("msbr", "dmap.supportsbrowse", "byte");
+    this.register("msdc", "dmap.databasescount", "int");
+    this.register("msed", "dmap.supportsedit", "byte");
+    this.register("msex", "dmap.supportsextensions", "byte");
+    this.register("msix", "dmap.supportsindex", "byte");
+    this.register("mslr", "dmap.loginrequired", "byte");
+    this.register("mspi", "dmap.supportspersistentids", "byte");
+    this.register("msqy", "dmap.supportsquery", "byte");
+    this.register("msrs", "dmap.supportsresolve", "byte");
+    this.register("msrv", "dmap.serverinforesponse", "container");
+    this.register("mstm", "dmap.timeoutinterval", "int");
+    this.register("msts", "dmap.statusstring", "string");
+    this.register("mstt", "dmap.status", "int");
+    this.register("msup", "dmap.supportsupdate", "byte");
+    this.register("mtco", "dmap.specifiedtotalcount", "int");
+    this.register("mudl", "dmap.deletedidlisting", "container", { listing: true });
+    this.register("mupd", "dmap.updateresponse", "container");
+    this.register("musr", "dmap.serverrevision", "int");
+    this.register("muty", "dmap.updatetype", "byte");
+    this.register("mshc", "dmap.sortingheaderchar", "short");
+    this.register("mshi", "dmap.sortingheaderindex", "int");
+    this.register("mshl", "dmap.sortingheaderlisting", "container", { listing: true });
+    this.register("mshn", "dmap.sortingheadernumber", "int");
+
+    // daap.*
+    this.register("abal", "daap.browsealbumlisting", "container", { listing: true });
+    this.register("abar", "daap.browseartistlisting", "container", { listing: true });
+    this.register("abcp", "daap.browsecomposerlisting", "container", { listing: true });
+    this.register("abgn", "daap.browsegenrelisting", "container", { listing: true });
+    this.register("abpl", "daap.baseplaylist", "byte");
+    this.register("abro", "daap.databasebrowse", "container");
+    this.register("adbs", "daap.databasesongs", "container");
+    this.register("agrp", "daap.songgrouping", "string");
+    this.register("aply", "daap.databaseplaylists", "container");
+    this.register("apro", "daap.protocolversion", "version");
+    this.register("apso", "daap.playlistsongs", "container");
+    this.register("arif", "daap.resolveinfo", "container");
+    this.register("arsv", "daap.resolve", "container");
+    this.register("asaa", "daap.songalbumartist", "string");
+    this.register("asai", "daap.songalbumid", "long");
+    this.register("asal", "daap.songalbum", "string");
+    this.register("asar", "daap.songartist", "string");
+    this.register("asbk", "daap.bookmarkable", "byte");
+    this.register("asbr", "daap.songbitrate", "short");
+    this.register("asbt", "daap.songbeatsperminute", "short");
+    this.register("ascd", "daap.songcodectype", "int");
+    this.register("ascm", "daap.songcomment", "string");
+    this.register("ascn", "daap.songcontentdescription", "string");
+    this.register("asco", "daap.songcompilation", "byte");
+    this.register("ascp", "daap.songcomposer", "string");
+    this.register("ascr", "daap.songcontentrating", "byte");
+    this.register("ascs", "daap.songcodecsubtype", "int");
+    this.register("asct", "daap.songcategory", "string");
+    this.register("asda", "daap.songdateadded", "date");
+    this.register("asdb", "daap.songdisabled", "byte");
+    this.register("asdc", "daap.songdisccount", "short");
+    this.register("asdk", "daap.songdatakind", "byte");
+    this.register("asdm", "daap.songdatemodified", "date");
+    this.register("asdn", "daap.songdiscnumber", "short");
+    this.register("asdp", "daap.songdatepurchased", "date");
+    this.register("asdr", "daap.songdatereleased", "date");
+    this.register("asdt", "daap.songdescription", "string");
+    this.register("ased", "daap.songextradata", "short");
+    this.register("aseq", "daap.songeqpreset", "string");
+    this.register("asfm", "daap.songformat", "string");
+    this.register("asgn", "daap.songgenre", "string");
+    this.register("asgp", "daap.songgapless", "byte");
+    this.register("asgr", "daap.supportsgroups", "short");
+    this.register("ashp", "daap.songhasbeenplayed", "byte");
+    this.register("asky", "daap.songkeywords", "string");
+    this.register("aslc", "daap.songlongcontentdescription", "string");
+    this.register("asls", "daap.songlongsize", "long");
+    this.register("aspc", "daap.songuserplaycount", "int");
+    this.register("aspu", "daap.songpodcasturl", "string");
+    this.register("asri", "daap.songartistid", "long");
+    this.register("asrv", "daap.songrelativevolume", "byte", { signed: true });
+    this.register("assa", "daap.sortartist", "string");
+    this.register("assc", "daap.sortcomposer", "string");
+    this.register("assl", "daap.sortalbumartist", "string");
+    this.register("assn", "daap.sortname", "string");
+    this.register("assp", "daap.songstoptime", "int");
+    this.register("assr", "daap.songsamplerate", "int");
+    this.register("asss", "daap.sortseriesname", "string");
+    this.register("asst", "daap.songstarttime", "int");
+    this.register("assu", "daap.sortalbum", "string");
+    this.register("assz", "daap.songsize", "int");
+    this.register("astc", "daap.songtrackcount", "short");
+    this.register("astm", "daap.songtime", "int");
+    this.register("astn", "daap.songtracknumber", "short");
+    this.register("asul", "daap.songdataurl", "string");
+    this.register("asur", "daap.songuserrating", "byte");
+    this.register("asyr", "daap.songyear", "short");
+    this.register("ated", "daap.supportsextradata", "short");
+    this.register("avdb", "daap.serverdatabases", "container");
+
+    // com.apple.itunes.*
+    this.register("aeAI", "com.apple.itunes.itms-artistid", "int");
+    this.register("aeCI", "com.apple.itunes.itms-composerid", "int");
+    this.register("aeCR", "com.apple.itunes.content-rating", "string");
+    this.register("aeEN", "com.apple.itunes.episode-num-str", "string");
+    this.register("aeES", "com.apple.itunes.episode-sort", "int");
+    this.register("aeGD", "com.apple.itunes.gapless-enc-dr", "int");
+    this.register("aeGE", "com.apple.itunes.gapless-enc-del", "int");
+    this.register("aeGH", "com.apple.itunes.gapless-heur", "int");
+    this.register("aeGI", "com.apple.itunes.itms-genreid", "int");
+    this.register("aeGR", "com.apple.itunes.gapless-resy", "long");
+    this.register("aeGU", "com.apple.itunes.gapless-dur", "long");
+    this.register("aeHV", "com.apple.itunes.has-video", "byte");
+    this.register("aeMK", "com.apple.itunes.mediakind", "byte");
+    this.register("aeNN", "com.apple.itunes.network-name", "string");
+    this.register("aeNV", "com.apple.itunes.norm-volume", "int");
+    this.register("aePC", "com.apple.itunes.is-podcast", "byte");
+    this.register("aePI", "com.apple.itunes.itms-playlistid", "int");
+    this.register("aePP", "com.apple.itunes.is-podcast-playlist", "byte");
+    this.register("aePS", "com.apple.itunes.special-playlist", "byte");
+    this.register("aeSF", "com.apple.itunes.itms-storefrontid", "int");
+    this.register("aeSG", "com.apple.itunes.saved-genius", "byte");
+    this.register("aeSI", "com.apple.itunes.itms-songid", "int");
+    this.register("aeSN", "com.apple.itunes.series-name", "string");
+    this.register("aeSP", "com.apple.itunes.smart-playlist", "byte");
+    this.register("aeSU", "com.apple.itunes.season-num", "int");
+    this.register("aeSV", "com.apple.itunes.music-sharing-version", "int");
+    this.register("caar", "dacp.albumrepeat", "int");
+    this.register("caas", "dacp.albumshuffle", "int");
+    this.register("cana", "daap.nowplayingartist", "string");
+    this.register("cang", "daap.nowplayinggenre", "string");
+    this.register("canl", "daap.nowplayingalbum", "string");
+    this.register("cann", "daap.nowplayingtrack", "string");
+    this.register("cant", "dacp.remainingtime", "int");
+    this.register("caps", "dacp.playerstate", "byte");
+    this.register("carp", "dacp.repeatstate", "byte");
+    this.register("cash", "dacp.shufflestate", "byte");
+    this.register("cast", "dacp.tracklength", "int");
+    this.register("cavc", "dacp.volumecontrollable", "byte");
+    this.register("cmgt", "dmcp.getpropertyresponse", "container");
+    this.register("cmmk", "dmcp.mediakind", "int");
+    this.register("cmsr", "dmcp.serverrevision", "int");
+    this.register("cmst", "dmcp.playstatus", "container");
+    this.register("cmvo", "dmcp.volume", "int");
+
+}
@@ -0,0 +1,159 @@
+/**
+ * The DMAP encoder: turns a tree of DMAP elements into DMAP bytes, as read by {@link DaapPacket}; e.g. to build test
+ * fixtures, the responses of a mock server or the payloads of the playlist edits (see {@link EditRequestHandler}).
+ * <p>
+ * An element is an array holding the code (or the name) of its tag and its value, typed after the tag:
+ * <ul>
+ * <li><code>container</code>: the array of the child elements
+ * <li><code>byte</code>, <code>short</code>, <code>int</code>: a number
+ * <li><code>long</code>: a BigInt, a number or a decimal string
+ * <li><code>string</code>: a string, encoded as UTF-8
+ * <li><code>date</code>: a {Date} or the number of seconds since epoch
+ * <li><code>version</code>: a string, e.g. "3.0.2"
+ * </ul>
+ * The value of any tag can also be given as its bytes, an {Uint8Array} written as is (e.g. the IDs of the song being
+ * played, canp, or the string of a listing item of a browse response, mlit).
+ * A code unknown to the content codes is encoded as a string, as {@link DaapPacket#decode(contentCodes)} decodes it.
+ * <p>
+ * Example of use:
+ * <pre>
+ * var bytes = new DaapEncoder().encode(["mlog", [["mstt", 200], ["dmap.sessionid", 31]]]);
+ * </pre>
+ *
+ * @constructor
+ * @param aContentCodes {DaapContentCodes} the content codes giving the type of each tag - if omitted, the default
+ *            dictionary is used
+ */
+function DaapEncoder(aContentCodes) {
+
+    /** @private size in bytes of "header" of chunk: code + size. */
+    var HEADER_LENGTH = 8;
+
+    /** @private the content codes. */
+    var contentCodes = aContentCodes || new DaapContentCodes();
+
+    /**
+     * Encode the specified element.
+     *
+     * @param element {Array} the element: code (or name) and value
+     * @return the DMAP bytes of the element as an {Uint8Array}
+     * @throws DaapError if the element is not valid
+     */
+    this.encode = function(element) {
+        var parts = [];
+        var length = write(element, parts);
+        var result = new Uint8Array(length);
+        var offset = 0;
+        for(var i = 0; i < parts.length; i++) {
+            result.set(parts[i], offset);
+            offset += parts[i].length;
+        }
+        return result;
+    };
+
+    /**
+     * Write the bytes of the specified element: its header followed by its data.
+     *
+     * @private
+     * @param element {Array} the element
+     * @param parts {Array} the bytes written so far, completed with the bytes of the element
+     * @return the number of bytes of the element
+     */
+    function write(element, parts) {
+        if(!( element instanceof Array) || element.length != 2) {
+            throw new DaapError("Invalid DMAP element: " + element);
+        }
+        var tag = contentCodes.lookup(element[0]) || contentCodes.lookupByName(element[0]);
+        var code = tag == null ? element[0] : tag.code;
+        if( typeof (code) != 'string' || code.length != 4) {
+            throw new DaapError("Unknown DMAP tag: " + element[0]);
+        }
+        var header = new Uint8Array(HEADER_LENGTH);
+        parts.push(header);
+        var size = 0;
+        if(tag != null && tag.type == "container" && !(element[1] instanceof Uint8Array)) {
+            var children = element[1] || [];
+            for(var i = 0; i < children.length; i++) {
+                size += write(children[i], parts);
+            }
+        } else {
+            var data = encodeValue(tag == null ? "string" : tag.type, element[1], code);
+            parts.push(data);
+            size = data.length;
+        }
+        for(var c = 0; c < 4; c++) {
+            header[c] = code.charCodeAt(c);
+        }
+        new DataView(header.buffer).setUint32(4, size);
+        return HEADER_LENGTH + size;
+    }
+
+    /**
+     * Return the bytes of the specified value.
+     *
+     * @private
+     * @param type {String} the type of the value
+     * @param value the value
+     * @param code {String} the code of the element, for error reporting
+     * @return the bytes of the value
+     */
+    function encodeValue(type, value, code) {
+        if( value instanceof Uint8Array) {
+            return value;
+        }
+        var bytes;
+        var view;
+        switch(type) {
+            case "byte":
+                return new Uint8Array([Number(value) & 0xff]);
+            case "short":
+                bytes = new Uint8Array(2);
+                new DataView(bytes.buffer).setUint16(0, Number(value));
+                return bytes;
+            case "int":
+            case "date":
+                if( value instanceof Date) {
+                    value = Math.floor(value.getTime() / 1000);
+                }
+                bytes = new Uint8Array(4);
+                new DataView(bytes.buffer).setUint32(0, Number(value));
+                return bytes;
+            case "long":
+                bytes = new Uint8Array(8);
+                view = new DataView(bytes.buffer);
+                if( typeof (BigInt) == 'function' && typeof (view.setBigUint64) == 'function') {
+                    view.setBigUint64(0, BigInt.asUintN(64, BigInt(value)));
+                } else {
+                    // without BigInt, only the numbers up to 2^53 are encoded exactly.
+                    value = Number(value);
+                    view.setUint32(0, Math.floor(value / 4294967296));
+                    view.setUint32(4, value % 4294967296);
+                }
+                return bytes;
+            case "version":
+                var numbers = String(value).split(".");
+                bytes = new Uint8Array(4);
+                view = new DataView(bytes.buffer);
+                view.setUint16(0, Number(numbers[0]) || 0);
+                view.setUint8(2, Number(numbers[1]) || 0);
+                view.setUint8(3, Number(numbers[2]) || 0);
+                return bytes;
+            case "string":
+                if( typeof (value) != 'string') {
+                    throw new DaapError("Invalid DMAP value for " + code + ": " + value);
+                }
+                if( typeof (TextEncoder) != 'undefined') {
+                    return new TextEncoder().encode(value);
+                }
+                var binary = unescape(encodeURIComponent(value));
+                bytes = new Uint8Array(binary.length);
+                for(var i = 0; i < binary.length; i++) {
+                    bytes[i] = binary.charCodeAt(i);
+                }
+                return bytes;
+            default:
+                throw new DaapError("Unsupported DMAP type for " + code + ": " + type);
+        }
+    }
+
+}
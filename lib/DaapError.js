@@ -0,0 +1,28 @@
+/**
+ * An Error reported when a request to the DAAP server fails.
+ *
+ * @constructor
+ * @param aMessage {String} the error message - if omitted, a message giving the status code is built
+ * @param aStatus {int} the HTML status code - optional
+ */
+function DaapError(aMessage, aStatus) {
+
+    /** the name of the error. */
+    this.name = "DaapError";
+
+    /** the HTML status code, 'undefined' if the failure is not related to an HTTP response. */
+    this.status = aStatus;
+
+    /** the error message. */
+    this.message = aMessage;
+    if( typeof (this.message) == 'undefined' || this.message == null) {
+        this.message = "DAAP request failed: [HTML Status code = " + aStatus + "]";
+    }
+
+    /** the stack trace. */
+    this.stack = new Error(this.message).stack;
+
+}
+
+DaapError.prototype = Object.create(Error.prototype);
+DaapError.prototype.constructor = DaapError;
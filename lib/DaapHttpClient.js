@@ -1,69 +1,660 @@
 /**
- * The DAAP HTTP client based on XMLHttpRequest.
+ * The DAAP HTTP client. Requests are sent through a transport: {@link FetchTransport} ("fetch"), {@link XhrTransport}
+ * ("xhr") or {@link NodeTransport} ("node"); if none is specified, the first available one in that order is used.
  *
  * @constructor
- * @param aServer {String} the DAAP Server.
+ * @param aServer {String} the base URL of the DAAP Server, without trailing slash.
+ * @param aTransport {Object|String} the HTTP transport or its name - optional
  */
-function DaapHttpClient(aServer) {
+function DaapHttpClient(aServer, aTransport) {
 
-    /** @private the DAAP server. */
+    /** @private the base URL of the DAAP server. */
     var server = aServer;
 
-    /** @private the base 64 encoded password for authentication. */
-    var encodedPassword = null;
+    /** @private the path prefix of the DAAP server, e.g. behind a reverse proxy. */
+    var pathPrefix = server.replace(/^\w+:\/\/[^\/]*/, "");
+
+    /** @private the HTTP transport. */
+    var transport = aTransport;
+    if( typeof (transport) == 'undefined') {
+        if( typeof (fetch) == 'function') {
+            transport = "fetch";
+        } else if( typeof (XMLHttpRequest) != 'undefined') {
+            transport = "xhr";
+        } else {
+            transport = "node";
+        }
+    }
+    if(transport == "fetch") {
+        transport = new FetchTransport();
+    } else if(transport == "xhr") {
+        transport = new XhrTransport();
+    } else if(transport == "node") {
+        transport = new NodeTransport();
+    }
+
+    /** @private the user name for authentication. */
+    var username = "admin";
+
+    /** @private the password for authentication, <code>null</code> if none. */
+    var password = null;
+
+    /** @private the HTTP Digest challenge of the server, <code>null</code> if Basic authentication is used. */
+    var digest = null;
+
+    /** @private the HTTP headers sent with every request. */
+    var defaultHeaders = {};
+
+    /** @private the client profile, <code>null</code> if none. */
+    var profile = null;
+
+    /** @private the ID of the last request sent along with a validation. */
+    var requestId = 0;
+
+    /** @private the client profiles, by name. */
+    var PROFILES = {
+        // iTunes sharing a library.
+        "itunes": {
+            version: "3.13",
+            accessIndex: 2,
+            viewerOnly: false
+        },
+        // a client browsing a library without playing it (e.g. a remote).
+        "viewer": {
+            version: "3.13",
+            accessIndex: 2,
+            viewerOnly: true
+        }
+    };
+
+    /** @private the default timeout of a request (ms), <code>0</code> if none. */
+    var defaultTimeout = 0;
+
+    /** @private the number of retries of a request failing because of the network or the server (5xx). */
+    var retries = 0;
+
+    /** @private the delay (ms) before the first retry, doubled upon each retry. */
+    var retryDelay = 500;
 
     /**
      * Execute the specified request.
      * <p>
-     * request shall provide handleResponse and getUri methods.
+     * request shall provide handleResponse, getUri and fail methods, and getBody if it is sent with a DMAP body (POST)
+     * - see {@link DaapEncoder}; fail is called with the {@link DaapError}
+     * describing the failure and handleResponse is called with <code>null</code> if the server responds with no
+     * content (204). A request for data other than a DAAP packet (e.g. artwork) shall provide handleData in place
+     * of handleResponse: it is called with the response body (<code>null</code> if none) and the response headers;
+     * such a request is also answered with a partial content (206), e.g. upon a Range header. If it also provides
+     * handleChunk, the body is handed to handleChunk part by part as it arrives, along with the response headers,
+     * and handleData is then called with <code>null</code> once the response is complete; such a request is not
+     * retried once a part has been handed.
+     * <p>
+     * A request whose response is parsed as it arrives - see {@link DaapStreamParser} - shall provide in place of
+     * handleResponse: getContainers returning the codes of the containers whose elements are handled one by one,
+     * handleElement called with each element and the path of its container, handleEnd called once the response is
+     * complete and optionally handleProgress called after each part of the response. Such a request is not retried
+     * once elements have been handled.
+     * <p>
+     * The request is retried - see {@link DaapHttpClient#setRetries(count, delay)} - if the server cannot be reached,
+     * does not respond in time or responds with a 5xx status code.
      *
-     * @see http://badassjs.com/post/694057326/binaryreader-js-parsing-binary-data-in-javascript
      * @param request {Object} the request to execute.
+     * @param options {Object} the execution options - optional:
+     *            <ul>
+     *            <li>timeout : the timeout (ms) of each attempt, <code>0</code> for none - if omitted, the default
+     *            timeout is assumed
+     *            <li>signal : the AbortSignal aborting the request
+     *            <li>headers : the HTTP headers of the request, indexed by name
+     *            <li>retries : the maximum number of retries - if omitted, the default number is assumed; e.g.
+     *            <code>0</code> for a request that must not be sent twice
+     *            </ul>
      */
-    this.execute = function(request) {
-        var xhr = new XMLHttpRequest();
-        xhr.onreadystatechange = function() {
-            if(this.readyState == 4) {
-                if(this.status != 200) {
-                    request.fail(this.status);
-                } else {
-                    try {
-                        var packet = new DaapPacket(xhr.responseText);
-                        request.handleResponse(packet);
-                    } catch (e) {
-                        if( e instanceof EndOfPacketException) {
-                            request.fail(400);
-                        } else {
-                            throw e;
+    this.execute = function(request, options) {
+        var settings = options || {};
+        var timeout = typeof (settings.timeout) == 'number' ? settings.timeout : defaultTimeout;
+        var maxRetries = typeof (settings.retries) == 'number' ? settings.retries : retries;
+        var signal = settings.signal;
+        var uri = "/" + request.getUri();
+        var body = typeof (request.getBody) == 'function' ? request.getBody() : undefined;
+        var method = typeof (body) != 'undefined' ? "POST" : "GET";
+        var headers = requestHeaders(uri, settings.headers);
+        if(method == "POST") {
+            headers['Content-Type'] = "application/x-dmap-tagged";
+        }
+        var attempt = 0;
+        var challenged = false;
+        var timer = null;
+        var abort = null;
+        var done = false;
+        var received = false;
+
+        var finish = function() {
+            done = true;
+            clearTimeout(timer);
+            if(signal) {
+                signal.removeEventListener("abort", aborted);
+            }
+        };
+
+        var aborted = function() {
+            if(done) {
+                return;
+            }
+            if(abort != null) {
+                abort();
+            }
+            finish();
+            request.fail(new RequestAbortedError());
+        };
+
+        var responded = function(status, data, timedOut, responseHeaders, response, thrown) {
+            clearTimeout(timer);
+            if(done) {
+                return;
+            }
+            if( typeof (thrown) != 'undefined') {
+                // the request failed to handle a part of the response.
+                finish();
+                request.fail(handlingError(thrown, status));
+                return;
+            }
+            if(status == 401 && password != null && !challenged && readChallenge(responseHeaders)) {
+                // the server requests Digest authentication: answer its challenge.
+                challenged = true;
+                send();
+                return;
+            }
+            if((status == 0 || status >= 500) && attempt < maxRetries && !received) {
+                // exponential backoff.
+                timer = setTimeout(send, retryDelay * Math.pow(2, attempt));
+                attempt++;
+                return;
+            }
+            finish();
+            respond(request, status, data, timedOut, responseHeaders, response);
+        };
+
+        var send = function() {
+            var answered = false;
+            // the response of a streamed request is parsed as it arrives.
+            var response = typeof (request.handleElement) == 'function' ? new StreamedResponse(request) : null;
+            var chunked = response == null && typeof (request.handleChunk) == 'function';
+            var answer = function(status, data, timedOut, responseHeaders, thrown) {
+                if(!answered) {
+                    answered = true;
+                    responded(status, data, timedOut, responseHeaders, response, thrown);
+                }
+            };
+            if(timeout > 0) {
+                timer = setTimeout(function() {
+                    if(abort != null) {
+                        abort();
+                    }
+                    answer(0, null, true);
+                }, timeout);
+            }
+            var authorizationHeader = authorization(method, pathPrefix + uri);
+            if(authorizationHeader != null) {
+                headers['Authorization'] = authorizationHeader;
+            }
+            abort = transport.send({
+                method: method,
+                url: server + uri,
+                headers: headers,
+                body: body,
+                onData: response == null && !chunked ? undefined : function(chunk, status, responseHeaders) {
+                    if(chunked && (status == 200 || status == 206) && !answered && !done) {
+                        received = true;
+                        try {
+                            request.handleChunk(chunk, responseHeaders || {});
+                        } catch (e) {
+                            if(abort != null) {
+                                abort();
+                            }
+                            answer(status, null, false, responseHeaders, e);
                         }
+                    } else if(response != null && status == 200 && !answered && !done) {
+                        received = true;
+                        response.push(chunk, responseHeaders);
                     }
                 }
-            }
+            }, function(status, data, responseHeaders, thrown) {
+                answer(status, data, false, responseHeaders, thrown);
+            }) || null;
         };
 
+        if(signal) {
+            if(signal.aborted) {
+                request.fail(new RequestAbortedError());
+                return;
+            }
+            signal.addEventListener("abort", aborted);
+        }
+        send();
+    };
 
-        xhr.open("GET", "http://" + ip + ":" + port + "/" + request.getUri(), true);
+    /**
+     * Set the default timeout of the requests; none by default.
+     *
+     * @param timeout {int} the timeout (ms) of each attempt, <code>0</code> for none
+     */
+    this.setRequestTimeout = function(timeout) {
+        defaultTimeout = timeout > 0 ? timeout : 0;
+    };
 
-        // The following line says we want to receive data as Binary and not as Unicode
-        if(!('overrideMimeType' in xhr)) {
-            throw new Error("Your browser does not support binary encoding, aborting ...");
-        }
-        xhr.overrideMimeType('text/plain; charset=x-user-defined');
-        // add basic authentication is password provided.
-        if(encodedPassword != null) {
-            xhr.setRequestHeader('Authorization', 'Basic ' + encodedPassword);
+    /**
+     * Set the number of retries of a request failing because the server cannot be reached, does not respond in time
+     * or responds with a 5xx status code; requests are not retried by default. Requests failing for any other reason
+     * (e.g. 401 or 403) are never retried.
+     *
+     * @param count {int} the maximum number of retries, <code>0</code> for none
+     * @param delay {int} the delay (ms) before the first retry, doubled upon each retry - optional, 500 by default
+     */
+    this.setRetries = function(count, delay) {
+        retries = count > 0 ? count : 0;
+        if( typeof (delay) == 'number') {
+            retryDelay = delay;
         }
-        xhr.send();
+    };
+
+    /**
+     * Return <code>true</code> if a password is set for HTTP authentication.
+     *
+     * @return <code>true</code> if a password is set
+     */
+    this.hasPassword = function() {
+        return password != null;
     };
 
     /**
      * Set the password use for HTTP authentication.
      *
-     * @param password the password - plain text (not base64 encoded)
+     * @param aPassword the password - plain text (not base64 encoded)
+     */
+    this.setPassword = function(aPassword) {
+        this.setCredentials(username, aPassword);
+    };
+
+    /**
+     * Set the credentials used for HTTP authentication: Basic authentication unless the server requests Digest
+     * authentication.
+     *
+     * @param aUsername {String} the user name - if omitted, "admin" is assumed
+     * @param aPassword {String} the password - plain text, <code>null</code> for none
+     */
+    this.setCredentials = function(aUsername, aPassword) {
+        username = typeof (aUsername) == 'string' ? aUsername : "admin";
+        password = typeof (aPassword) == 'undefined' ? null : aPassword;
+        digest = null;
+    };
+
+    /**
+     * Set the HTTP headers sent with every request.
+     *
+     * @param headers {Object} the HTTP headers, indexed by name
+     */
+    this.setHeaders = function(headers) {
+        defaultHeaders = headers || {};
+    };
+
+    /**
+     * Set the client profile: the headers identifying the client that iTunes-compatible servers expect.
+     *
+     * @param aProfile {String|Object} the profile name - "itunes" or "viewer" - or the profile:
+     *            <ul>
+     *            <li>version : the DAAP version of the client (Client-DAAP-Version)
+     *            <li>accessIndex : the access index of the client (Client-DAAP-Access-Index)
+     *            <li>viewerOnly : <code>true</code> if the client does not play the streams (Viewer-Only-Client)
+     *            <li>validate : the function returning the validation (Client-DAAP-Validation) of the specified
+     *            request URI and request ID (Client-DAAP-Request-ID) - optional
+     *            </ul>
+     *            <code>null</code> for none
      */
-    this.setPassword = function(password) {
-        // use built-in base64 encoder, maybe one day IE will implement it...
-        encodedPassword = btoa("admin:" + password);
+    this.setProfile = function(aProfile) {
+        if( typeof (aProfile) == 'string') {
+            if(!PROFILES.hasOwnProperty(aProfile)) {
+                throw new DaapError("Unknown client profile: " + aProfile);
+            }
+            profile = PROFILES[aProfile];
+        } else {
+            profile = aProfile || null;
+        }
     };
 
-}
\ No newline at end of file
+    /**
+     * Return the HTTP headers of the specified request: the default headers, the profile headers and the headers
+     * of the request.
+     *
+     * @param uri {String} the request URI, from the DAAP server root
+     * @param headers {Object} the headers of the request - optional
+     * @return the HTTP headers, indexed by name
+     */
+    function requestHeaders(uri, headers) {
+        var result = {};
+        var name;
+        for(name in defaultHeaders) {
+            if(defaultHeaders.hasOwnProperty(name)) {
+                result[name] = defaultHeaders[name];
+            }
+        }
+        if(profile != null) {
+            if( typeof (profile.version) != 'undefined') {
+                result['Client-DAAP-Version'] = String(profile.version);
+            }
+            if( typeof (profile.accessIndex) != 'undefined') {
+                result['Client-DAAP-Access-Index'] = String(profile.accessIndex);
+            }
+            if(profile.viewerOnly) {
+                result['Viewer-Only-Client'] = "1";
+            }
+            if( typeof (profile.validate) == 'function') {
+                requestId++;
+                result['Client-DAAP-Request-ID'] = String(requestId);
+                result['Client-DAAP-Validation'] = profile.validate(uri, requestId);
+            }
+        }
+        for(name in headers) {
+            if(headers.hasOwnProperty(name)) {
+                result[name] = headers[name];
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Return the Authorization header of the specified request.
+     *
+     * @param method {String} the HTTP method of the request
+     * @param uri {String} the path of the request URL
+     * @return the Authorization header or <code>null</code> if no password is set
+     */
+    function authorization(method, uri) {
+        if(password == null) {
+            return null;
+        }
+        if(digest == null) {
+            return "Basic " + encodeBase64(encodeUtf8(username + ":" + password));
+        }
+        digest.count++;
+        var nc = ("0000000" + digest.count.toString(16)).slice(-8);
+        var cnonce = md5(encodeUtf8(Math.random() + ":" + new Date().getTime())).substring(0, 16);
+        var ha1 = md5(encodeUtf8(username + ":" + digest.realm + ":" + password));
+        if( typeof (digest.algorithm) == 'string' && digest.algorithm.toLowerCase() == "md5-sess") {
+            ha1 = md5(encodeUtf8(ha1 + ":" + digest.nonce + ":" + cnonce));
+        }
+        var ha2 = md5(encodeUtf8(method + ":" + uri));
+        var qop = typeof (digest.qop) == 'string' && /(^|,)\s*auth\s*(,|$)/.test(digest.qop) ? "auth" : null;
+        var response;
+        if(qop == null) {
+            response = md5(encodeUtf8(ha1 + ":" + digest.nonce + ":" + ha2));
+        } else {
+            response = md5(encodeUtf8(ha1 + ":" + digest.nonce + ":" + nc + ":" + cnonce + ":" + qop + ":" + ha2));
+        }
+        var result = 'Digest username="' + username + '", realm="' + digest.realm + '", nonce="' + digest.nonce + '", uri="' + uri + '", response="' + response + '"';
+        if( typeof (digest.algorithm) != 'undefined') {
+            result += ', algorithm=' + digest.algorithm;
+        }
+        if( typeof (digest.opaque) != 'undefined') {
+            result += ', opaque="' + digest.opaque + '"';
+        }
+        if(qop != null) {
+            result += ', qop=' + qop + ', nc=' + nc + ', cnonce="' + cnonce + '"';
+        }
+        return result;
+    }
+
+    /**
+     * Read the HTTP Digest challenge of the server from the specified response headers.
+     * <p>
+     * In browsers, the server shall expose the WWW-Authenticate header (Access-Control-Expose-Headers).
+     *
+     * @param headers {Object} the response headers
+     * @return <code>true</code> if the server requests Digest authentication
+     */
+    function readChallenge(headers) {
+        var header = headers ? headers['www-authenticate'] : undefined;
+        if( typeof (header) != 'string' || !/^\s*Digest\s/i.test(header)) {
+            return false;
+        }
+        var challenge = {
+            count: 0
+        };
+        var parameter = /(\w+)=(?:"([^"]*)"|([^\s,]*))/g;
+        var match;
+        while(( match = parameter.exec(header)) != null) {
+            challenge[match[1].toLowerCase()] = typeof (match[2]) != 'undefined' ? match[2] : match[3];
+        }
+        digest = challenge;
+        return true;
+    }
+
+    /**
+     * Return the UTF-8 bytes of the specified text.
+     *
+     * @param text {String} the text
+     * @return the UTF-8 bytes
+     */
+    function encodeUtf8(text) {
+        if( typeof (TextEncoder) != 'undefined') {
+            return new TextEncoder().encode(text);
+        }
+        var bytes = [];
+        for(var i = 0; i < text.length; i++) {
+            var c = text.charCodeAt(i);
+            if(c >= 0xd800 && c < 0xdc00 && i + 1 < text.length) {
+                // surrogate pair.
+                c = 0x10000 + ((c - 0xd800) << 10) + (text.charCodeAt(++i) - 0xdc00);
+            }
+            if(c < 0x80) {
+                bytes.push(c);
+            } else if(c < 0x800) {
+                bytes.push(0xc0 | (c >> 6), 0x80 | (c & 0x3f));
+            } else if(c < 0x10000) {
+                bytes.push(0xe0 | (c >> 12), 0x80 | ((c >> 6) & 0x3f), 0x80 | (c & 0x3f));
+            } else {
+                bytes.push(0xf0 | (c >> 18), 0x80 | ((c >> 12) & 0x3f), 0x80 | ((c >> 6) & 0x3f), 0x80 | (c & 0x3f));
+            }
+        }
+        return bytes;
+    }
+
+    /**
+     * Return the base 64 encoding of the specified bytes; unlike btoa, any character can be encoded once converted
+     * to bytes.
+     *
+     * @param bytes {Uint8Array|Array} the bytes
+     * @return the base 64 encoding
+     */
+    function encodeBase64(bytes) {
+        var alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+        var result = "";
+        for(var i = 0; i < bytes.length; i += 3) {
+            var triplet = (bytes[i] << 16) | ((i + 1 < bytes.length ? bytes[i + 1] : 0) << 8) | (i + 2 < bytes.length ? bytes[i + 2] : 0);
+            result += alphabet.charAt((triplet >> 18) & 0x3f) + alphabet.charAt((triplet >> 12) & 0x3f);
+            result += i + 1 < bytes.length ? alphabet.charAt((triplet >> 6) & 0x3f) : "=";
+            result += i + 2 < bytes.length ? alphabet.charAt(triplet & 0x3f) : "=";
+        }
+        return result;
+    }
+
+    /**
+     * Handle the response of the server to the specified request.
+     *
+     * @param request {Object} the request
+     * @param status {int} the HTTP status code, <code>0</code> if the server could not be reached
+     * @param data {Uint8Array} the response body
+     * @param timedOut {boolean} <code>true</code> if the server did not respond in time
+     * @param headers {Object} the response headers
+     * @param response {StreamedResponse} the response parsed so far, <code>null</code> if the request is not streamed
+     */
+    function respond(request, status, data, timedOut, headers, response) {
+        var error = null;
+        var packet = null;
+        if(status == 0) {
+            error = new NetworkError(timedOut);
+        } else if(status == 401 || (status == 403 && request.getUri().indexOf("session-id=") == -1)) {
+            error = new AuthenticationError(status);
+        } else if(status == 403) {
+            // the request is made within a session the server does not know (anymore).
+            error = new SessionExpiredError(status);
+        } else if(status != 200 && status != 204 && (status != 206 || typeof (request.handleData) != 'function')) {
+            error = new DaapError(null, status);
+        } else if(response != null) {
+            // the body is given at once if the transport cannot stream it.
+            if(data != null) {
+                response.push(data, headers);
+            }
+            error = response.end();
+        } else if( typeof (request.handleData) == 'function') {
+            try {
+                if( typeof (request.handleChunk) == 'function' && data != null && status != 204) {
+                    // the body is given at once if the transport cannot stream it.
+                    request.handleChunk(data, headers || {});
+                    data = null;
+                }
+                request.handleData(status == 204 ? null : data, headers || {});
+            } catch (e) {
+                request.fail(handlingError(e, status));
+            }
+            return;
+        } else if(status == 200) {
+            // 204 (e.g. upon logout) carries no packet.
+            try {
+                packet = new DaapPacket(data);
+                error = statusError(packet);
+            } catch (e) {
+                error = handlingError(e, status);
+            }
+        }
+        if(error != null) {
+            request.fail(error);
+            return;
+        }
+        try {
+            if(response != null) {
+                request.handleEnd();
+            } else {
+                request.handleResponse(packet);
+            }
+        } catch (e) {
+            request.fail(handlingError(e, status));
+        }
+    }
+
+    /**
+     * Return the error reported for the specified exception, thrown while handling the response of the server.
+     *
+     * @param e the exception
+     * @param status {int} the HTTP status code of the response
+     * @return the {MalformedPacketError} of a truncated packet, the {DaapError} thrown, or a {DaapError} whose cause
+     *         is the exception - status code <code>400</code>, the response not being as expected
+     */
+    function handlingError(e, status) {
+        if( e instanceof EndOfPacketException) {
+            return new MalformedPacketError(e.path, e.offset);
+        }
+        if( e instanceof DaapError) {
+            return e;
+        }
+        var error = new DaapError("DAAP response could not be handled (HTML Status code = " + status + "): " + (e != null && e.message ? e.message : e), 400);
+        error.cause = e;
+        return error;
+    }
+
+    /**
+     * The response of a streamed request, parsed as it arrives: each element is handed to the request unless the
+     * server reports a DAAP status other than 200.
+     *
+     * @constructor
+     * @param request {Object} the streamed request
+     */
+    function StreamedResponse(request) {
+
+        /** the error found so far, <code>null</code> if none. */
+        var error = null;
+
+        /** the DAAP status and status string, if any. */
+        var mstt = null;
+        var msts;
+
+        /** <code>true</code> once the first part has been pushed. */
+        var started = false;
+
+        var parser = new DaapStreamParser(request.getContainers(), function(packet, parentPath) {
+            if(parentPath.indexOf("/") == -1) {
+                // an element of the root packet.
+                if(packet.codeEquals("mstt")) {
+                    mstt = packet.convertToInt();
+                } else if(packet.codeEquals("msts")) {
+                    msts = packet.convertToString();
+                }
+            }
+            if(mstt == null || mstt == 200) {
+                request.handleElement(packet, parentPath);
+            }
+        });
+
+        /**
+         * Parse the specified part of the response.
+         *
+         * @param chunk {Uint8Array} the next bytes of the response
+         * @param headers {Object} the response headers
+         */
+        this.push = function(chunk, headers) {
+            if(error != null) {
+                return;
+            }
+            if(!started) {
+                started = true;
+                // the Content-Length bounds the response, unless it is the length of the encoded body.
+                if(headers && typeof (headers['content-length']) != 'undefined' && typeof (headers['content-encoding']) == 'undefined') {
+                    parser.setLength(Number(headers['content-length']));
+                }
+            }
+            try {
+                parser.push(chunk);
+                if( typeof (request.handleProgress) == 'function') {
+                    request.handleProgress();
+                }
+            } catch (e) {
+                error = handlingError(e, 200);
+            }
+        };
+
+        /**
+         * Return the error of the complete response.
+         *
+         * @return the {DaapError} or <code>null</code> if the response is valid
+         */
+        this.end = function() {
+            if(error == null) {
+                try {
+                    parser.end();
+                } catch (e) {
+                    error = handlingError(e, 200);
+                }
+            }
+            if(error == null && mstt != null && mstt != 200) {
+                error = new ServerStatusError(mstt, msts);
+            }
+            return error;
+        };
+
+    }
+
+    /**
+     * Return the error corresponding to the DAAP status (mstt) of the specified packet.
+     *
+     * @param packet {DaapPacket} the packet received from the server
+     * @return the {ServerStatusError} or <code>null</code> if the status is 200 or not provided
+     */
+    function statusError(packet) {
+        var mstt = packet.seekFirst("mstt");
+        if(mstt == null || mstt.convertToInt() == 200) {
+            return null;
+        }
+        var msts = packet.seekFirst("msts");
+        return new ServerStatusError(mstt.convertToInt(), msts == null ? undefined : msts.convertToString());
+    }
+
+}
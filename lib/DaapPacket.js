@@ -17,16 +17,18 @@
  * @see <a href="http://tapjam.net/daap">DAAP Protocol documentation v0.2</a>
  *
  * @constructor
- * @param chunk {String}
- *            a string representing a DAAP chunk (code + size +
- *            data).
+ * @param chunk {ArrayBuffer|Uint8Array|String}
+ *            the bytes of a DAAP chunk (code + size + data); a string is read as one
+ *            byte per character.
  * @param start {int}
  *            the offset at which to start reading the chunk - if omitted, 0 is assumed
+ * @param parent {DaapPacket}
+ *            the packet whose data holds the chunk - if omitted, the chunk is the whole response
  * @throws EndOfPacketException
  *             if the string does not hold enough information to
  *             extract code + data.
  */
-function DaapPacket(chunk, start) {
+function DaapPacket(chunk, start, parent) {
 
     /** @private size in bytes of "code" of chunk. */
     var CODE_LENGTH = 4;
@@ -42,29 +44,48 @@ function DaapPacket(chunk, start) {
         start = 0;
     }
 
+    var bytes = toBytes(chunk);
+
+    /** @private the path of the parent packet: codes from the root packet, separated by '/'. */
+    var parentPath = "";
+
+    /** @private the position of this chunk within the response. */
+    var position = start;
+    if( typeof (parent) != 'undefined') {
+        parentPath = parent.path();
+        position = parent.position() + HEADER_LENGTH + start;
+    }
+
     /** @private the current offset - initialize @ 0; used to read through the chunk. */
     var offset = 0;
-    var length = chunk.length - start;
+    var length = bytes.length - start;
     // check data holds at least 8 bytes; header + size:
     if(length < HEADER_LENGTH) {
-        throw new EndOfPacketException();
+        throw new EndOfPacketException(parentPath, position);
     }
 
     // first 4 bytes is the DAAP code of this chunk.
-    var code = chunk.substring(start, start + CODE_LENGTH);
+    var code = String.fromCharCode(bytes[start], bytes[start + 1], bytes[start + 2], bytes[start + 3]);
 
     // next 4 bytes is the size
-    var size = readUInt32(chunk, start + CODE_LENGTH);
+    var size = new DataView(bytes.buffer, bytes.byteOffset + start, HEADER_LENGTH).getUint32(CODE_LENGTH);
 
     // check data holds at least computed size
     if(length < HEADER_LENGTH + size) {
-        throw new EndOfPacketException();
+        throw new EndOfPacketException(parentPath == "" ? code : parentPath + "/" + code, position);
 
     }
 
     /** @private the binary data that hold the content of this packet. */
-    // data is next spanning over 'size'. the byte array holding the data associated to the DAAP code.
-    var data = chunk.substring(start + HEADER_LENGTH, start + HEADER_LENGTH + size);
+    // data is next spanning over 'size'. the byte array holding the data associated to the DAAP code: a view on
+    // the chunk, no copy is made.
+    var data = bytes.subarray(start + HEADER_LENGTH, start + HEADER_LENGTH + size);
+
+    /** @private the view used to read the data. */
+    var view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+    /** @private this packet. */
+    var self = this;
 
     /**
      * Read the next chunk within this chunk.
@@ -78,7 +99,7 @@ function DaapPacket(chunk, start) {
      * @throws EndOfPacketException if no next chunk can be read.
      */
     this.readNextChunk = function() {
-        var result = new DaapPacket(data, offset);
+        var result = new DaapPacket(data, offset, self);
         offset += result.size();
         return result;
     };
@@ -93,6 +114,34 @@ function DaapPacket(chunk, start) {
         return code == other;
     };
 
+    /**
+     * Return the code of this chunk.
+     *
+     * @return the 4 character code of this chunk
+     */
+    this.code = function() {
+        return code;
+    };
+
+    /**
+     * Return the path of this chunk: the codes of the chunks from the root packet to this chunk, separated by '/',
+     * e.g. adbs/mlcl/mlit.
+     *
+     * @return the path of this chunk
+     */
+    this.path = function() {
+        return parentPath == "" ? code : parentPath + "/" + code;
+    };
+
+    /**
+     * Return the position of this chunk: the offset in bytes of this chunk within the response.
+     *
+     * @return the position of this chunk
+     */
+    this.position = function() {
+        return position;
+    };
+
     /**
      * Return the size of this chunk including 'code' and 'size'.
      *
@@ -103,21 +152,122 @@ function DaapPacket(chunk, start) {
     };
 
     /**
-     * Convert the data associated to this packet into an <code>int</code>.
+     * Convert the data associated to this packet into an unsigned <code>int</code>. The number of bytes read is
+     * given by the size of the data: 1, 2 or 4 bytes (8 bytes integers greater than 2^53 cannot be represented
+     * exactly, use {@link DaapPacket#convertToUInt64()} instead).
      *
      * @return the data associated to this packet converted into an <code>int</code>.
      */
     this.convertToInt = function() {
-        return readUInt32(data, 0);
+        switch(data.length) {
+            case 1:
+                return readUInt8(view, 0);
+            case 2:
+                return readUInt16(view, 0);
+            case 8:
+                return readUInt32(view, 0) * 4294967296 + readUInt32(view, 4);
+            default:
+                return readUInt32(view, 0);
+        }
     };
 
     /**
-     * Convert the data associated to this packet into a <code>String</code>.
+     * Convert the data associated to this packet into an unsigned 8-bit integer.
+     *
+     * @return the data associated to this packet converted into an unsigned 8-bit integer.
+     */
+    this.convertToUInt8 = function() {
+        return readUInt8(view, 0);
+    };
+
+    /**
+     * Convert the data associated to this packet into a signed 8-bit integer.
+     *
+     * @return the data associated to this packet converted into a signed 8-bit integer.
+     */
+    this.convertToInt8 = function() {
+        return readInt8(view, 0);
+    };
+
+    /**
+     * Convert the data associated to this packet into an unsigned 16-bit integer.
+     *
+     * @return the data associated to this packet converted into an unsigned 16-bit integer.
+     */
+    this.convertToUInt16 = function() {
+        return readUInt16(view, 0);
+    };
+
+    /**
+     * Convert the data associated to this packet into a signed 16-bit integer.
+     *
+     * @return the data associated to this packet converted into a signed 16-bit integer.
+     */
+    this.convertToInt16 = function() {
+        return readInt16(view, 0);
+    };
+
+    /**
+     * Convert the data associated to this packet into an unsigned 32-bit integer.
+     *
+     * @return the data associated to this packet converted into an unsigned 32-bit integer.
+     */
+    this.convertToUInt32 = function() {
+        return readUInt32(view, 0);
+    };
+
+    /**
+     * Convert the data associated to this packet into a signed 32-bit integer.
+     *
+     * @return the data associated to this packet converted into a signed 32-bit integer.
+     */
+    this.convertToInt32 = function() {
+        return readInt32(view, 0);
+    };
+
+    /**
+     * Convert the data associated to this packet into an unsigned 64-bit integer, e.g. a persistent ID (mper).
+     *
+     * @param asString {boolean} <code>true</code> to return the decimal representation of the integer - optional
+     * @return the data associated to this packet converted into a BigInt, or into a decimal <code>String</code> if
+     *         requested or if BigInt is not supported.
+     */
+    this.convertToUInt64 = function(asString) {
+        return readUInt64(view, 0, asString === true);
+    };
+
+    /**
+     * Convert the data associated to this packet into a signed 64-bit integer.
+     *
+     * @param asString {boolean} <code>true</code> to return the decimal representation of the integer - optional
+     * @return the data associated to this packet converted into a BigInt, or into a decimal <code>String</code> if
+     *         requested or if BigInt is not supported.
+     */
+    this.convertToInt64 = function(asString) {
+        return readInt64(view, 0, asString === true);
+    };
+
+    /**
+     * Convert the data associated to this packet into a list of unsigned 32-bit integers, e.g. the IDs of the song
+     * being played (canp).
+     *
+     * @return the data associated to this packet converted into an <code>Array</code> of unsigned 32-bit integers.
+     */
+    this.convertToUInt32Array = function() {
+        var result = [];
+        for(var i = 0; i + 4 <= data.length; i += 4) {
+            result.push(readUInt32(view, i));
+        }
+        return result;
+    };
+
+    /**
+     * Convert the data associated to this packet into a <code>String</code>. The data is decoded as UTF-8.
      *
      * @return the data associated to this packet converted into a <code>String</code>.
      */
     this.convertToString = function() {
-        return data;
+        return decodeUtf8(data);
     };
 
     /**
@@ -148,6 +298,21 @@ function DaapPacket(chunk, start) {
         return result;
     };
 
+    /**
+     * Seek this packet for the specified code and return first packet with matching code; the code is required.
+     *
+     * @param refCode {String} the specified code
+     * @return the first {DaapPacket} which code matches the specified one.
+     * @throws EndOfPacketException if no packet matches the specified code.
+     */
+    this.seekRequired = function(refCode) {
+        var result = this.seekFirst(refCode);
+        if(result == null) {
+            throw new EndOfPacketException(this.path() + "/" + refCode, position + this.size());
+        }
+        return result;
+    };
+
     /**
      * Seek this packet for the specified code and return all packets with matching code.
      *
@@ -177,16 +342,336 @@ function DaapPacket(chunk, start) {
     };
 
     /**
-     * Read big-endian (network byte order) unsigned 32-bit <code>int</code> from data at offset
+     * Decode this packet into a JS value according to the type of each tag given by the specified content codes.
+     * <p>
+     * A container is decoded into an object whose properties are the codes of its chunks; a code appearing more than
+     * once is decoded into an array of values. A listing container (e.g. <code>mlcl</code>) is always decoded into an
+     * array. Integers are decoded into numbers (64-bit integers into BigInt or decimal strings, see
+     * {@link DaapPacket#convertToUInt64()}), dates into {Date}, versions into strings (major.minor.patch) and strings
+     * are decoded as UTF-8. Chunks whose code is unknown are decoded into strings.
+     * <p>
+     * Example: a login response is decoded into <code>{ mstt: 200, mlid: 31 }</code>.
      *
-     * @see http://fhtr.blogspot.com/2009/12/3d-models-and-parsing-binary-data-with.html
+     * @param contentCodes {DaapContentCodes} the content codes - if omitted, the default dictionary is used
+     * @return the decoded value of this packet
+     * @throws EndOfPacketException if a container does not hold valid chunks.
+     */
+    this.decode = function(contentCodes) {
+        if( typeof (contentCodes) == 'undefined') {
+            contentCodes = new DaapContentCodes();
+        }
+        var tag = contentCodes.lookup(code);
+        if(tag == null) {
+            return decodeUtf8(data);
+        }
+        if(tag.type != "container") {
+            return decodeValue(tag);
+        }
+        var listing = tag.listing;
+        var result = listing ? [] : {};
+        var chunkOffset = 0;
+        while(chunkOffset < data.length) {
+            var chunk = new DaapPacket(data, chunkOffset, self);
+            chunkOffset += chunk.size();
+            var value = chunk.decode(contentCodes);
+            var chunkCode = chunk.code();
+            if(listing) {
+                result.push(value);
+            } else if(!result.hasOwnProperty(chunkCode)) {
+                result[chunkCode] = value;
+            } else if(result[chunkCode] instanceof Array) {
+                result[chunkCode].push(value);
+            } else {
+                result[chunkCode] = [result[chunkCode], value];
+            }
+        }
+        return result;
+    };
+
+    /**
+     * Decode the data associated to this packet according to the specified type. A long or a version whose data is
+     * not of the expected size (8 and 4 bytes) is read as an integer of the size of the data.
      *
-     * @param data {String} data to read from
+     * @param tag {Object} the tag of this packet - anything but a <code>container</code>
+     * @return the decoded value
+     */
+    function decodeValue(tag) {
+        switch(tag.type) {
+            case "byte":
+            case "short":
+            case "int":
+                return tag.signed ? readInt(data.length) : readUInt(view, 0, data.length);
+            case "long":
+                if(data.length != 8) {
+                    return tag.signed ? readInt(data.length) : readUInt(view, 0, data.length);
+                }
+                return tag.signed ? readInt64(view, 0, false) : readUInt64(view, 0, false);
+            case "date":
+                return new Date(readUInt(view, 0, data.length) * 1000);
+            case "version":
+                if(data.length != 4) {
+                    return String(readUInt(view, 0, data.length));
+                }
+                return readUInt16(view, 0) + "." + readUInt8(view, 2) + "." + readUInt8(view, 3);
+            default:
+                return decodeUtf8(data);
+        }
+    }
+
+    /**
+     * Read the signed integer held by the data according to its size: 1, 2 or 4 bytes.
+     *
+     * @param length {int} the size of the data
+     * @return the read signed integer
+     */
+    function readInt(length) {
+        switch(length) {
+            case 1:
+                return readInt8(view, 0);
+            case 2:
+                return readInt16(view, 0);
+            default:
+                return readInt32(view, 0);
+        }
+    }
+
+    /**
+     * Read big-endian (network byte order) unsigned integer of the specified length in bytes from view at offset.
+     * <p>
+     * Note: integers greater than 2^53 cannot be represented exactly.
+     *
+     * @param view {DataView} view to read from
+     * @param offset {int} offset
+     * @param length {int} the number of bytes to read
+     * @return the read unsigned integer
+     */
+    function readUInt(view, offset, length) {
+        var result = 0;
+        for(var i = 0; i < length; i++) {
+            result = result * 256 + view.getUint8(offset + i);
+        }
+        return result;
+    }
+
+    /**
+     * Read unsigned 8-bit integer from view at offset
+     *
+     * @param view {DataView} view to read from
+     * @param offset {int} offset
+     * @return the read unsigned 8-bit
+     */
+    function readUInt8(view, offset) {
+        return view.getUint8(offset);
+    }
+
+    /**
+     * Read signed 8-bit integer from view at offset
+     *
+     * @param view {DataView} view to read from
+     * @param offset {int} offset
+     * @return the read signed 8-bit
+     */
+    function readInt8(view, offset) {
+        return view.getInt8(offset);
+    }
+
+    /**
+     * Read big-endian (network byte order) unsigned 16-bit integer from view at offset
+     *
+     * @param view {DataView} view to read from
+     * @param offset {int} offset
+     * @return the read unsigned 16-bit
+     */
+    function readUInt16(view, offset) {
+        return view.getUint16(offset);
+    }
+
+    /**
+     * Read big-endian (network byte order) signed 16-bit integer from view at offset
+     *
+     * @param view {DataView} view to read from
+     * @param offset {int} offset
+     * @return the read signed 16-bit
+     */
+    function readInt16(view, offset) {
+        return view.getInt16(offset);
+    }
+
+    /**
+     * Read big-endian (network byte order) unsigned 32-bit <code>int</code> from view at offset
+     *
+     * @param view {DataView} view to read from
      * @param offset {int} offset
      * @return the read unsigned 32-bit
      */
-    function readUInt32(data, offset) {
-        return ((data.charCodeAt(offset) & 0xFF) << 24) + ((data.charCodeAt(offset + 1) & 0xFF) << 16) + ((data.charCodeAt(offset + 2) & 0xFF) << 8) + (data.charCodeAt(offset + 3) & 0xFF);
+    function readUInt32(view, offset) {
+        return view.getUint32(offset);
+    }
+
+    /**
+     * Read big-endian (network byte order) signed 32-bit <code>int</code> from view at offset
+     *
+     * @param view {DataView} view to read from
+     * @param offset {int} offset
+     * @return the read signed 32-bit
+     */
+    function readInt32(view, offset) {
+        return view.getInt32(offset);
+    }
+
+    /**
+     * Read big-endian (network byte order) unsigned 64-bit integer from view at offset
+     *
+     * @param view {DataView} view to read from
+     * @param offset {int} offset
+     * @param asString {boolean} <code>true</code> to return the decimal representation of the integer
+     * @return the read unsigned 64-bit as a BigInt, or as a decimal <code>String</code> if requested or if BigInt is
+     *         not supported
+     */
+    function readUInt64(view, offset, asString) {
+        var high = readUInt32(view, offset);
+        var low = readUInt32(view, offset + 4);
+        if(!asString && typeof (BigInt) == 'function') {
+            return BigInt(high) * BigInt(4294967296) + BigInt(low);
+        }
+        return toDecimalString(high, low);
+    }
+
+    /**
+     * Read big-endian (network byte order) signed 64-bit integer from view at offset
+     *
+     * @param view {DataView} view to read from
+     * @param offset {int} offset
+     * @param asString {boolean} <code>true</code> to return the decimal representation of the integer
+     * @return the read signed 64-bit as a BigInt, or as a decimal <code>String</code> if requested or if BigInt is
+     *         not supported
+     */
+    function readInt64(view, offset, asString) {
+        var high = readUInt32(view, offset);
+        var low = readUInt32(view, offset + 4);
+        if(!asString && typeof (BigInt) == 'function') {
+            return BigInt.asIntN(64, BigInt(high) * BigInt(4294967296) + BigInt(low));
+        }
+        if(high < 0x80000000) {
+            return toDecimalString(high, low);
+        }
+        // two's complement: negate and prefix with minus sign.
+        low = (~low + 1) >>> 0;
+        high = (~high + (low == 0 ? 1 : 0)) >>> 0;
+        return "-" + toDecimalString(high, low);
+    }
+
+    /**
+     * Return the decimal representation of the unsigned 64-bit integer made of the specified high and low 32-bit.
+     *
+     * @param high {int} the high unsigned 32-bit
+     * @param low {int} the low unsigned 32-bit
+     * @return the decimal representation of the unsigned 64-bit integer
+     */
+    function toDecimalString(high, low) {
+        // divide by 10 a 64-bit integer made of 4 16-bit digits until it reaches 0.
+        var digits = [high >>> 16, high & 0xFFFF, low >>> 16, low & 0xFFFF];
+        var result = "";
+        do {
+            var remainder = 0;
+            for(var i = 0; i < digits.length; i++) {
+                var value = remainder * 65536 + digits[i];
+                digits[i] = Math.floor(value / 10);
+                remainder = value % 10;
+            }
+            result = remainder + result;
+        } while(digits[0] != 0 || digits[1] != 0 || digits[2] != 0 || digits[3] != 0);
+        return result;
+    }
+
+    /**
+     * Decode the specified UTF-8 encoded data. Invalid sequences are decoded into the replacement character (U+FFFD).
+     *
+     * @param data {Uint8Array} the UTF-8 encoded data
+     * @return the decoded <code>String</code>
+     */
+    function decodeUtf8(data) {
+        if( typeof (TextDecoder) == 'function') {
+            return new TextDecoder("utf-8").decode(data);
+        }
+        var result = "";
+        var length = data.length;
+        var i = 0;
+        while(i < length) {
+            var b = readUInt8(view, i++);
+            var codePoint;
+            var continuation;
+            if(b < 0x80) {
+                result += String.fromCharCode(b);
+                continue;
+            } else if(b >= 0xC2 && b < 0xE0) {
+                codePoint = b & 0x1F;
+                continuation = 1;
+            } else if(b >= 0xE0 && b < 0xF0) {
+                codePoint = b & 0x0F;
+                continuation = 2;
+            } else if(b >= 0xF0 && b < 0xF5) {
+                codePoint = b & 0x07;
+                continuation = 3;
+            } else {
+                result += "\uFFFD";
+                continue;
+            }
+            var valid = true;
+            for(var j = 0; j < continuation; j++) {
+                if(i >= length || (readUInt8(view, i) & 0xC0) != 0x80) {
+                    valid = false;
+                    break;
+                }
+                codePoint = (codePoint << 6) | (readUInt8(view, i++) & 0x3F);
+            }
+            // reject truncated, overlong and out of range sequences as well as surrogates.
+            if(!valid || (continuation == 2 && codePoint < 0x800) || (continuation == 3 && (codePoint < 0x10000 || codePoint > 0x10FFFF)) || (codePoint >= 0xD800 && codePoint <= 0xDFFF)) {
+                result += "\uFFFD";
+            } else if(codePoint > 0xFFFF) {
+                codePoint -= 0x10000;
+                result += String.fromCharCode(0xD800 + (codePoint >> 10), 0xDC00 + (codePoint & 0x3FF));
+            } else {
+                result += String.fromCharCode(codePoint);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Return the bytes of the specified chunk.
+     *
+     * @param chunk {ArrayBuffer|Uint8Array|String} the chunk; a string is read as one byte per character
+     * @return the bytes of the specified chunk
+     */
+    function toBytes(chunk) {
+        if( chunk instanceof Uint8Array) {
+            return chunk;
+        }
+        if( chunk instanceof ArrayBuffer) {
+            return new Uint8Array(chunk);
+        }
+        var result = new Uint8Array(chunk.length);
+        for(var i = 0; i < chunk.length; i++) {
+            result[i] = chunk.charCodeAt(i) & 0xFF;
+        }
+        return result;
     }
 
-}
\ No newline at end of file
+}
+
+/**
+ * Return the value corresponding to the specified code in the specified item, decoded by
+ * {@link DaapPacket#decode(contentCodes)}.
+ *
+ * @param item {Object} the decoded DAAP item
+ * @param code {String} the specified code
+ * @param defaultValue the value returned if the item does not hold the specified code
+ * @return the value corresponding to the specified code
+ */
+DaapPacket.valueOf = function(item, code, defaultValue) {
+    if(item.hasOwnProperty(code)) {
+        return item[code];
+    }
+    return defaultValue;
+};
\ No newline at end of file
@@ -0,0 +1,163 @@
+/**
+ * A DAAP query: a filter expression on the DAAP fields of the items, e.g.
+ * <code>('daap.songartist:Foo'+'com.apple.itunes.mediakind:1')</code>.
+ * <p>
+ * Queries are built from terms and combined with {@link DaapQuery#and(other)} and {@link DaapQuery#or(other)}:
+ *
+ * <pre>
+ * var query = DaapClient.Query.equals("daap.songartist", "Foo").and(DaapClient.Query.startsWith("dmap.itemname", "Ba"));
+ * </pre>
+ *
+ * Values are escaped; the query is URL encoded by the request handlers.
+ *
+ * @constructor
+ * @param aNode {Object} the expression tree: either a term (field, value, prefix, negated) or a combination of
+ *            queries (operator, operands) - use {@link DaapQuery.equals}, {@link DaapQuery.startsWith} or
+ *            {@link DaapQuery.contains} rather than this constructor
+ */
+function DaapQuery(aNode) {
+
+    /** @private the expression tree. */
+    var node = aNode;
+
+    /**
+     * Return the query matching the items matching both this query and the specified one.
+     *
+     * @param other {DaapQuery} the specified query
+     * @return the conjunction of this query and the specified one
+     */
+    this.and = function(other) {
+        return combine("+", this, other);
+    };
+
+    /**
+     * Return the query matching the items matching this query or the specified one.
+     *
+     * @param other {DaapQuery} the specified query
+     * @return the disjunction of this query and the specified one
+     */
+    this.or = function(other) {
+        return combine(",", this, other);
+    };
+
+    /**
+     * Return the negation of this query. Combinations are negated term by term (De Morgan's laws) since DAAP only
+     * supports the negation of terms.
+     *
+     * @return the negation of this query
+     */
+    this.not = function() {
+        if( typeof (node.operator) == 'undefined') {
+            return new DaapQuery({
+                field: node.field,
+                value: node.value,
+                match: node.match,
+                negated: !node.negated
+            });
+        }
+        var operands = [];
+        for(var i = 0; i < node.operands.length; i++) {
+            operands.push(node.operands[i].not());
+        }
+        return new DaapQuery({
+            operator: node.operator == "+" ? "," : "+",
+            operands: operands
+        });
+    };
+
+    /**
+     * Return the DAAP expression of this query (not URL encoded).
+     *
+     * @return the DAAP expression of this query
+     */
+    this.toString = function() {
+        if( typeof (node.operator) == 'undefined') {
+            var value = escape(node.value);
+            if(node.match == "prefix") {
+                value = value + "*";
+            } else if(node.match == "substring") {
+                value = "*" + value + "*";
+            }
+            return "'" + node.field + (node.negated ? "!:" : ":") + value + "'";
+        }
+        var expressions = [];
+        for(var i = 0; i < node.operands.length; i++) {
+            expressions.push(node.operands[i].toString());
+        }
+        return "(" + expressions.join(node.operator) + ")";
+    };
+
+    /**
+     * Combine the specified queries with the specified operator.
+     *
+     * @param operator {String} the operator: "+" (and) or "," (or)
+     * @param left {DaapQuery} the left query
+     * @param right {DaapQuery} the right query
+     * @return the combination of the specified queries
+     */
+    function combine(operator, left, right) {
+        return new DaapQuery({
+            operator: operator,
+            operands: [left, right]
+        });
+    }
+
+    /**
+     * Escape the specified value: backslash, quote and wildcard are prefixed with a backslash.
+     *
+     * @param value the value
+     * @return the escaped value
+     */
+    function escape(value) {
+        return String(value).replace(/([\\'*])/g, "\\$1");
+    }
+
+}
+
+/**
+ * Return the query matching the items whose specified field equals the specified value.
+ *
+ * @param field {String} the DAAP field, e.g. daap.songartist
+ * @param value the value
+ * @return the query
+ */
+DaapQuery.equals = function(field, value) {
+    return new DaapQuery({
+        field: field,
+        value: value,
+        match: "exact",
+        negated: false
+    });
+};
+
+/**
+ * Return the query matching the items whose specified field starts with the specified value.
+ *
+ * @param field {String} the DAAP field, e.g. daap.songartist
+ * @param value the value
+ * @return the query
+ */
+DaapQuery.startsWith = function(field, value) {
+    return new DaapQuery({
+        field: field,
+        value: value,
+        match: "prefix",
+        negated: false
+    });
+};
+
+/**
+ * Return the query matching the items whose specified field contains the specified value.
+ *
+ * @param field {String} the DAAP field, e.g. daap.songartist
+ * @param value the value
+ * @return the query
+ */
+DaapQuery.contains = function(field, value) {
+    return new DaapQuery({
+        field: field,
+        value: value,
+        match: "substring",
+        negated: false
+    });
+};
@@ -0,0 +1,200 @@
+/**
+ * The streaming DAAP parser: the bytes of a response are pushed as they arrive and each element is emitted once
+ * complete, in a single pass, so that the items of a large response can be handled before the whole response has been
+ * received.
+ * <p>
+ * The root packet and the containers whose code is specified (e.g. mlcl, the listing of the items) are walked
+ * through; any other element (e.g. mstt or an item, mlit) is emitted to the listener as a {@link DaapPacket}, along
+ * with the path of its container. Only the element being read is held in memory: an element lying within one pushed
+ * chunk is read in place, a view of the chunk; only an element spanning several chunks is copied.
+ *
+ * @constructor
+ * @param aContainers {Array} the codes of the containers whose elements are emitted one by one
+ * @param aListener {Function} the function called with each complete element and the path of its container
+ */
+function DaapStreamParser(aContainers, aListener) {
+
+    /** @private size in bytes of "header" of chunk: code + size. */
+    var HEADER_LENGTH = 8;
+
+    /** @private the codes of the containers walked through. */
+    var containers = aContainers || [];
+
+    /** @private the listener. */
+    var listener = aListener;
+
+    /** @private the open containers: path and number of bytes of their data not read yet. */
+    var stack = [];
+
+    /** @private the header being read. */
+    var header = new Uint8Array(HEADER_LENGTH);
+
+    /** @private the number of bytes of the header read so far. */
+    var headerLength = 0;
+
+    /** @private the element being read: its bytes (header + data), bytes read so far, path and position. */
+    var element = null;
+
+    /** @private the number of bytes read so far. */
+    var position = 0;
+
+    /** @private <code>true</code> once the root packet has been read. */
+    var finished = false;
+
+    /** @private the length of the response, <code>-1</code> if unknown. */
+    var length = -1;
+
+    /**
+     * Set the length of the response, e.g. its Content-Length: a root packet claiming more bytes is rejected before
+     * any of its elements is read.
+     *
+     * @param aLength {int} the length of the response in bytes
+     */
+    this.setLength = function(aLength) {
+        length = aLength >= 0 ? aLength : -1;
+    };
+
+    /**
+     * Parse the specified bytes, following the bytes pushed so far.
+     *
+     * @param chunk {Uint8Array|ArrayBuffer} the next bytes of the response
+     * @throws EndOfPacketException if the bytes do not follow the DAAP format
+     */
+    this.push = function(chunk) {
+        var bytes = chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk);
+        var offset = 0;
+        var count;
+        while(offset < bytes.length) {
+            if(finished) {
+                // bytes after the root packet.
+                throw new EndOfPacketException("", position);
+            }
+            if(element != null) {
+                count = Math.min(element.bytes.length - element.read, bytes.length - offset);
+                element.bytes.set(bytes.subarray(offset, offset + count), element.read);
+                element.read += count;
+                offset += count;
+                position += count;
+                if(element.read == element.bytes.length) {
+                    emit();
+                }
+            } else {
+                count = Math.min(HEADER_LENGTH - headerLength, bytes.length - offset);
+                header.set(bytes.subarray(offset, offset + count), headerLength);
+                headerLength += count;
+                offset += count;
+                position += count;
+                if(headerLength == HEADER_LENGTH) {
+                    headerLength = 0;
+                    // the element may be read in place if its header lies within the chunk.
+                    count = open(count == HEADER_LENGTH ? bytes : null, offset);
+                    offset += count;
+                    position += count;
+                }
+            }
+        }
+    };
+
+    /**
+     * Check that the bytes pushed so far form a complete response.
+     *
+     * @throws EndOfPacketException if the response is incomplete
+     */
+    this.end = function() {
+        if(!finished) {
+            throw new EndOfPacketException(element != null ? element.path : (stack.length > 0 ? stack[stack.length - 1].path : ""), position);
+        }
+    };
+
+    /**
+     * Open the element whose header has just been read: either a container to walk through or an element to read.
+     *
+     * @private
+     * @param chunk {Uint8Array} the chunk holding the whole header, <code>null</code> if it spans several chunks
+     * @param offset {int} the offset of the data of the element in the chunk
+     * @return {int} the number of bytes of the chunk read as the data of the element
+     */
+    function open(chunk, offset) {
+        var code = String.fromCharCode(header[0], header[1], header[2], header[3]);
+        var size = new DataView(header.buffer, header.byteOffset, HEADER_LENGTH).getUint32(4);
+        var start = position - HEADER_LENGTH;
+        var parentPath = stack.length == 0 ? "" : stack[stack.length - 1].path;
+        var path = parentPath == "" ? code : parentPath + "/" + code;
+        if(stack.length > 0) {
+            var parent = stack[stack.length - 1];
+            parent.remaining -= HEADER_LENGTH + size;
+            if(parent.remaining < 0) {
+                // the element overflows its container.
+                throw new EndOfPacketException(path, start);
+            }
+        } else if(length >= 0 && HEADER_LENGTH + size > length - start) {
+            // the root packet overflows the response.
+            throw new EndOfPacketException(path, start);
+        }
+        if(stack.length == 0 || containers.indexOf(code) != -1) {
+            stack.push({
+                path: path,
+                remaining: size
+            });
+            close();
+        } else if(chunk != null && offset + size <= chunk.length) {
+            // the element lies within the chunk, which the transport does not reuse.
+            element = {
+                bytes: chunk.subarray(offset - HEADER_LENGTH, offset + size),
+                path: path,
+                parentPath: parentPath,
+                position: start
+            };
+            emit();
+            return size;
+        } else {
+            var bytes = new Uint8Array(HEADER_LENGTH + size);
+            bytes.set(header);
+            element = {
+                bytes: bytes,
+                read: HEADER_LENGTH,
+                path: path,
+                parentPath: parentPath,
+                position: start
+            };
+            if(size == 0) {
+                emit();
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Emit the element that has just been read.
+     *
+     * @private
+     */
+    function emit() {
+        var completed = element;
+        element = null;
+        // the packet is located in the response by its container, as if read from it.
+        var context = {
+            path: function() {
+                return completed.parentPath;
+            },
+            position: function() {
+                return completed.position - HEADER_LENGTH;
+            }
+        };
+        listener(new DaapPacket(completed.bytes, 0, context), completed.parentPath);
+        close();
+    }
+
+    /**
+     * Close the containers whose elements have all been read.
+     *
+     * @private
+     */
+    function close() {
+        while(element == null && stack.length > 0 && stack[stack.length - 1].remaining == 0) {
+            stack.pop();
+        }
+        finished = stack.length == 0;
+    }
+
+}
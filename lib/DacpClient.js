@@ -0,0 +1,703 @@
+/*
+ * Copyright (C) 2012 Cedric Liegeois.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated
+ * documentation files (the "Software"), to deal in the Software without restriction, including without limitation the
+ * rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the
+ * Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE
+ * WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+ * OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */'use strict';
+
+/**
+ * DACP Client. This client remote-controls the playback of a DACP server (e.g. iTunes or forked-daapd) at the
+ * specified IP address/port, host name/port or base URL, as a paired Remote app does: play, pause, skip, volume,
+ * shuffle, repeat, queueing and now-playing status.
+ * <p>
+ * The server is given as for {@link DaapClient}, and the requests are sent and fail the same way: every callback is
+ * called with the HTML status code, the result of the request ('undefined' upon failure) and, upon failure, the
+ * {@link DaapError} describing the failure. All the errors are exposed by DacpClient, e.g. DacpClient.NetworkError.
+ * <p>
+ * The client logs on with the pairing GUID of a remote already paired with the server; pairing itself (the pairing
+ * code entered in the server) is not handled.
+ *
+ * <p>
+ * Example of use:
+ * <pre>
+ * var remote = new DacpClient("10.0.1.6");
+ * await remote.async.login("0000000000000001");
+ * await remote.async.queue(stream.itemId, { play: true });
+ * await remote.async.setVolume(40);
+ * remote.watchStatus(function(code, status) {
+ *     if (code == 200) {
+ *         show(status.state, status.title, status.artist);
+ *     }
+ * });
+ * </pre>
+ *
+ * @constructor
+ * @param ip {String|Object} the IP address or host name of the DACP Server, its base URL or the server options, see
+ *            {@link DaapClient}
+ * @param port {int} the port of the DACP Server - if omitted, 3689 is assumed; ignored if a base URL or options are
+ *            given
+ * @param transport {Object|String} the HTTP transport: "fetch", "xhr", "node" or any object providing the send method
+ *            described in {@link FetchTransport} - optional
+ */
+function DacpClient(ip, port, transport) {
+
+	/** @private this client. */
+	var self = this;
+
+	/** @private the base URL of the DACP server, without trailing slash. */
+	var server = serverUrl(ip, port);
+
+	if( typeof (ip) == 'object' && ip != null && typeof (transport) == 'undefined') {
+		transport = ip.transport;
+	}
+
+	/** @private the HTTP client to communicate with the server. */
+	var httpClient = new DaapHttpClient(server, transport);
+
+	/** @private the pairing GUID, <code>null</code> if not logged on. */
+	var pairingGuid = null;
+
+	/** @private the session id. */
+	var sid = null;
+
+	/** @private the callbacks waiting for the pending re-login, <code>null</code> if none pending. */
+	var relogins = null;
+
+	/** @private the listeners of the playback status. */
+	var watchers = [];
+
+	/** @private the current status polling: the AbortController of its pending request, <code>null</code> if not polling. */
+	var polling = null;
+
+	/** @private the repeat modes, by name. */
+	var REPEAT_MODES = {
+		off: 0,
+		single: 1,
+		all: 2
+	};
+
+	@EndOfPacketException;
+
+	@DaapContentCodes;
+
+	@DaapPacket;
+
+	@DaapStreamParser;
+
+	@FetchTransport;
+
+	@XhrTransport;
+
+	@NodeTransport;
+
+	@Md5;
+
+	@DaapHttpClient;
+
+	@PairingLoginRequestHandler;
+
+	@ControlRequestHandler;
+
+	@VolumeRequestHandler;
+
+	@PlayStatusRequestHandler;
+
+	@LogoutRequestHandler;
+
+	@ServerUrl;
+
+	/**
+	 * If SID is <code>null</code> throws DaapError.
+	 *
+	 * @private
+	 */
+	function checkLogin() {
+		if(sid == null) {
+			throw new DaapError("Login not completed.");
+		}
+	}
+
+	/**
+	 * Execute the request created by the specified function. If the server rejects the session, the client logs on
+	 * again with the same pairing GUID and the request is created and executed once more with the new session.
+	 *
+	 * @private
+	 * @param newHandler {Function} the function returning the request handler for the specified callback
+	 * @param callback the callback function of the request
+	 * @param options the request options: timeout and signal - optional
+	 */
+	function execute(newHandler, callback, options) {
+		httpClient.execute(newHandler(function(code, result, error) {
+			if(error instanceof SessionExpiredError && sid != null) {
+				relogin(function(loginCode, aSid, loginError) {
+					if(loginCode == 200) {
+						httpClient.execute(newHandler(callback), options);
+					} else {
+						callback(loginCode, undefined, loginError);
+					}
+				});
+			} else {
+				callback(code, result, error);
+			}
+		}), options);
+	}
+
+	/**
+	 * Log on to the DACP server again; the requests failing concurrently share the same login.
+	 *
+	 * @private
+	 * @param callback the callback function called once the login phase is over
+	 */
+	function relogin(callback) {
+		if(relogins != null) {
+			relogins.push(callback);
+			return;
+		}
+		relogins = [callback];
+		self.login(pairingGuid, function(code, aSid, error) {
+			var waiting = relogins;
+			relogins = null;
+			for(var i = 0; i < waiting.length; i++) {
+				waiting[i](code, aSid, error);
+			}
+		});
+	}
+
+	/**
+	 * Send the specified playback command.
+	 *
+	 * @private
+	 * @param command {String} the command, see {@link ControlRequestHandler}
+	 * @param params {Array} the parameters of the command, each given as a name and a value
+	 * @param callback the callback function called once the command has been sent
+	 * @param options the request options - optional
+	 */
+	function control(command, params, callback, options) {
+		checkLogin();
+		execute(function(aCallback) {
+			return new ControlRequestHandler(sid, command, params, aCallback);
+		}, callback, options);
+	}
+
+	/**
+	 * Log on to the DACP server with the pairing GUID of a paired remote.
+	 *
+	 * @param guid {String} the pairing GUID: 16 hexadecimal digits, e.g. "0000000000000001"
+	 * @param callback the callback function called once the login phase is over. The HTML status code and the session ID are returned.
+	 * @param options the request options - optional:
+	 *            <ul>
+	 *            <li>timeout : the timeout (ms) of the request, see {@link DacpClient#setRequestTimeout(timeout)}
+	 *            <li>signal : the AbortSignal aborting the request - the callback is then called with a
+	 *            {@link RequestAbortedError}
+	 *            <li>headers : the HTTP headers of the request, indexed by name
+	 *            </ul>
+	 */
+	this.login = function(guid, callback, options) {
+		var handler = new PairingLoginRequestHandler(guid, function(code, aSid, error) {
+			if(code == 200) {
+				pairingGuid = guid;
+				sid = aSid;
+			}
+			callback(code, aSid, error);
+		});
+		httpClient.execute(handler, options);
+	};
+
+	/**
+	 * Log out of the DACP server: the session is ended and all the status listeners are unregistered.
+	 *
+	 * @param callback the callback function called once logged out. The HTML status code is returned - optional
+	 * @param options the request options, see {@link DacpClient#login(guid, callback, options)} - optional
+	 */
+	this.logout = function(callback, options) {
+		checkLogin();
+		var handler = new LogoutRequestHandler(sid, callback || function() {
+		});
+		sid = null;
+		watchers = [];
+		stopPolling();
+		httpClient.execute(handler, options);
+	};
+
+	/**
+	 * Start or resume playing.
+	 *
+	 * @param callback the callback function called once the command has been sent. The HTML status code is returned.
+	 * @param options the request options, see {@link DacpClient#login(guid, callback, options)} - optional
+	 */
+	this.play = function(callback, options) {
+		control("play", [], callback, options);
+	};
+
+	/**
+	 * Pause playing.
+	 *
+	 * @param callback the callback function called once the command has been sent. The HTML status code is returned.
+	 * @param options the request options, see {@link DacpClient#login(guid, callback, options)} - optional
+	 */
+	this.pause = function(callback, options) {
+		control("pause", [], callback, options);
+	};
+
+	/**
+	 * Pause if playing, play otherwise.
+	 *
+	 * @param callback the callback function called once the command has been sent. The HTML status code is returned.
+	 * @param options the request options, see {@link DacpClient#login(guid, callback, options)} - optional
+	 */
+	this.playPause = function(callback, options) {
+		control("playpause", [], callback, options);
+	};
+
+	/**
+	 * Skip to the next song.
+	 *
+	 * @param callback the callback function called once the command has been sent. The HTML status code is returned.
+	 * @param options the request options, see {@link DacpClient#login(guid, callback, options)} - optional
+	 */
+	this.next = function(callback, options) {
+		control("nextitem", [], callback, options);
+	};
+
+	/**
+	 * Go back to the previous song.
+	 *
+	 * @param callback the callback function called once the command has been sent. The HTML status code is returned.
+	 * @param options the request options, see {@link DacpClient#login(guid, callback, options)} - optional
+	 */
+	this.previous = function(callback, options) {
+		control("previtem", [], callback, options);
+	};
+
+	/**
+	 * Set the volume of the server.
+	 *
+	 * @param volume {int} the volume, from 0 to 100
+	 * @param callback the callback function called once the volume has been set. The HTML status code is returned.
+	 * @param options the request options, see {@link DacpClient#login(guid, callback, options)} - optional
+	 */
+	this.setVolume = function(volume, callback, options) {
+		control("setproperty", [["dmcp.volume", Math.round(Math.min(Math.max(volume, 0), 100))]], callback, options);
+	};
+
+	/**
+	 * Fetch the volume of the server.
+	 *
+	 * @param callback the callback function called once the volume has been fetched. The HTML status code and the volume (0 to 100) are returned.
+	 * @param options the request options, see {@link DacpClient#login(guid, callback, options)} - optional
+	 */
+	this.fetchVolume = function(callback, options) {
+		checkLogin();
+		execute(function(aCallback) {
+			return new VolumeRequestHandler(sid, aCallback);
+		}, callback, options);
+	};
+
+	/**
+	 * Turn shuffle on or off.
+	 *
+	 * @param enabled {boolean} <code>true</code> to shuffle
+	 * @param callback the callback function called once the shuffle state has been set. The HTML status code is returned.
+	 * @param options the request options, see {@link DacpClient#login(guid, callback, options)} - optional
+	 */
+	this.setShuffle = function(enabled, callback, options) {
+		control("setproperty", [["dacp.shufflestate", enabled ? 1 : 0]], callback, options);
+	};
+
+	/**
+	 * Set the repeat mode.
+	 *
+	 * @param mode {String} the repeat mode: "off", "single" (the current song) or "all"
+	 * @param callback the callback function called once the repeat mode has been set. The HTML status code is returned.
+	 * @param options the request options, see {@link DacpClient#login(guid, callback, options)} - optional
+	 * @throws DaapError if the repeat mode is unknown
+	 */
+	this.setRepeat = function(mode, callback, options) {
+		if(!REPEAT_MODES.hasOwnProperty(mode)) {
+			throw new DaapError("Unknown repeat mode: " + mode);
+		}
+		control("setproperty", [["dacp.repeatstate", REPEAT_MODES[mode]]], callback, options);
+	};
+
+	/**
+	 * Queue the specified song: appended to the play queue, or played at once in place of the queue.
+	 *
+	 * @param itemId {int} the DAAP ID of the song, see {@link DaapClient#fetchStreams(callback, options)}
+	 * @param callback the callback function called once the song has been queued. The HTML status code is returned.
+	 * @param options the request options, see {@link DacpClient#login(guid, callback, options)}, and play:
+	 *            <code>true</code> to clear the queue and play the song at once - optional
+	 */
+	this.queue = function(itemId, callback, options) {
+		var params = [["command", options && options.play ? "play" : "add"], ["query", "'dmap.itemid:" + itemId + "'"]];
+		control("cue", params, callback, options);
+	};
+
+	/**
+	 * Fetch the playback status of the server.
+	 * <p>
+	 * The status is described by the following JSON format:
+	 * <ul>
+	 * <li>revision : the revision of the status, incremented by the server upon each change
+	 * <li>state : "stopped", "paused" or "playing"
+	 * <li>shuffle : <code>true</code> if shuffle is on
+	 * <li>repeat : the repeat mode, "off", "single" or "all"
+	 * <li>title, artist, album, genre : the song being played, if any
+	 * <li>duration, remaining : the duration and the remaining time (ms) of the song being played, if any
+	 * <li>databaseId, playlistId, playlistItemId, itemId : the DAAP IDs of the song being played, if any
+	 * <li>volumeControllable : <code>true</code> if the volume can be set, if reported
+	 * </ul>
+	 *
+	 * @param callback the callback function called once the status has been fetched. The HTML status code and the status are returned.
+	 * @param options the request options, see {@link DacpClient#login(guid, callback, options)} - optional
+	 */
+	this.fetchStatus = function(callback, options) {
+		checkLogin();
+		execute(function(aCallback) {
+			return new PlayStatusRequestHandler(sid, 1, aCallback);
+		}, callback, options);
+	};
+
+	/**
+	 * Watch the playback status of the server. While at least one listener is registered, the client long-polls the
+	 * server (playstatusupdate); each listener is called with the HTML status code and the status - see
+	 * {@link DacpClient#fetchStatus(callback, options)} - once polling starts, then whenever the status changes.
+	 * <p>
+	 * If the server cannot be polled, each listener is called with the HTML status code, 'undefined' and the
+	 * {@link DaapError} and all the listeners are unregistered.
+	 *
+	 * @param listener the listener function called upon each change
+	 */
+	this.watchStatus = function(listener) {
+		checkLogin();
+		watchers.push(listener);
+		if(polling == null) {
+			polling = {};
+			pollStatus(polling, 1);
+		}
+	};
+
+	/**
+	 * Stop notifying the specified listener of the playback status. Polling stops once no listener is registered: the
+	 * pending status request is aborted.
+	 *
+	 * @param listener the listener function registered with {@link DacpClient#watchStatus(listener)}
+	 */
+	this.unwatchStatus = function(listener) {
+		for(var i = watchers.length - 1; i >= 0; i--) {
+			if(watchers[i] === listener) {
+				watchers.splice(i, 1);
+			}
+		}
+		if(watchers.length == 0) {
+			stopPolling();
+		}
+	};
+
+	/**
+	 * Long-poll the server for a status newer than the specified revision while at least one listener is registered.
+	 *
+	 * @private
+	 * @param aPolling the polling, ignored once superseded or stopped
+	 * @param revision {int} the known revision of the status, <code>1</code> for the current status
+	 */
+	function pollStatus(aPolling, revision) {
+		if(polling !== aPolling) {
+			return;
+		}
+		if(watchers.length == 0) {
+			stopPolling();
+			return;
+		}
+		aPolling.controller = typeof (AbortController) == 'function' ? new AbortController() : null;
+		// the server holds the request until the status changes: no timeout.
+		execute(function(aCallback) {
+			return new PlayStatusRequestHandler(sid, revision, aCallback);
+		}, function(code, status, error) {
+			if(polling !== aPolling) {
+				return;
+			}
+			var notified = watchers;
+			if(code != 200) {
+				watchers = [];
+				stopPolling();
+			}
+			for(var i = 0; i < notified.length; i++) {
+				notified[i](code, status, error);
+			}
+			if(code == 200) {
+				pollStatus(aPolling, status.revision);
+			}
+		}, {
+			timeout: 0,
+			signal: aPolling.controller != null ? aPolling.controller.signal : undefined
+		});
+	}
+
+	/**
+	 * Stop polling the server: the pending status request, if any, is aborted.
+	 *
+	 * @private
+	 */
+	function stopPolling() {
+		var stopped = polling;
+		polling = null;
+		if(stopped != null && stopped.controller != null) {
+			stopped.controller.abort();
+		}
+	}
+
+	/**
+	 * Set the default timeout of the requests; none by default. A request not responded in time fails with a
+	 * {@link NetworkError} whose timedOut property is <code>true</code>.
+	 * <p>
+	 * The long-polling of {@link DacpClient#watchStatus(listener)} is not subject to the timeout.
+	 *
+	 * @param timeout {int} the timeout (ms) of a request, <code>0</code> for none
+	 */
+	this.setRequestTimeout = function(timeout) {
+		httpClient.setRequestTimeout(timeout);
+	};
+
+	/**
+	 * The Promise based API: each method calls the corresponding callback based method and returns a Promise
+	 * resolved with the result of the request or rejected with a {@link DaapError}.
+	 */
+	this.async = {
+
+		/**
+		 * See {@link DacpClient#login(guid, callback, options)}.
+		 *
+		 * @return a Promise resolved with the session ID
+		 */
+		login: function(guid, options) {
+			return promised(function(callback) {
+				self.login(guid, callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DacpClient#logout(callback, options)}.
+		 *
+		 * @return a Promise resolved once logged out
+		 */
+		logout: function(options) {
+			return promised(function(callback) {
+				self.logout(callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DacpClient#play(callback, options)}.
+		 *
+		 * @return a Promise resolved once the command has been sent
+		 */
+		play: function(options) {
+			return promised(function(callback) {
+				self.play(callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DacpClient#pause(callback, options)}.
+		 *
+		 * @return a Promise resolved once the command has been sent
+		 */
+		pause: function(options) {
+			return promised(function(callback) {
+				self.pause(callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DacpClient#playPause(callback, options)}.
+		 *
+		 * @return a Promise resolved once the command has been sent
+		 */
+		playPause: function(options) {
+			return promised(function(callback) {
+				self.playPause(callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DacpClient#next(callback, options)}.
+		 *
+		 * @return a Promise resolved once the command has been sent
+		 */
+		next: function(options) {
+			return promised(function(callback) {
+				self.next(callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DacpClient#previous(callback, options)}.
+		 *
+		 * @return a Promise resolved once the command has been sent
+		 */
+		previous: function(options) {
+			return promised(function(callback) {
+				self.previous(callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DacpClient#setVolume(volume, callback, options)}.
+		 *
+		 * @return a Promise resolved once the volume has been set
+		 */
+		setVolume: function(volume, options) {
+			return promised(function(callback) {
+				self.setVolume(volume, callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DacpClient#fetchVolume(callback, options)}.
+		 *
+		 * @return a Promise resolved with the volume
+		 */
+		fetchVolume: function(options) {
+			return promised(function(callback) {
+				self.fetchVolume(callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DacpClient#setShuffle(enabled, callback, options)}.
+		 *
+		 * @return a Promise resolved once the shuffle state has been set
+		 */
+		setShuffle: function(enabled, options) {
+			return promised(function(callback) {
+				self.setShuffle(enabled, callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DacpClient#setRepeat(mode, callback, options)}.
+		 *
+		 * @return a Promise resolved once the repeat mode has been set
+		 */
+		setRepeat: function(mode, options) {
+			return promised(function(callback) {
+				self.setRepeat(mode, callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DacpClient#queue(itemId, callback, options)}.
+		 *
+		 * @return a Promise resolved once the song has been queued
+		 */
+		queue: function(itemId, options) {
+			return promised(function(callback) {
+				self.queue(itemId, callback, options);
+			});
+		},
+
+		/**
+		 * See {@link DacpClient#fetchStatus(callback, options)}.
+		 *
+		 * @return a Promise resolved with the playback status
+		 */
+		fetchStatus: function(options) {
+			return promised(function(callback) {
+				self.fetchStatus(callback, options);
+			});
+		}
+
+	};
+
+	/**
+	 * Return a Promise settled by the callback given to the specified call: resolved with the result if the status
+	 * code is <code>200</code>, rejected with a {@link DaapError} otherwise.
+	 *
+	 * @private
+	 * @param call the function calling a callback based method with the specified callback
+	 * @return the Promise
+	 */
+	function promised(call) {
+		return new Promise(function(resolve, reject) {
+			call(function(code, result, error) {
+				if(code == 200) {
+					resolve(result);
+				} else {
+					reject(error);
+				}
+			});
+		});
+	}
+
+}
+
+@ServiceBrowser;
+
+/**
+ * The browser of the DAAP and DACP servers announced over multicast DNS (Node), see {@link ServiceBrowser}.
+ */
+DacpClient.ServiceBrowser = ServiceBrowser;
+
+@DaapError;
+
+/**
+ * The Error reported when a request fails, see {@link DaapError}.
+ */
+DacpClient.Error = DaapError;
+
+@AuthenticationError;
+
+/**
+ * The Error reported when the server rejects the pairing GUID, see {@link AuthenticationError}.
+ */
+DacpClient.AuthenticationError = AuthenticationError;
+
+@SessionExpiredError;
+
+/**
+ * The Error reported when the server rejects the session, see {@link SessionExpiredError}.
+ */
+DacpClient.SessionExpiredError = SessionExpiredError;
+
+@MalformedPacketError;
+
+/**
+ * The Error reported when a response is not a valid DAAP packet, see {@link MalformedPacketError}.
+ */
+DacpClient.MalformedPacketError = MalformedPacketError;
+
+@NetworkError;
+
+/**
+ * The Error reported when the server cannot be reached, see {@link NetworkError}.
+ */
+DacpClient.NetworkError = NetworkError;
+
+@ServerStatusError;
+
+/**
+ * The Error reported when the server responds with a DAAP status other than 200, see {@link ServerStatusError}.
+ */
+DacpClient.ServerStatusError = ServerStatusError;
+
+@RequestAbortedError;
+
+/**
+ * The Error reported when a request is aborted, see {@link RequestAbortedError}.
+ */
+DacpClient.RequestAbortedError = RequestAbortedError;
+
+// export the client when loaded as a CommonJS module (Node).
+if( typeof (module) != 'undefined' && module.exports) {
+	module.exports = DacpClient;
+}
@@ -1,13 +1,25 @@
 /**
- * Database request handler; retrieves all the songs in the database of the DAAP server
+ * Database request handler; retrieves all the songs in the database of the DAAP server or, if a playlist is
+ * specified, all the songs of this playlist in the playlist order.
+ * <p>
+ * The response is parsed as it arrives, see {@link DaapStreamParser}: each song (mlit) is read once and only the song
+ * being read is held in memory besides the songs already built.
  *
  * @constructor
  * @param aSid {String} the DAAP session ID
  * @param aRid {String} the DAAP revision ID
- * @param aServer {String} the DAAP server IP address
- * @param l {Object} the listener
+ * @param aServer {String} the base URL of the DAAP server
+ * @param aContentCodes {DaapContentCodes} the content codes used to decode the songs
+ * @param aOptions {Object} the request options: databaseId, the DAAP ID of the database, playlistId, the DAAP ID of
+ *            the playlist - optional, query, the {DaapQuery} filtering the songs - optional and range, the range of
+ *            the songs to retrieve (offset and count) - optional, meta, the DAAP fields to retrieve (DAAP names or
+ *            stream property names) - optional and delta, the revision ID from which to retrieve the changes -
+ *            optional; if specified the callback is called with the updated songs and the IDs of the deleted songs
+ *            (updated and deleted) and onProgress, the function called with the songs read from each part of the
+ *            response as it arrives - optional
+ * @param aCallback {Function} the callback
  */
-function DatabaseRequestHandler(aSid, aRid, aServer, aCallback) {
+function DatabaseRequestHandler(aSid, aRid, aServer, aContentCodes, aOptions, aCallback) {
 
     /** @private the DAAP session ID. */
     var sid = aSid;
@@ -15,13 +27,82 @@ function DatabaseRequestHandler(aSid, aRid, aServer, aCallback) {
     /** @private the DAAP revision ID. */
     var rid = aRid;
 
-    /** @private the DAAP server IP address. */
+    /** @private the base URL of the DAAP server. */
     var server = aServer;
 
+    /** @private the content codes. */
+    var contentCodes = aContentCodes;
+
     /** @private the callback. */
     var callback = aCallback;
 
-    var fields = [
+    /** @private the DAAP ID of the database. */
+    var databaseId = aOptions.databaseId;
+
+    /** @private the DAAP ID of the playlist, if any. */
+    var playlistId = aOptions.playlistId;
+
+    /** @private the query filtering the songs, if any. */
+    var query = aOptions.query;
+
+    /** @private the range of the songs to retrieve, if any. */
+    var range = aOptions.range;
+
+    /** @private the revision ID from which to retrieve the changes, if any. */
+    var delta = aOptions.delta;
+
+    /** @private the function notified of the songs read from each part of the response, if any. */
+    var onProgress = aOptions.onProgress;
+
+    /** @private the songs read so far. */
+    var audioStreams = [];
+
+    /** @private the songs read since the last progress notification. */
+    var pendingStreams = [];
+
+    /** @private the DAAP IDs of the deleted songs, if retrieving changes. */
+    var deleted = [];
+
+    /** @private the stream property corresponding to each DAAP field. */
+    var PROPERTIES = {
+        "dmap.itemid": "itemId",
+        "dmap.itemname": "title",
+        "dmap.persistentid": "persistentId",
+        "dmap.containeritemid": "playlistItemId",
+        "daap.songalbum": "album",
+        "daap.songalbumartist": "albumArtist",
+        "daap.songalbumid": "albumId",
+        "daap.songartist": "artist",
+        "daap.songbeatsperminute": "bpm",
+        "daap.songbitrate": "bitrate",
+        "daap.songcomment": "comment",
+        "daap.songcompilation": "compilation",
+        "daap.songcomposer": "composer",
+        "daap.songdateadded": "dateAdded",
+        "daap.songdatemodified": "dateModified",
+        "daap.songdisccount": "discCount",
+        "daap.songdiscnumber": "discNumber",
+        "daap.songformat": "format",
+        "daap.songgenre": "genre",
+        "daap.songgrouping": "grouping",
+        "daap.songsamplerate": "sampleRate",
+        "daap.songsize": "size",
+        "daap.songtime": "duration",
+        "daap.songtrackcount": "trackCount",
+        "daap.songtracknumber": "trackNumber",
+        "daap.songuserplaycount": "playCount",
+        "daap.songuserrating": "rating",
+        "daap.songyear": "year",
+        "daap.sortalbum": "sortAlbum",
+        "daap.sortalbumartist": "sortAlbumArtist",
+        "daap.sortartist": "sortArtist",
+        "daap.sortcomposer": "sortComposer",
+        "daap.sortname": "sortTitle",
+        "com.apple.itunes.mediakind": "mediaKind"
+    };
+
+    /** @private the DAAP fields retrieved if none specified. */
+    var DEFAULT_FIELDS = [
             "dmap.itemid",
             "daap.songformat",
             "dmap.itemname",
@@ -32,30 +113,86 @@ function DatabaseRequestHandler(aSid, aRid, aServer, aCallback) {
             "daap.songtime",
             "daap.songsize",
             "daap.songyear",
-            "daap.songbitrate"
+            "daap.songbitrate",
+            "daap.songcomposer",
+            "daap.songdiscnumber",
+            "daap.songdisccount",
+            "daap.songalbumartist",
+            "daap.sortname",
+            "daap.sortartist",
+            "daap.sortalbum",
+            "daap.sortalbumartist",
+            "daap.sortcomposer",
+            "daap.songdateadded",
+            "daap.songdatemodified",
+            "daap.songuserrating",
+            "daap.songuserplaycount",
+            "daap.songcompilation",
+            "com.apple.itunes.mediakind",
+            "dmap.persistentid"
     ];
 
+    /** @private the retrieved DAAP fields. */
+    var fields = toFields(aOptions.meta);
+
+    /**
+     * Return the codes of the containers whose elements are handled one by one: the listing of the songs.
+     *
+     * @return the codes of the containers
+     */
+    this.getContainers = function() {
+        return ["mlcl"];
+    };
+
+    /**
+     * Handle an element of the response of the DAAP server to the database request: a song (mlit) or the IDs of the
+     * deleted songs (mudl).
+     *
+     * @param packet {DaapPacket} the element
+     * @param parentPath {String} the path of the container of the element
+     */
+    this.handleElement = function(packet, parentPath) {
+        if(packet.codeEquals("mlit")) {
+            var stream = createDaapStream(packet);
+            audioStreams.push(stream);
+            pendingStreams.push(stream);
+        } else if(packet.codeEquals("mudl")) {
+            // deleted songs are listed in mudl.
+            deleted = packet.decode(contentCodes);
+        }
+    };
+
+    /**
+     * Notify the songs read from the last part of the response, if any.
+     */
+    this.handleProgress = function() {
+        if( typeof (onProgress) == 'function' && pendingStreams.length > 0) {
+            var streams = pendingStreams;
+            pendingStreams = [];
+            onProgress(streams);
+        }
+    };
+
     /**
-     * Handle the response of the DAAP server to the database request.
+     * Handle the end of the response of the DAAP server to the database request.
      * <p>
      * Fires streamsFetched event.
-     *
-     * @param packet {Object} the DAAP packet received from the server upon database request
      */
-    this.handleResponse = function(packet) {
-        var mlcl = packet.seekFirst("mlcl");
-        var mlits = mlcl.seek("mlit");
-        var mlitsLength = mlits.length;
-        var audioStreams = [];
-        for(var i = 0; i < mlitsLength; i++) {
-            audioStreams.push(createDaapStream(mlits[i]));
+    this.handleEnd = function() {
+        this.handleProgress();
+        if( typeof (delta) == 'undefined') {
+            callback(200, audioStreams);
+        } else {
+            callback(200, {
+                updated: audioStreams,
+                deleted: deleted
+            });
         }
-        callback(200, audioStreams);
     };
 
 
-    this.fail = function(code) {
-        callback(code, undefined);
+    this.fail = function(error) {
+        callback(error.status, undefined, error);
     };
 
     /**
@@ -64,69 +201,81 @@ function DatabaseRequestHandler(aSid, aRid, aServer, aCallback) {
      * @return the database request URI
      */
     this.getUri = function() {
-        return "databases/1/items?type=music&session-id=" + sid + "&revision-id=" + rid + "&meta=" + fields.join();
+        var path = "databases/" + databaseId + "/items";
+        if( typeof (playlistId) != 'undefined') {
+            path = "databases/" + databaseId + "/containers/" + playlistId + "/items";
+        }
+        var uri = path + "?type=music&session-id=" + sid + "&revision-id=" + rid + "&meta=" + fields.join();
+        if( typeof (query) != 'undefined' && query != null) {
+            uri += "&query=" + encodeURIComponent(query.toString());
+        }
+        if( typeof (range) != 'undefined' && range != null) {
+            // index is an inclusive range of item positions.
+            uri += "&index=" + range.offset + "-" + (range.offset + range.count - 1);
+        }
+        if( typeof (delta) != 'undefined') {
+            uri += "&delta=" + delta;
+        }
+        return uri;
     };
 
-    function createDaapStream(mlit) {
-        var daapSongId = extractInt(mlit, "miid");
-        var songFormat = extractString(mlit, "asfm");
-        var uri = server + "/databases/1/items/" + daapSongId + "." + songFormat + "?session-id=" + sid;
-        // song id is <session-id>-<song-id>
-        var id = sid + "-" + daapSongId;
-        var trackNumber = extractInt(mlit, "astn");
-        var title = extractString(mlit, "minm");
-        var album = extractString(mlit, "asal");
-        var artist = extractString(mlit, "asar");
-        var genre = extractString(mlit, "asgn");
-        var duration = extractInt(mlit, "astm");
-        var size = extractInt(mlit, "assz");
-        var bitrate = extractInt(mlit, "asbr");
-        var year = extractInt(mlit, "asyr");
-        var result = {
-            uri: uri,
-            trackNumber: trackNumber,
-            title: title,
-            album: album,
-            artist: artist,
-            genre: genre,
-            id: id,
-            duration: duration,
-            size: size,
-            format: songFormat,
-            bitrate: (bitrate >> 16),
-            year: (year >> 16)
-        };
-        return result;
-    }
-
     /**
-     * Extract the <code>int</code> value corresponding to the specified code.
+     * Return the DAAP fields to retrieve: the specified ones (translated from stream property names if need be) and
+     * the fields required to build a stream.
      *
-     * @param packet {DaapPacket} the DAAP chunk from which the extract the value.
-     * @param code {String} the specified code
-     * @return the <code>int</code> value corresponding to the specified code
+     * @param meta {Array} the specified fields - optional
+     * @return the DAAP fields to retrieve
      */
-    function extractInt(packet, code) {
-        var chunk = packet.seekFirst(code);
-        var result = -1;
-        if(chunk != null) {
-            result = chunk.convertToInt();
+    function toFields(meta) {
+        var result = ["dmap.itemid", "daap.songformat"];
+        if( typeof (playlistId) != 'undefined') {
+            result.push("dmap.containeritemid");
+        }
+        if( typeof (meta) == 'undefined' || meta == null) {
+            meta = DEFAULT_FIELDS;
+        }
+        for(var i = 0; i < meta.length; i++) {
+            var field = meta[i];
+            for(var name in PROPERTIES) {
+                if(PROPERTIES.hasOwnProperty(name) && PROPERTIES[name] == field) {
+                    field = name;
+                    break;
+                }
+            }
+            if(result.indexOf(field) == -1) {
+                result.push(field);
+            }
         }
         return result;
     }
 
-    /**
-     * Extract the <code>String</code> value corresponding to the specified code.
-     *
-     * @param packet {DaapPacket} the DAAP chunk from which the extract the value.
-     * @param code {String} the specified code
-     * @return the <code>String</code> value corresponding to the specified code
-     */
-    function extractString(packet, code) {
-        var chunk = packet.seekFirst(code);
-        var result = "";
-        if(chunk != null) {
-            result = chunk.convertToString();
+    function createDaapStream(mlit) {
+        var item = mlit.decode(contentCodes);
+        var daapSongId = DaapPacket.valueOf(item, "miid", -1);
+        var songFormat = DaapPacket.valueOf(item, "asfm", "");
+        var uri = server + "/databases/" + databaseId + "/items/" + daapSongId + "." + songFormat + "?session-id=" + sid;
+        // song id is <session-id>-<song-id>
+        var id = sid + "-" + daapSongId;
+        var result = {
+            uri: uri,
+            id: id
+        };
+        for(var i = 0; i < fields.length; i++) {
+            var property = PROPERTIES.hasOwnProperty(fields[i]) ? PROPERTIES[fields[i]] : fields[i];
+            var tag = contentCodes.lookupByName(fields[i]);
+            if(tag == null) {
+                // a field unknown to the content codes cannot be decoded: the stream has no such property.
+                continue;
+            }
+            var value = DaapPacket.valueOf(item, tag.code, null);
+            if(value == null) {
+                // missing values: empty string for texts, -1 for numbers and null for dates and 64-bit integers.
+                value = tag.type == "string" ? "" : (tag.type == "date" || tag.type == "long" ? null : -1);
+            } else if(tag.type == "long") {
+                // 64-bit integers (e.g. persistent ID) are given as decimal strings, usable as keys.
+                value = value.toString();
+            }
+            result[property] = value;
         }
         return result;
     }
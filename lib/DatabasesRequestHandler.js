@@ -0,0 +1,66 @@
+/**
+ * Databases request handler; retrieves all the databases served by the DAAP server and is a callback for
+ * {DaapHttpClient#execute(request)}.
+ *
+ * @constructor
+ * @param aSid {String} the DAAP session ID
+ * @param aRid {String} the DAAP revision ID
+ * @param aContentCodes {DaapContentCodes} the content codes used to decode the databases
+ * @param aCallback {Function} the callback
+ */
+function DatabasesRequestHandler(aSid, aRid, aContentCodes, aCallback) {
+
+    /** @private the DAAP session ID. */
+    var sid = aSid;
+
+    /** @private the DAAP revision ID. */
+    var rid = aRid;
+
+    /** @private the content codes. */
+    var contentCodes = aContentCodes;
+
+    /** @private the callback. */
+    var callback = aCallback;
+
+    /**
+     * Handle the response of the DAAP server to the databases request.
+     *
+     * @param packet {Object} the DAAP packet received from the server upon databases request
+     */
+    this.handleResponse = function(packet) {
+        var mlcl = packet.seekRequired("mlcl");
+        var mlits = mlcl.seek("mlit");
+        var mlitsLength = mlits.length;
+        var databases = [];
+        for(var i = 0; i < mlitsLength; i++) {
+            databases.push(createDatabase(mlits[i]));
+        }
+        callback(200, databases);
+    };
+
+
+    this.fail = function(error) {
+        callback(error.status, undefined, error);
+    };
+
+    /**
+     * Returns the databases request URI.
+     *
+     * @return the databases request URI
+     */
+    this.getUri = function() {
+        return "databases?session-id=" + sid + "&revision-id=" + rid;
+    };
+
+    function createDatabase(mlit) {
+        var item = mlit.decode(contentCodes);
+        var result = {
+            id: DaapPacket.valueOf(item, "miid", -1),
+            name: DaapPacket.valueOf(item, "minm", ""),
+            itemCount: DaapPacket.valueOf(item, "mimc", 0),
+            containerCount: DaapPacket.valueOf(item, "mctc", 0)
+        };
+        return result;
+    }
+
+}
@@ -0,0 +1,119 @@
+/**
+ * Edit request handler; edits the playlists of a database of the DAAP server (databases/{id}/edit) or the items of a
+ * playlist (databases/{id}/containers/{id}/edit) and is a callback for {DaapHttpClient#execute(request)}.
+ * <p>
+ * The edit parameters are sent both in the URI as a list of name:value pairs, e.g.
+ * <code>'dmap.itemid:12,dmap.itemname:Party'</code> - backslash, quote, comma and colon escaped in the values with a
+ * backslash -, and as the DMAP body of the request (POST), encoded by a
+ * {@link DaapEncoder}: an edit dictionary (medc) holding one element per parameter, e.g.
+ * <code>["medc", [["miid", 12], ["minm", "Party"]]]</code>; the move pair is given by two container item IDs (mcti),
+ * the moved item then the item it is moved after.
+ * A server rejecting the edit as not supported (HTML status code 405 or 501) is reported by an
+ * {@link UnsupportedFeatureError}; any other rejection, e.g. an unknown playlist (404), by a {@link DaapError}.
+ *
+ * @constructor
+ * @param aSid {String} the DAAP session ID
+ * @param aContentCodes {DaapContentCodes} the content codes encoding the body
+ * @param aDatabaseId {int} the DAAP ID of the database
+ * @param aPlaylistId {int} the DAAP ID of the edited playlist, 'undefined' to edit the playlists of the database
+ * @param aAction {String} the edit action: add, remove, refresh (rename) or move
+ * @param aParams {Array} the edit parameters, each given as a name and a value - or the array of the values of the
+ *            move pair, joined by a comma
+ * @param aCallback {Function} the callback, called with the DAAP ID of the added playlist, if any
+ */
+function EditRequestHandler(aSid, aContentCodes, aDatabaseId, aPlaylistId, aAction, aParams, aCallback) {
+
+    /** @private the DAAP session ID. */
+    var sid = aSid;
+
+    /** @private the content codes encoding the body. */
+    var contentCodes = aContentCodes;
+
+    /** @private the DAAP ID of the database. */
+    var databaseId = aDatabaseId;
+
+    /** @private the DAAP ID of the edited playlist, if any. */
+    var playlistId = aPlaylistId;
+
+    /** @private the edit action. */
+    var action = aAction;
+
+    /** @private the edit parameters. */
+    var params = aParams;
+
+    /** @private the callback. */
+    var callback = aCallback;
+
+    /** @private the HTML status codes of a server not supporting the edit: Method Not Allowed and Not Implemented. */
+    var UNSUPPORTED = [405, 501];
+
+    /**
+     * Handle the response of the DAAP server to the edit request.
+     *
+     * @param packet {Object} the DAAP packet received from the server upon edit request, <code>null</code> if none
+     */
+    this.handleResponse = function(packet) {
+        var miid = packet != null ? packet.seekFirst("miid") : null;
+        callback(200, miid != null ? miid.convertToInt() : undefined);
+    };
+
+
+    this.fail = function(error) {
+        if(error.constructor === DaapError && UNSUPPORTED.indexOf(error.status) != -1) {
+            error = new UnsupportedFeatureError("edit", error.status);
+        }
+        callback(error.status, undefined, error);
+    };
+
+    /**
+     * Returns the edit request URI.
+     *
+     * @return the edit request URI
+     */
+    this.getUri = function() {
+        var uri = "databases/" + databaseId;
+        if( typeof (playlistId) != 'undefined') {
+            uri += "/containers/" + playlistId;
+        }
+        var pairs = [];
+        for(var i = 0; i < params.length; i++) {
+            var values = [].concat(params[i][1]);
+            for(var v = 0; v < values.length; v++) {
+                values[v] = escape(values[v]);
+            }
+            pairs.push(params[i][0] + ":" + values.join(","));
+        }
+        return uri + "/edit?action=" + action + "&edit-params=" + encodeURIComponent("'" + pairs.join(",") + "'") + "&session-id=" + sid;
+    };
+
+    /**
+     * Returns the DMAP body of the edit request.
+     *
+     * @return the DMAP bytes of the edit dictionary
+     */
+    this.getBody = function() {
+        var elements = [];
+        for(var i = 0; i < params.length; i++) {
+            if(params[i][1] instanceof Array) {
+                // the move pair.
+                for(var p = 0; p < params[i][1].length; p++) {
+                    elements.push(["dmap.containeritemid", params[i][1][p]]);
+                }
+            } else {
+                elements.push(params[i]);
+            }
+        }
+        return new DaapEncoder(contentCodes).encode(["medc", elements]);
+    };
+
+    /**
+     * Escape the backslashes, quotes, commas and colons of the specified value: a comma would start a new parameter.
+     *
+     * @param value the value
+     * @return the escaped value
+     */
+    function escape(value) {
+        return String(value).replace(/([\\',:])/g, "\\$1");
+    }
+
+}
@@ -2,7 +2,15 @@
  * An Exception thrown when the end of DAAP packet has been reached.
  *
  * @constructor
+ * @param aPath {String} the path of the chunk that could not be read, e.g. mlog/mlid - optional
+ * @param aOffset {int} the offset in bytes within the response at which the chunk could not be read - optional
  */
-function EndOfPacketException() {
+function EndOfPacketException(aPath, aOffset) {
+
+    /** the path of the chunk that could not be read. */
+    this.path = aPath;
+
+    /** the offset in bytes within the response at which the chunk could not be read. */
+    this.offset = aOffset;
 
 }
\ No newline at end of file
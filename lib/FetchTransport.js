@@ -0,0 +1,99 @@
+/**
+ * The HTTP transport based on the Fetch API; available in browsers, service workers and Node 18+.
+ * <p>
+ * A transport sends a request described by the following JSON format:
+ * <ul>
+ * <li>method : the HTTP method
+ * <li>url : the URL of the resource
+ * <li>headers : the HTTP headers, indexed by name
+ * <li>body : the request body ({Uint8Array}) - optional
+ * <li>onData : the function called with each part of the response body as it arrives ({Uint8Array}), the HTTP status
+ * code and the response headers - optional; each part is handed over, the transport not reusing it. A transport
+ * streaming the body then calls back with <code>null</code> as body, a transport unable to stream ignores it
+ * </ul>
+ * and calls back with the HTTP status code (<code>0</code> if the server could not be reached), the bytes of the
+ * response body as an {Uint8Array} (<code>null</code> if the server could not be reached) and the response headers,
+ * indexed by lower case name (e.g. www-authenticate for HTTP Digest authentication). An exception thrown by onData
+ * stops reading the body and is given as fourth argument, with the status and headers of the response.
+ * <p>
+ * send returns the function aborting the request, once aborted the callback is not called.
+ *
+ * @constructor
+ */
+function FetchTransport() {
+
+    /**
+     * Send the specified request.
+     *
+     * @param request {Object} the request to send
+     * @param callback {Function} the callback function called with the HTTP status code, the response body and headers
+     * @return the function aborting the request
+     */
+    this.send = function(request, callback) {
+        var aborted = false;
+        var controller = typeof (AbortController) == 'function' ? new AbortController() : null;
+        fetch(request.url, {
+            method: request.method,
+            headers: request.headers,
+            body: request.body,
+            signal: controller == null ? undefined : controller.signal
+        }).then(function(response) {
+            var headers = {};
+            response.headers.forEach(function(value, name) {
+                headers[name.toLowerCase()] = value;
+            });
+            if( typeof (request.onData) == 'function' && response.body && typeof (response.body.getReader) == 'function') {
+                // stream the body.
+                var reader = response.body.getReader();
+                var read = function() {
+                    return reader.read().then(function(part) {
+                        if(part.done || aborted) {
+                            return {
+                                status: response.status,
+                                data: null,
+                                headers: headers
+                            };
+                        }
+                        try {
+                            request.onData(part.value, response.status, headers);
+                        } catch (e) {
+                            // not a network failure: reported as is.
+                            reader.cancel().catch(function() {
+                            });
+                            return {
+                                status: response.status,
+                                data: null,
+                                headers: headers,
+                                thrown: e
+                            };
+                        }
+                        return read();
+                    });
+                };
+                return read();
+            }
+            return response.arrayBuffer().then(function(buffer) {
+                return {
+                    status: response.status,
+                    data: new Uint8Array(buffer),
+                    headers: headers
+                };
+            });
+        }).then(function(response) {
+            if(!aborted) {
+                callback(response.status, response.data, response.headers, response.thrown);
+            }
+        }, function() {
+            if(!aborted) {
+                callback(0, null, {});
+            }
+        });
+        return function() {
+            aborted = true;
+            if(controller != null) {
+                controller.abort();
+            }
+        };
+    };
+
+}
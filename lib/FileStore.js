@@ -0,0 +1,118 @@
+/**
+ * The cache store based on files, for Node; see {@link IndexedDbStore} for the description of a store. Each value is
+ * stored as JSON in its own file, dates included.
+ *
+ * @constructor
+ * @param aDirectory {String} the directory of the files, created if need be - if omitted, the daapclient directory of
+ *            the temporary directory of the system is assumed
+ */
+function FileStore(aDirectory) {
+
+    /** @private the directory of the files. */
+    var directory = aDirectory;
+
+    /**
+     * Return the value stored under the specified key.
+     *
+     * @param key {String} the key
+     * @param callback {Function} the callback function called with the value, 'undefined' if none
+     */
+    this.get = function(key, callback) {
+        require("fs").readFile(fileOf(key), "utf8", function(error, text) {
+            var value;
+            if(!error) {
+                try {
+                    value = JSON.parse(text, revive);
+                } catch(e) {
+                    // a corrupted file is ignored: the value is fetched again.
+                    value = undefined;
+                }
+            }
+            callback(value);
+        });
+    };
+
+    /**
+     * Store the specified value under the specified key. The file is replaced at once so that a concurrent reader
+     * never reads a partial value.
+     *
+     * @param key {String} the key
+     * @param value the value
+     * @param callback {Function} the callback function called once the value is stored - optional
+     */
+    this.put = function(key, value, callback) {
+        var fs = require("fs");
+        var done = callback || function() {
+        };
+        var file = fileOf(key);
+        var temporary = file + "." + process.pid + "." + Date.now() + ".tmp";
+        fs.mkdir(directoryOf(), {
+            recursive: true
+        }, function(error) {
+            if(error) {
+                done();
+                return;
+            }
+            fs.writeFile(temporary, JSON.stringify(value, replace), function(error) {
+                if(error) {
+                    done();
+                    return;
+                }
+                fs.rename(temporary, file, function() {
+                    done();
+                });
+            });
+        });
+    };
+
+    /**
+     * Return the directory of the files.
+     *
+     * @private
+     * @return the directory
+     */
+    function directoryOf() {
+        if( typeof (directory) == 'undefined' || directory == null) {
+            directory = require("path").join(require("os").tmpdir(), "daapclient");
+        }
+        return directory;
+    }
+
+    /**
+     * Return the file of the specified key.
+     *
+     * @private
+     * @param key {String} the key
+     * @return the path of the file
+     */
+    function fileOf(key) {
+        return require("path").join(directoryOf(), encodeURIComponent(key) + ".json");
+    }
+
+    /**
+     * JSON replacer keeping the dates.
+     *
+     * @private
+     */
+    function replace(key, value) {
+        if(this[key] instanceof Date) {
+            return {
+                $date: this[key].getTime()
+            };
+        }
+        return value;
+    }
+
+    /**
+     * JSON reviver restoring the dates.
+     *
+     * @private
+     */
+    function revive(key, value) {
+        if( typeof (value) == 'object' && value != null && typeof (value.$date) == 'number') {
+            return new Date(value.$date);
+        }
+        return value;
+    }
+
+}
@@ -0,0 +1,117 @@
+/**
+ * The cache store based on IndexedDB, for browsers.
+ * <p>
+ * A store provides the following methods, keys being strings and values the structured clones of the stored
+ * objects; a failing store behaves as an empty store since the cache can always be rebuilt from the server:
+ * <ul>
+ * <li>get(key, callback) : call the callback with the value stored under the key, 'undefined' if none
+ * <li>put(key, value, callback) : store the value under the key, then call the callback - optional
+ * </ul>
+ *
+ * @constructor
+ * @param aName {String} the name of the IndexedDB database - if omitted, "DaapClient" is assumed
+ */
+function IndexedDbStore(aName) {
+
+    /** @private the name of the IndexedDB database. */
+    var name = aName || "DaapClient";
+
+    /** @private the name of the object store. */
+    var STORE = "cache";
+
+    /** @private the opened database, <code>null</code> if not opened yet (or failed to open). */
+    var database = null;
+
+    /** @private the callbacks waiting for the database to open, <code>null</code> if not opening. */
+    var opening = null;
+
+    /**
+     * Return the value stored under the specified key.
+     *
+     * @param key {String} the key
+     * @param callback {Function} the callback function called with the value, 'undefined' if none
+     */
+    this.get = function(key, callback) {
+        open(function(db) {
+            if(db == null) {
+                callback(undefined);
+                return;
+            }
+            var request = db.transaction(STORE, "readonly").objectStore(STORE).get(key);
+            request.onsuccess = function() {
+                callback(request.result);
+            };
+            request.onerror = function() {
+                callback(undefined);
+            };
+        });
+    };
+
+    /**
+     * Store the specified value under the specified key.
+     *
+     * @param key {String} the key
+     * @param value the value
+     * @param callback {Function} the callback function called once the value is stored - optional
+     */
+    this.put = function(key, value, callback) {
+        var done = callback || function() {
+        };
+        open(function(db) {
+            if(db == null) {
+                done();
+                return;
+            }
+            var transaction = db.transaction(STORE, "readwrite");
+            transaction.objectStore(STORE).put(value, key);
+            transaction.oncomplete = function() {
+                done();
+            };
+            transaction.onerror = transaction.onabort = function() {
+                done();
+            };
+        });
+    };
+
+    /**
+     * Open the database, creating the object store if need be.
+     *
+     * @private
+     * @param callback {Function} the callback function called with the database, <code>null</code> if IndexedDB is
+     *            not available
+     */
+    function open(callback) {
+        if(database != null) {
+            callback(database);
+            return;
+        }
+        if(opening != null) {
+            opening.push(callback);
+            return;
+        }
+        opening = [callback];
+        var opened = function(db) {
+            database = db;
+            var waiting = opening;
+            opening = null;
+            for(var i = 0; i < waiting.length; i++) {
+                waiting[i](db);
+            }
+        };
+        if( typeof (indexedDB) == 'undefined') {
+            opened(null);
+            return;
+        }
+        var request = indexedDB.open(name, 1);
+        request.onupgradeneeded = function() {
+            request.result.createObjectStore(STORE);
+        };
+        request.onsuccess = function() {
+            opened(request.result);
+        };
+        request.onerror = function() {
+            opened(null);
+        };
+    }
+
+}
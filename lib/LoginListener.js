@@ -1,16 +1,39 @@
 /**
  * The Login listener.
  * <p>
- * Login to a DAAP server is a two-step processing: first retrieve the Session ID (SID) and then the Revision ID (RID).
+ * Login to a DAAP server is a three-step processing, once the server info is known: first retrieve the Session ID
+ * (SID), then the Revision ID (RID) and finally the databases served by the server.
  * 
  * @constructor
- * @param aCallback the callback function to be called once login phase is completed (SID and RID retrieved)
+ * @param aCallback the callback function to be called once login phase is completed (SID, RID and databases
+ *            retrieved)
+ * @param aOptions the options of the login requests: timeout and signal - optional
  */
-function LoginListener(aCallback) {
+function LoginListener(aCallback, aOptions) {
 
     /** @private the callback function. */
     var callback = aCallback;
 
+    /** @private the options of the login requests. */
+    var options = aOptions;
+
+    /**
+     * Server info updated event handler.
+     * <p>
+     * Once the server info is known, SID shall be retrieved unless the server requires a password and none is set.
+     *
+     * @param aServerInfo the server info - <code>null</code> if the server does not provide it
+     */
+    this.serverInfoUpdated = function(aServerInfo) {
+        if(aServerInfo != null && aServerInfo.passwordRequired && !httpClient.hasPassword()) {
+            this.fail(new AuthenticationError(401, "DAAP server requires a password"));
+            return;
+        }
+        // retrieve session id.
+        var handler = new LoginRequestHandler(this);
+        httpClient.execute(handler, options);
+    };
+
     /**
      * Session ID updated event handler.
      * <p>
@@ -22,24 +45,45 @@ function LoginListener(aCallback) {
         sid = aSid;
         // retrieve revision id.
         var handler = new UpdateRequestHandler(sid, this);
-        httpClient.execute(handler);
+        httpClient.execute(handler, options);
     };
 
     /**
      * Revision ID updated event handler.
      * <p>
-     * Both SID and RID have been computed, login phase is over.
+     * Once both SID and RID have been computed, databases shall be retrieved.
      *
      * @param aRid the updated RID
      */
     this.ridUpdated = function(aRid) {
         rid = aRid;
-        callback(200);
+        var self = this;
+        // retrieve databases.
+        var handler = new DatabasesRequestHandler(sid, rid, contentCodes, function(code, aDatabases, error) {
+            if(code == 200) {
+                self.databasesUpdated(aDatabases);
+            } else {
+                self.fail(error);
+            }
+        });
+        httpClient.execute(handler, options);
+    };
+
+    /**
+     * Databases updated event handler.
+     * <p>
+     * SID, RID and databases have been computed, login phase is over.
+     *
+     * @param aDatabases the updated databases
+     */
+    this.databasesUpdated = function(aDatabases) {
+        databases = aDatabases;
+        callback(200, databases);
     };
 
 
-    this.fail = function(code) {
-        callback(code);
+    this.fail = function(error) {
+        callback(error.status, undefined, error);
     };
 
 }
\ No newline at end of file
@@ -17,13 +17,13 @@ function LoginRequestHandler(l) {
      * @param packet {Object} the DAAP packet received from the server upon login request
      */
     this.handleResponse = function(packet) {
-        var sid = packet.seekFirst('mlid').convertToInt();
+        var sid = packet.seekRequired('mlid').convertToInt();
         l.sidUpdated(sid);
     };
 
 
-    this.fail = function(code) {
-        l.fail(code);
+    this.fail = function(error) {
+        l.fail(error);
     };
 
     /**
@@ -0,0 +1,41 @@
+/**
+ * Logout request handler; ends the session on the DAAP server and is a callback for
+ * {DaapHttpClient#execute(request)}.
+ *
+ * @constructor
+ * @param aSid {String} the DAAP session ID
+ * @param aCallback {Function} the callback
+ */
+function LogoutRequestHandler(aSid, aCallback) {
+
+    /** @private the DAAP session ID. */
+    var sid = aSid;
+
+    /** @private the callback. */
+    var callback = aCallback;
+
+    /**
+     * Handle the response of the DAAP server to the logout request.
+     *
+     * @param packet {Object} the DAAP packet received from the server upon logout request - <code>null</code> if
+     *            none (204)
+     */
+    this.handleResponse = function(packet) {
+        callback(200);
+    };
+
+
+    this.fail = function(error) {
+        callback(error.status, undefined, error);
+    };
+
+    /**
+     * Returns the logout request URI.
+     *
+     * @return the logout request URI
+     */
+    this.getUri = function() {
+        return "logout?session-id=" + sid;
+    };
+
+}
@@ -0,0 +1,25 @@
+/**
+ * A {@link DaapError} reported when the response of the DAAP server is not a valid DAAP packet or misses a required
+ * tag. The status code is <code>400</code>.
+ *
+ * @constructor
+ * @param aPath {String} the path of the chunk that could not be read, e.g. mlog/mlid
+ * @param aOffset {int} the offset in bytes within the response at which the chunk could not be read
+ */
+function MalformedPacketError(aPath, aOffset) {
+
+    DaapError.call(this, "Malformed DAAP packet: cannot read " + aPath + " at offset " + aOffset, 400);
+
+    /** the name of the error. */
+    this.name = "MalformedPacketError";
+
+    /** the path of the chunk that could not be read. */
+    this.path = aPath;
+
+    /** the offset in bytes within the response at which the chunk could not be read. */
+    this.offset = aOffset;
+
+}
+
+MalformedPacketError.prototype = Object.create(DaapError.prototype);
+MalformedPacketError.prototype.constructor = MalformedPacketError;
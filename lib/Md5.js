@@ -0,0 +1,70 @@
+/**
+ * Return the MD5 digest of the specified bytes, as used by HTTP Digest authentication.
+ *
+ * @param aBytes {Uint8Array|Array} the bytes to digest
+ * @return the MD5 digest as a lower case hexadecimal string
+ */
+function md5(aBytes) {
+
+    // the per-round shift amounts.
+    var shifts = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+
+    // the constants derived from the sine function.
+    var constants = [];
+    for(var k = 0; k < 64; k++) {
+        constants[k] = Math.floor(Math.abs(Math.sin(k + 1)) * 4294967296) | 0;
+    }
+
+    // padding: 0x80, zeros and the length in bits as a little-endian 64-bit integer.
+    var length = aBytes.length;
+    var words = [];
+    var wordCount = (((length + 8) >> 6) + 1) * 16;
+    for(var w = 0; w < wordCount; w++) {
+        words[w] = 0;
+    }
+    for(var i = 0; i < length; i++) {
+        words[i >> 2] |= aBytes[i] << ((i % 4) * 8);
+    }
+    words[length >> 2] |= 0x80 << ((length % 4) * 8);
+    words[wordCount - 2] = (length * 8) | 0;
+    words[wordCount - 1] = Math.floor(length / 536870912);
+
+    var state = [0x67452301, 0xefcdab89 | 0, 0x98badcfe | 0, 0x10325476];
+    for(var chunk = 0; chunk < wordCount; chunk += 16) {
+        var a = state[0], b = state[1], c = state[2], d = state[3];
+        for(var j = 0; j < 64; j++) {
+            var f, g;
+            if(j < 16) {
+                f = (b & c) | (~b & d);
+                g = j;
+            } else if(j < 32) {
+                f = (d & b) | (~d & c);
+                g = (5 * j + 1) % 16;
+            } else if(j < 48) {
+                f = b ^ c ^ d;
+                g = (3 * j + 5) % 16;
+            } else {
+                f = c ^ (b | ~d);
+                g = (7 * j) % 16;
+            }
+            var x = (a + f + constants[j] + words[chunk + g]) | 0;
+            var s = shifts[(j >> 4) * 4 + j % 4];
+            a = d;
+            d = c;
+            c = b;
+            b = (b + ((x << s) | (x >>> (32 - s)))) | 0;
+        }
+        state[0] = (state[0] + a) | 0;
+        state[1] = (state[1] + b) | 0;
+        state[2] = (state[2] + c) | 0;
+        state[3] = (state[3] + d) | 0;
+    }
+
+    var hex = "";
+    for(var n = 0; n < 16; n++) {
+        var byte = (state[n >> 2] >>> ((n % 4) * 8)) & 0xff;
+        hex += (byte < 16 ? "0" : "") + byte.toString(16);
+    }
+    return hex;
+
+}
@@ -0,0 +1,21 @@
+/**
+ * A {@link DaapError} reported when the DAAP server cannot be reached or does not respond in time. The status code is
+ * <code>0</code>.
+ *
+ * @constructor
+ * @param aTimedOut {boolean} <code>true</code> if the server did not respond in time - optional
+ */
+function NetworkError(aTimedOut) {
+
+    DaapError.call(this, aTimedOut === true ? "DAAP server did not respond in time" : "DAAP server cannot be reached", 0);
+
+    /** the name of the error. */
+    this.name = "NetworkError";
+
+    /** <code>true</code> if the server did not respond in time. */
+    this.timedOut = aTimedOut === true;
+
+}
+
+NetworkError.prototype = Object.create(DaapError.prototype);
+NetworkError.prototype.constructor = NetworkError;
@@ -0,0 +1,70 @@
+/**
+ * The HTTP transport based on the Node http/https modules; see {@link FetchTransport} for the description of a
+ * transport.
+ *
+ * @constructor
+ */
+function NodeTransport() {
+
+    /**
+     * Send the specified request.
+     *
+     * @param request {Object} the request to send
+     * @param callback {Function} the callback function called with the HTTP status code, the response body and headers
+     * @return the function aborting the request
+     */
+    this.send = function(request, callback) {
+        var aborted = false;
+        var http = require(request.url.indexOf("https:") == 0 ? "https" : "http");
+        var req = http.request(request.url, {
+            method: request.method,
+            headers: request.headers
+        }, function(res) {
+            var chunks = [];
+            var streamed = typeof (request.onData) == 'function';
+            res.on("data", function(chunk) {
+                if(aborted) {
+                    return;
+                }
+                if(streamed) {
+                    try {
+                        request.onData(new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.length), res.statusCode, res.headers);
+                    } catch (e) {
+                        // stop reading the body, the exception is reported as is.
+                        aborted = true;
+                        req.destroy();
+                        callback(res.statusCode, null, res.headers, e);
+                    }
+                } else {
+                    chunks.push(chunk);
+                }
+            });
+            res.on("end", function() {
+                if(!aborted) {
+                    if(streamed) {
+                        callback(res.statusCode, null, res.headers);
+                        return;
+                    }
+                    var body = Buffer.concat(chunks);
+                    callback(res.statusCode, new Uint8Array(body.buffer, body.byteOffset, body.length), res.headers);
+                }
+            });
+            res.on("error", function() {
+                if(!aborted) {
+                    callback(0, null, {});
+                }
+            });
+        });
+        req.on("error", function() {
+            if(!aborted) {
+                callback(0, null, {});
+            }
+        });
+        req.end(request.body);
+        return function() {
+            aborted = true;
+            req.destroy();
+        };
+    };
+
+}
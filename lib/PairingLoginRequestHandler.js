@@ -0,0 +1,41 @@
+/**
+ * Pairing login request handler; logs on to a DACP server (see {@link DacpClient}) with the pairing GUID of a paired
+ * remote, retrieves the session ID and is a callback for {DaapHttpClient#execute(request)}.
+ *
+ * @constructor
+ * @param aPairingGuid {String} the pairing GUID: 16 hexadecimal digits, with or without the 0x prefix
+ * @param aCallback {Function} the callback, called with the session ID
+ */
+function PairingLoginRequestHandler(aPairingGuid, aCallback) {
+
+    /** @private the pairing GUID, without prefix. */
+    var pairingGuid = String(aPairingGuid).replace(/^0x/i, "").toUpperCase();
+
+    /** @private the callback. */
+    var callback = aCallback;
+
+    /**
+     * Handle the response of the DACP server to the login request.
+     *
+     * @param packet {Object} the DAAP packet received from the server upon login request
+     */
+    this.handleResponse = function(packet) {
+        var sid = packet.seekRequired('mlid').convertToInt();
+        callback(200, sid);
+    };
+
+
+    this.fail = function(error) {
+        callback(error.status, undefined, error);
+    };
+
+    /**
+     * Returns the login request URI.
+     *
+     * @return the login request URI
+     */
+    this.getUri = function() {
+        return "login?pairing-guid=0x" + pairingGuid;
+    };
+
+}
@@ -0,0 +1,111 @@
+/**
+ * Play status request handler; retrieves the playback status of a DACP server (see {@link DacpClient}) and is a
+ * callback for {DaapHttpClient#execute(request)}.
+ * <p>
+ * The request is a long-poll unless the revision is 1: the server responds once its status revision differs from the
+ * specified one.
+ *
+ * @constructor
+ * @param aSid {String} the DACP session ID
+ * @param aRevision {int} the known revision of the status, <code>1</code> for the current status at once
+ * @param aCallback {Function} the callback, called with the status described in
+ *            {@link DacpClient#fetchStatus(callback, options)}
+ */
+function PlayStatusRequestHandler(aSid, aRevision, aCallback) {
+
+    /** @private the DACP session ID. */
+    var sid = aSid;
+
+    /** @private the known revision of the status. */
+    var revision = aRevision;
+
+    /** @private the callback. */
+    var callback = aCallback;
+
+    /** @private the player states, by DACP value (caps). */
+    var STATES = {
+        2: "stopped",
+        3: "paused",
+        4: "playing"
+    };
+
+    /** @private the repeat modes, by DACP value (carp). */
+    var REPEAT_MODES = {
+        0: "off",
+        1: "single",
+        2: "all"
+    };
+
+    /** @private the properties of the song being played, by code: times (cast, cant) in ms, texts otherwise. */
+    var PROPERTIES = {
+        cann: "title",
+        cana: "artist",
+        canl: "album",
+        cang: "genre",
+        cast: "duration",
+        cant: "remaining"
+    };
+
+    /**
+     * Handle the response of the DACP server to the play status request.
+     *
+     * @param packet {Object} the DAAP packet received from the server upon play status request
+     */
+    this.handleResponse = function(packet) {
+        var status = {
+            revision: packet.seekRequired('cmsr').convertToInt(),
+            state: "stopped",
+            shuffle: false,
+            repeat: "off"
+        };
+        var chunk = packet.seekFirst('caps');
+        if(chunk != null && STATES.hasOwnProperty(chunk.convertToInt())) {
+            status.state = STATES[chunk.convertToInt()];
+        }
+        chunk = packet.seekFirst('cash');
+        if(chunk != null) {
+            status.shuffle = chunk.convertToInt() == 1;
+        }
+        chunk = packet.seekFirst('carp');
+        if(chunk != null && REPEAT_MODES.hasOwnProperty(chunk.convertToInt())) {
+            status.repeat = REPEAT_MODES[chunk.convertToInt()];
+        }
+        chunk = packet.seekFirst('cavc');
+        if(chunk != null) {
+            status.volumeControllable = chunk.convertToInt() == 1;
+        }
+        for(var code in PROPERTIES) {
+            if(PROPERTIES.hasOwnProperty(code)) {
+                chunk = packet.seekFirst(code);
+                if(chunk != null) {
+                    status[PROPERTIES[code]] = code == "cast" || code == "cant" ? chunk.convertToInt() : chunk.convertToString();
+                }
+            }
+        }
+        chunk = packet.seekFirst('canp');
+        if(chunk != null) {
+            // database, playlist, song within the playlist and song.
+            var ids = chunk.convertToUInt32Array();
+            status.databaseId = ids[0];
+            status.playlistId = ids[1];
+            status.playlistItemId = ids[2];
+            status.itemId = ids[3];
+        }
+        callback(200, status);
+    };
+
+
+    this.fail = function(error) {
+        callback(error.status, undefined, error);
+    };
+
+    /**
+     * Returns the play status request URI.
+     *
+     * @return the play status request URI
+     */
+    this.getUri = function() {
+        return "ctrl-int/1/playstatusupdate?revision-number=" + revision + "&session-id=" + sid;
+    };
+
+}
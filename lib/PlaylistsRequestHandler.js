@@ -0,0 +1,81 @@
+/**
+ * Playlists request handler; retrieves all the playlists (containers) in the database of the DAAP server and is a
+ * callback for {DaapHttpClient#execute(request)}.
+ *
+ * @constructor
+ * @param aSid {String} the DAAP session ID
+ * @param aRid {String} the DAAP revision ID
+ * @param aDatabaseId {int} the DAAP ID of the database
+ * @param aContentCodes {DaapContentCodes} the content codes used to decode the playlists
+ * @param aCallback {Function} the callback
+ */
+function PlaylistsRequestHandler(aSid, aRid, aDatabaseId, aContentCodes, aCallback) {
+
+    /** @private the DAAP session ID. */
+    var sid = aSid;
+
+    /** @private the DAAP revision ID. */
+    var rid = aRid;
+
+    /** @private the DAAP ID of the database. */
+    var databaseId = aDatabaseId;
+
+    /** @private the content codes. */
+    var contentCodes = aContentCodes;
+
+    /** @private the callback. */
+    var callback = aCallback;
+
+    var fields = [
+            "dmap.itemid",
+            "dmap.itemname",
+            "dmap.itemcount",
+            "dmap.parentcontainerid",
+            "daap.baseplaylist",
+            "com.apple.itunes.smart-playlist"
+    ];
+
+    /**
+     * Handle the response of the DAAP server to the playlists request.
+     *
+     * @param packet {Object} the DAAP packet received from the server upon playlists request
+     */
+    this.handleResponse = function(packet) {
+        var mlcl = packet.seekRequired("mlcl");
+        var mlits = mlcl.seek("mlit");
+        var mlitsLength = mlits.length;
+        var playlists = [];
+        for(var i = 0; i < mlitsLength; i++) {
+            playlists.push(createPlaylist(mlits[i]));
+        }
+        callback(200, playlists);
+    };
+
+
+    this.fail = function(error) {
+        callback(error.status, undefined, error);
+    };
+
+    /**
+     * Returns the playlists request URI.
+     *
+     * @return the playlists request URI
+     */
+    this.getUri = function() {
+        return "databases/" + databaseId + "/containers?session-id=" + sid + "&revision-id=" + rid + "&meta=" + fields.join();
+    };
+
+    function createPlaylist(mlit) {
+        var item = mlit.decode(contentCodes);
+        var result = {
+            id: DaapPacket.valueOf(item, "miid", -1),
+            name: DaapPacket.valueOf(item, "minm", ""),
+            itemCount: DaapPacket.valueOf(item, "mimc", 0),
+            smart: DaapPacket.valueOf(item, "aeSP", 0) != 0,
+            base: DaapPacket.valueOf(item, "abpl", 0) != 0,
+            parentId: DaapPacket.valueOf(item, "mpco", 0)
+        };
+        return result;
+    }
+
+}
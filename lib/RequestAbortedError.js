@@ -0,0 +1,16 @@
+/**
+ * A {@link DaapError} reported when a request is aborted through its AbortSignal. The status code is <code>0</code>.
+ *
+ * @constructor
+ */
+function RequestAbortedError() {
+
+    DaapError.call(this, "DAAP request aborted", 0);
+
+    /** the name of the error. */
+    this.name = "RequestAbortedError";
+
+}
+
+RequestAbortedError.prototype = Object.create(DaapError.prototype);
+RequestAbortedError.prototype.constructor = RequestAbortedError;
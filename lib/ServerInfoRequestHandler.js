@@ -0,0 +1,71 @@
+/**
+ * Server info request handler; retrieves the description and the capabilities of the DAAP server and is a callback
+ * for {DaapHttpClient#execute(request)}. This request does not require login.
+ *
+ * @constructor
+ * @param aContentCodes {DaapContentCodes} the content codes used to decode the server info
+ * @param aCallback {Function} the callback
+ */
+function ServerInfoRequestHandler(aContentCodes, aCallback) {
+
+    /** @private the content codes. */
+    var contentCodes = aContentCodes;
+
+    /** @private the callback. */
+    var callback = aCallback;
+
+    /** @private the code of the flag reporting each feature. */
+    var FEATURES = {
+        autoLogout: "msal",
+        update: "msup",
+        persistentIds: "mspi",
+        extensions: "msex",
+        browse: "msbr",
+        query: "msqy",
+        index: "msix",
+        resolve: "msrs",
+        edit: "msed"
+    };
+
+    /**
+     * Handle the response of the DAAP server to the server info request.
+     *
+     * @param packet {Object} the DAAP packet received from the server upon server info request
+     */
+    this.handleResponse = function(packet) {
+        var info = packet.decode(contentCodes);
+        var authenticationMethod = DaapPacket.valueOf(info, "msau", 0);
+        var result = {
+            name: DaapPacket.valueOf(info, "minm", ""),
+            dmapVersion: DaapPacket.valueOf(info, "mpro", null),
+            daapVersion: DaapPacket.valueOf(info, "apro", null),
+            loginRequired: DaapPacket.valueOf(info, "mslr", 0) != 0,
+            authenticationMethod: authenticationMethod,
+            passwordRequired: authenticationMethod != 0,
+            timeout: DaapPacket.valueOf(info, "mstm", -1),
+            databaseCount: DaapPacket.valueOf(info, "msdc", -1),
+            supports: {}
+        };
+        for(var feature in FEATURES) {
+            if(FEATURES.hasOwnProperty(feature) && info.hasOwnProperty(FEATURES[feature])) {
+                result.supports[feature] = info[FEATURES[feature]] != 0;
+            }
+        }
+        callback(200, result);
+    };
+
+
+    this.fail = function(error) {
+        callback(error.status, undefined, error);
+    };
+
+    /**
+     * Returns the server info request URI.
+     *
+     * @return the server info request URI
+     */
+    this.getUri = function() {
+        return "server-info";
+    };
+
+}
@@ -0,0 +1,25 @@
+/**
+ * A {@link DaapError} reported when the DAAP server responds with a DAAP status (mstt) other than <code>200</code>.
+ * The status code is the DAAP status.
+ *
+ * @constructor
+ * @param aStatus {int} the DAAP status (mstt)
+ * @param aStatusString {String} the DAAP status string (msts) - optional
+ */
+function ServerStatusError(aStatus, aStatusString) {
+
+    DaapError.call(this, "DAAP server status " + aStatus + ( typeof (aStatusString) == 'string' ? ": " + aStatusString : ""), aStatus);
+
+    /** the name of the error. */
+    this.name = "ServerStatusError";
+
+    /** the DAAP status (mstt). */
+    this.mstt = aStatus;
+
+    /** the DAAP status string (msts), 'undefined' if not provided. */
+    this.statusString = aStatusString;
+
+}
+
+ServerStatusError.prototype = Object.create(DaapError.prototype);
+ServerStatusError.prototype.constructor = ServerStatusError;
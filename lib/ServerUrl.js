@@ -0,0 +1,46 @@
+/**
+ * Return the base URL of the specified DAAP server; a DACP server (see {@link DacpClient}) is given the same way.
+ *
+ * @param address {String|Object} the IP address or host name, the base URL or the server options
+ * @param aPort {int} the port, if an IP address or host name is given - optional
+ * @return the base URL, without trailing slash
+ */
+function serverUrl(address, aPort) {
+    var options = address;
+    if( typeof (address) == 'string') {
+        var url = /^(\w+):\/\/(\[[^\]]*\]|[^\/:]*)(?::(\d+))?(\/.*)?$/.exec(address);
+        if(url != null) {
+            // the port of the protocol is assumed if the URL does not give one.
+            options = {
+                protocol: url[1],
+                host: url[2],
+                port: url[3] || null,
+                path: url[4]
+            };
+        } else {
+            options = {
+                host: address,
+                port: aPort
+            };
+        }
+    }
+    if( typeof (options) != 'object' || options == null || !options.host) {
+        throw new DaapError("Invalid DAAP server: " + address);
+    }
+    var protocol = (options.protocol || "http").replace(/:$/, "").toLowerCase();
+    var port = options.port;
+    if( typeof (port) == 'undefined') {
+        // the DAAP port, unless served over https (e.g. behind a reverse proxy).
+        port = protocol == "http" ? 3689 : null;
+    }
+    var host = options.host;
+    if(host.indexOf(":") != -1 && host.charAt(0) != "[") {
+        // IPv6 address.
+        host = "[" + host + "]";
+    }
+    var path = options.path || "";
+    if(path != "" && path.charAt(0) != "/") {
+        path = "/" + path;
+    }
+    return protocol + "://" + host + (port == null ? "" : ":" + port) + path.replace(/\/+$/, "");
+}
@@ -0,0 +1,583 @@
+/**
+ * The browser of the DAAP (_daap._tcp) and DACP (_dacp._tcp) servers announced over multicast DNS
+ * (Zeroconf/Bonjour); Node only, the dgram module being required.
+ * <p>
+ * Each service is described by the following JSON format:
+ * <ul>
+ * <li>type : "daap" or "dacp"
+ * <li>name : the name of the service, e.g. "Music Library"
+ * <li>host : the IPv4 address of the server, its host name until its address is known
+ * <li>hostname : the host name of the server, e.g. "box.local"
+ * <li>port : the port of the server
+ * <li>txt : the fields of the TXT record, indexed by name
+ * <li>databaseId : the ID of the database ("Database ID" for DAAP, "DbId" for DACP) - 'undefined' if not announced
+ * <li>passwordRequired : <code>true</code> if the server requires a password (Password)
+ * <li>machineName : the name of the machine (Machine Name), the name of the service if not announced
+ * </ul>
+ * A service can be given as is to the client: <code>new DaapClient(service)</code> or
+ * <code>new DacpClient(service)</code>.
+ * <p>
+ * Example of use:
+ * <pre>
+ * var browser = new DaapClient.ServiceBrowser();
+ * browser.browse(function(event, service) {
+ *     if (event == "up" && service.type == "daap") {
+ *         var client = new DaapClient(service);
+ *         ...
+ *     }
+ * });
+ * </pre>
+ *
+ * @constructor
+ * @param aOptions {Object} the options - optional:
+ *            <ul>
+ *            <li>types : the types of the services browsed - if omitted, ["daap", "dacp"]
+ *            <li>address : the address the queries are sent to - if omitted, the multicast DNS group (224.0.0.251);
+ *            the address of a unicast responder otherwise, e.g. a stand-in responder on the loopback interface
+ *            <li>port : the port the queries are sent to - if omitted, 5353
+ *            <li>interface : the address of the network interface joining the multicast DNS group - optional
+ *            <li>interval : the interval (ms) between two queries - if omitted, 60000
+ *            </ul>
+ */
+function ServiceBrowser(aOptions) {
+
+    /** @private the options. */
+    var options = aOptions || {};
+
+    /** @private the multicast DNS group. */
+    var MDNS_ADDRESS = "224.0.0.251";
+
+    /** @private the multicast DNS port. */
+    var MDNS_PORT = 5353;
+
+    /** @private the DNS record types. */
+    var A = 1;
+    var PTR = 12;
+    var TXT = 16;
+    var SRV = 33;
+
+    /** @private the DNS class IN, without the cache-flush bit. */
+    var IN = 1;
+
+    /** @private the types of the services browsed. */
+    var types = options.types || ["daap", "dacp"];
+
+    /** @private the address the queries are sent to. */
+    var address = options.address || MDNS_ADDRESS;
+
+    /** @private the port the queries are sent to. */
+    var port = options.port || MDNS_PORT;
+
+    /** @private the interval (ms) between two queries. */
+    var interval = options.interval || 60000;
+
+    /** @private the UDP socket, <code>null</code> if not browsing. */
+    var socket = null;
+
+    /** @private the timer of the next query. */
+    var timer = null;
+
+    /** @private the listeners of the services. */
+    var listeners = [];
+
+    /** @private the services being resolved or up (type, srv, txt, expiry and service), by lower case instance name. */
+    var instances = {};
+
+    /** @private the IPv4 addresses of the hosts, indexed by lower case host name. */
+    var addresses = {};
+
+    /** @private this browser. */
+    var self = this;
+
+    /**
+     * Browse the services: the specified listener is called with "up" and the service whenever a service appears,
+     * with "update" and the service once the address (host) of a service up is known, with "down" and the service
+     * whenever a service leaves or is not announced anymore, and with "error", 'undefined' and the
+     * {@link NetworkError} if the network cannot be used (e.g. no multicast route or interface), browsing then being
+     * stopped. The services already up are notified at once.
+     *
+     * @param listener the listener function
+     * @throws DaapError if not run in Node
+     */
+    this.browse = function(listener) {
+        if( typeof (require) != 'function') {
+            throw new DaapError("Service discovery requires Node.");
+        }
+        listeners.push(listener);
+        var up = this.getServices();
+        for(var i = 0; i < up.length; i++) {
+            listener("up", up[i]);
+        }
+        if(socket == null) {
+            start();
+        }
+    };
+
+    /**
+     * Stop browsing: the listeners are unregistered, without being notified.
+     */
+    this.stop = function() {
+        listeners = [];
+        clearTimeout(timer);
+        timer = null;
+        for(var key in instances) {
+            if(instances.hasOwnProperty(key)) {
+                clearTimeout(instances[key].expiry);
+            }
+        }
+        instances = {};
+        addresses = {};
+        if(socket != null) {
+            socket.close();
+            socket = null;
+        }
+    };
+
+    /**
+     * Return the services up.
+     *
+     * @return the services
+     */
+    this.getServices = function() {
+        var result = [];
+        for(var key in instances) {
+            if(instances.hasOwnProperty(key) && instances[key].service) {
+                result.push(instances[key].service);
+            }
+        }
+        return result;
+    };
+
+    /**
+     * Open the socket and query the services.
+     *
+     * @private
+     */
+    function start() {
+        var multicast = address == MDNS_ADDRESS;
+        socket = require("dgram").createSocket({
+            type: "udp4",
+            reuseAddr: true
+        });
+        var current = socket;
+        var failed = function() {
+            if(socket === current) {
+                var notified = listeners;
+                self.stop();
+                for(var i = 0; i < notified.length; i++) {
+                    notified[i]("error", undefined, new NetworkError(false));
+                }
+            }
+        };
+        socket.on("error", failed);
+        socket.on("message", function(message) {
+            if(socket === current) {
+                try {
+                    handle(decode(message));
+                } catch (e) {
+                    if(!( e instanceof RangeError)) {
+                        throw e;
+                    }
+                    // truncated or malformed message: ignored.
+                }
+            }
+        });
+        // a unicast responder answers the port of the query.
+        socket.bind(multicast ? MDNS_PORT : 0, function() {
+            if(socket !== current) {
+                return;
+            }
+            if(multicast) {
+                try {
+                    socket.addMembership(MDNS_ADDRESS, options["interface"]);
+                    socket.setMulticastTTL(255);
+                } catch (e) {
+                    // e.g. EADDRNOTAVAIL or ENODEV without multicast route or interface.
+                    failed();
+                    return;
+                }
+            }
+            query();
+        });
+    }
+
+    /**
+     * Query the browsed services, then again after the interval.
+     *
+     * @private
+     */
+    function query() {
+        var questions = [];
+        for(var i = 0; i < types.length; i++) {
+            questions.push({
+                name: ["_" + types[i], "_tcp", "local"],
+                type: PTR
+            });
+        }
+        send(questions);
+        timer = setTimeout(query, interval);
+    }
+
+    /**
+     * Send a query holding the specified questions.
+     *
+     * @private
+     * @param questions {Array} the questions: name (labels) and type
+     */
+    function send(questions) {
+        var bytes = [0, 0, 0, 0, 0, questions.length, 0, 0, 0, 0, 0, 0];
+        for(var i = 0; i < questions.length; i++) {
+            var labels = questions[i].name;
+            for(var j = 0; j < labels.length; j++) {
+                var label = Buffer.from(labels[j], "utf8");
+                bytes.push(label.length);
+                for(var k = 0; k < label.length; k++) {
+                    bytes.push(label[k]);
+                }
+            }
+            bytes.push(0, questions[i].type >> 8, questions[i].type & 0xff, 0, IN);
+        }
+        socket.send(Buffer.from(bytes), port, address);
+    }
+
+    /**
+     * Handle the specified records: the services are resolved, notified once up and expired after their TTL.
+     *
+     * @private
+     * @param records {Array} the records of a response
+     */
+    function handle(records) {
+        var i;
+        var record;
+        var touched = {};
+        var resolved = {};
+        for(i = 0; i < records.length; i++) {
+            record = records[i];
+            if(record.type == A) {
+                if(record.ttl == 0) {
+                    delete addresses[record.name.toLowerCase()];
+                } else {
+                    addresses[record.name.toLowerCase()] = record.data;
+                    resolved[record.name.toLowerCase()] = true;
+                }
+            } else if((record.type == SRV || record.type == TXT) && typeOf(record.name) != null) {
+                var instance = instanceOf(record.name);
+                instance[record.type == SRV ? "srv" : "txt"] = record.data;
+                touched[record.name.toLowerCase()] = true;
+            }
+        }
+        for(i = 0; i < records.length; i++) {
+            record = records[i];
+            var type = record.type == PTR ? typeOf(record.data) : null;
+            if(type == null || record.name.toLowerCase() != "_" + type + "._tcp.local") {
+                continue;
+            }
+            if(record.ttl == 0) {
+                // goodbye.
+                remove(record.data.toLowerCase());
+                delete touched[record.data.toLowerCase()];
+                continue;
+            }
+            expire(instanceOf(record.data), record.data.toLowerCase(), record.ttl);
+            instanceOf(record.data).type = type;
+            touched[record.data.toLowerCase()] = true;
+        }
+        var key;
+        for(key in instances) {
+            var service = instances.hasOwnProperty(key) ? instances[key].service : null;
+            if(service && resolved.hasOwnProperty(service.hostname.toLowerCase()) && service.host != addresses[service.hostname.toLowerCase()]) {
+                // the address of a service already up.
+                service.host = addresses[service.hostname.toLowerCase()];
+                notify("update", service);
+            }
+        }
+        var questions = [];
+        for(key in touched) {
+            if(touched.hasOwnProperty(key) && instances.hasOwnProperty(key)) {
+                resolve(instances[key], questions);
+            }
+        }
+        if(questions.length > 0) {
+            send(questions);
+        }
+    }
+
+    /**
+     * Notify the specified instance once resolved, or add the questions resolving it: its SRV and TXT records, then
+     * the address of its host.
+     *
+     * @private
+     * @param instance {Object} the instance
+     * @param questions {Array} the questions of the next query
+     */
+    function resolve(instance, questions) {
+        if( typeof (instance.type) == 'undefined') {
+            return;
+        }
+        if(instance.service) {
+            if(instance.service.host == instance.service.hostname) {
+                askAddress(instance.service.hostname, questions);
+            }
+            return;
+        }
+        if( typeof (instance.srv) == 'undefined' || typeof (instance.txt) == 'undefined') {
+            var labels = [serviceName(instance), "_" + instance.type, "_tcp", "local"];
+            questions.push({
+                name: labels,
+                type: SRV
+            }, {
+                name: labels,
+                type: TXT
+            });
+            return;
+        }
+        var txt = instance.txt;
+        var name = serviceName(instance);
+        var hostname = instance.srv.target;
+        instance.service = {
+            type: instance.type,
+            name: name,
+            host: addresses[hostname.toLowerCase()] || hostname,
+            hostname: hostname,
+            port: instance.srv.port,
+            txt: txt,
+            databaseId: txt.hasOwnProperty("Database ID") ? txt["Database ID"] : txt["DbId"],
+            passwordRequired: /^(true|1)$/i.test(txt["Password"] || ""),
+            machineName: txt.hasOwnProperty("Machine Name") ? txt["Machine Name"] : name
+        };
+        if(!addresses.hasOwnProperty(hostname.toLowerCase())) {
+            askAddress(hostname, questions);
+        }
+        notify("up", instance.service);
+    }
+
+    /**
+     * Add the question of the address (A record) of the specified host, unless already asked.
+     *
+     * @private
+     * @param hostname {String} the host name, e.g. "box.local"
+     * @param questions {Array} the questions of the next query
+     */
+    function askAddress(hostname, questions) {
+        for(var i = 0; i < questions.length; i++) {
+            if(questions[i].type == A && questions[i].name.join(".").toLowerCase() == hostname.toLowerCase()) {
+                return;
+            }
+        }
+        questions.push({
+            name: hostname.split("."),
+            type: A
+        });
+    }
+
+    /**
+     * Return the name of the specified instance, without its service type.
+     *
+     * @private
+     * @param instance {Object} the instance
+     * @return the name of the service
+     */
+    function serviceName(instance) {
+        return instance.name.substring(0, instance.name.length - ("._" + instance.type + "._tcp.local").length);
+    }
+
+    /**
+     * Return the instance of the specified name, created if unknown.
+     *
+     * @private
+     * @param name {String} the name of the instance, e.g. "Music._daap._tcp.local"
+     * @return the instance
+     */
+    function instanceOf(name) {
+        var key = name.toLowerCase();
+        if(!instances.hasOwnProperty(key)) {
+            instances[key] = {
+                name: name
+            };
+        }
+        return instances[key];
+    }
+
+    /**
+     * (Re)schedule the removal of the specified instance after the specified TTL.
+     *
+     * @private
+     * @param instance {Object} the instance
+     * @param key {String} the lower case name of the instance
+     * @param ttl {int} the TTL (s)
+     */
+    function expire(instance, key, ttl) {
+        clearTimeout(instance.expiry);
+        instance.expiry = setTimeout(function() {
+            remove(key);
+        }, ttl * 1000);
+    }
+
+    /**
+     * Remove the instance of the specified name; notified if it was up.
+     *
+     * @private
+     * @param key {String} the lower case name of the instance
+     */
+    function remove(key) {
+        if(!instances.hasOwnProperty(key)) {
+            return;
+        }
+        var instance = instances[key];
+        clearTimeout(instance.expiry);
+        delete instances[key];
+        if(instance.service) {
+            notify("down", instance.service);
+        }
+    }
+
+    /**
+     * Notify the listeners of the specified event.
+     *
+     * @private
+     * @param event {String} the event: "up" or "down"
+     * @param service {Object} the service
+     */
+    function notify(event, service) {
+        var notified = listeners.slice(0);
+        for(var i = 0; i < notified.length; i++) {
+            notified[i](event, service);
+        }
+    }
+
+    /**
+     * Return the browsed service type of the specified name, e.g. "daap" for "Music._daap._tcp.local".
+     *
+     * @private
+     * @param name {String} the name of an instance
+     * @return the type, <code>null</code> if not browsed
+     */
+    function typeOf(name) {
+        var lower = name.toLowerCase();
+        for(var i = 0; i < types.length; i++) {
+            var suffix = "._" + types[i] + "._tcp.local";
+            if(lower.length > suffix.length && lower.substring(lower.length - suffix.length) == suffix) {
+                return types[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Return the records (answers, authorities and additional records) of the specified DNS message.
+     *
+     * @private
+     * @param message {Buffer} the message
+     * @return the records: name, type, ttl and data (a name for PTR, port and target for SRV, the fields for TXT and
+     *         the address for A)
+     * @throws RangeError if the message is truncated
+     */
+    function decode(message) {
+        var offset = 12;
+        var questions = message.readUInt16BE(4);
+        var count = message.readUInt16BE(6) + message.readUInt16BE(8) + message.readUInt16BE(10);
+        var i;
+        var name;
+        for(i = 0; i < questions; i++) {
+            name = readName(message, offset);
+            offset = name.next + 4;
+        }
+        var records = [];
+        for(i = 0; i < count; i++) {
+            name = readName(message, offset);
+            offset = name.next;
+            var type = message.readUInt16BE(offset);
+            var ttl = message.readUInt32BE(offset + 4);
+            var length = message.readUInt16BE(offset + 8);
+            offset += 10;
+            if(offset + length > message.length) {
+                throw new RangeError("Truncated DNS record.");
+            }
+            var data = null;
+            if(type == PTR) {
+                data = readName(message, offset).name;
+            } else if(type == SRV) {
+                data = {
+                    port: message.readUInt16BE(offset + 4),
+                    target: readName(message, offset + 6).name
+                };
+            } else if(type == TXT) {
+                data = readTxt(message.subarray(offset, offset + length));
+            } else if(type == A && length == 4) {
+                data = message[offset] + "." + message[offset + 1] + "." + message[offset + 2] + "." + message[offset + 3];
+            }
+            if(data != null) {
+                records.push({
+                    name: name.name,
+                    type: type,
+                    ttl: ttl,
+                    data: data
+                });
+            }
+            offset += length;
+        }
+        return records;
+    }
+
+    /**
+     * Read the (possibly compressed) domain name at the specified offset of the specified message.
+     *
+     * @private
+     * @param message {Buffer} the message
+     * @param offset {int} the offset of the name
+     * @return the name, its labels joined by dots, and the offset following the name
+     * @throws RangeError if the name is truncated or loops
+     */
+    function readName(message, offset) {
+        var labels = [];
+        var next = -1;
+        for(var jumps = 0; jumps < 32; ) {
+            if(offset >= message.length) {
+                throw new RangeError("Truncated DNS name.");
+            }
+            var length = message[offset];
+            if(length == 0) {
+                return {
+                    name: labels.join("."),
+                    next: next == -1 ? offset + 1 : next
+                };
+            }
+            if((length & 0xc0) == 0xc0) {
+                // pointer to a previous name.
+                if(next == -1) {
+                    next = offset + 2;
+                }
+                offset = message.readUInt16BE(offset) & 0x3fff;
+                jumps++;
+            } else {
+                labels.push(message.toString("utf8", offset + 1, offset + 1 + length));
+                offset += 1 + length;
+            }
+        }
+        throw new RangeError("Looping DNS name.");
+    }
+
+    /**
+     * Read the fields of the specified TXT record data: each string is a name=value pair.
+     *
+     * @private
+     * @param data {Buffer} the data of the record
+     * @return the fields, indexed by name; a field without value is <code>true</code>
+     */
+    function readTxt(data) {
+        var fields = {};
+        var offset = 0;
+        while(offset < data.length) {
+            var entry = data.toString("utf8", offset + 1, offset + 1 + data[offset]);
+            offset += 1 + data[offset];
+            var separator = entry.indexOf("=");
+            if(separator > 0) {
+                fields[entry.substring(0, separator)] = entry.substring(separator + 1);
+            } else if(entry != "") {
+                fields[entry] = true;
+            }
+        }
+        return fields;
+    }
+
+}
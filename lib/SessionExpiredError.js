@@ -0,0 +1,18 @@
+/**
+ * A {@link DaapError} reported when the DAAP server rejects the session of the client (HTML status code 403 to a
+ * request made within a session), e.g. once the server has dropped an idle session.
+ *
+ * @constructor
+ * @param aStatus {int} the HTML status code
+ */
+function SessionExpiredError(aStatus) {
+
+    DaapError.call(this, "Session expired: [HTML Status code = " + aStatus + "]", aStatus);
+
+    /** the name of the error. */
+    this.name = "SessionExpiredError";
+
+}
+
+SessionExpiredError.prototype = Object.create(DaapError.prototype);
+SessionExpiredError.prototype.constructor = SessionExpiredError;
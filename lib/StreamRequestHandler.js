@@ -0,0 +1,204 @@
+/**
+ * Stream request handler; retrieves the audio of an item (stream) of the DAAP server, or a byte range of it, and is a
+ * callback for {DaapHttpClient#execute(request)}.
+ * <p>
+ * The audio is described by the following JSON format:
+ * <ul>
+ * <li>type : the content type of the audio, e.g. audio/mpeg
+ * <li>mimeType : the type of the audio for a MediaSource (isTypeSupported, addSourceBuffer), with its codec when
+ * known, e.g. <code>audio/mp4; codecs="mp4a.40.2"</code>
+ * <li>offset : the offset of the first byte received within the audio - <code>0</code> if the server ignored the
+ * requested range
+ * <li>length : the number of bytes received - once the audio is complete
+ * <li>size : the size of the whole audio in bytes, <code>-1</code> if not reported
+ * <li>body : the ReadableStream of the parts of the audio ({Uint8Array}) - if requested as a stream
+ * <li>url : the Blob URL of the bytes received, where Blob URLs are available - unless requested as a stream or part
+ * by part
+ * <li>data : the bytes received as an {ArrayBuffer} - if requested, or where Blob URLs are not available
+ * </ul>
+ *
+ * @constructor
+ * @param aSid {String} the DAAP session ID
+ * @param aDatabaseId {int} the DAAP ID of the database
+ * @param aItem {Object|int} the stream (e.g. a stream returned by {@link DaapClient#fetchStreams(callback, options)},
+ *            or any object giving its itemId and format) or its DAAP ID
+ * @param aOptions {Object} the request options: format, the requested format, e.g. mp3 - if omitted, the format of
+ *            the stream, mp3 if unknown -, onChunk, the function called with each part of the audio ({Uint8Array})
+ *            and the audio as it arrives - optional -, stream, <code>true</code> to answer with the audio as soon as
+ *            it arrives, its parts given by its body - optional - and data, <code>true</code> to return the bytes of
+ *            the audio - optional
+ * @param aCallback {Function} the callback
+ */
+function StreamRequestHandler(aSid, aDatabaseId, aItem, aOptions, aCallback) {
+
+    /** @private the DAAP session ID. */
+    var sid = aSid;
+
+    /** @private the DAAP ID of the database. */
+    var databaseId = aDatabaseId;
+
+    /** @private the stream. */
+    var item = typeof (aItem) == 'object' && aItem != null ? aItem : {
+        itemId: aItem
+    };
+
+    /** @private the requested format. */
+    var format = aOptions.format || item.format || "mp3";
+
+    /** @private the function called with each part of the audio, if any. */
+    var onChunk = aOptions.onChunk;
+
+    /** @private <code>true</code> to answer with the audio as soon as it arrives. */
+    var streamed = aOptions.stream === true;
+
+    /** @private <code>true</code> to return the bytes of the audio. */
+    var withData = aOptions.data === true;
+
+    /** @private the callback. */
+    var callback = aCallback;
+
+    /** @private the audio, once its response has arrived. */
+    var audio = null;
+
+    /** @private the controller of the body of the audio streamed, once answered. */
+    var controller = null;
+
+    /** @private <code>true</code> if the body of the audio streamed has been cancelled by its reader. */
+    var cancelled = false;
+
+    /** @private the parts of the audio received so far, unless handed over. */
+    var parts = [];
+
+    /** @private the number of bytes received so far. */
+    var length = 0;
+
+    /** @private the codec of the audio for a MediaSource, by content type. */
+    var CODECS = {
+        "audio/mp4": "mp4a.40.2",
+        "audio/x-m4a": "mp4a.40.2",
+        "audio/aac": "mp4a.40.2"
+    };
+
+    /**
+     * Handle the specified part of the audio sent by the DAAP server.
+     *
+     * @param chunk {Uint8Array} the next bytes of the audio
+     * @param headers {Object} the response headers
+     */
+    this.handleChunk = function(chunk, headers) {
+        if(cancelled) {
+            // stops reading the response.
+            throw new RequestAbortedError();
+        }
+        if(audio == null) {
+            begin(headers);
+        }
+        length += chunk.length;
+        if( typeof (onChunk) == 'function') {
+            onChunk(chunk, audio);
+        } else if(controller != null) {
+            controller.enqueue(chunk);
+        } else {
+            // the transport does not reuse the parts it hands over.
+            parts.push(chunk);
+        }
+    };
+
+    /**
+     * Handle the end of the audio sent by the DAAP server.
+     *
+     * @param data {Uint8Array} <code>null</code>, the audio having been handed to handleChunk
+     * @param headers {Object} the response headers
+     */
+    this.handleData = function(data, headers) {
+        if(audio == null) {
+            // no audio received.
+            begin(headers);
+        }
+        audio.length = length;
+        if(controller != null) {
+            if(!cancelled) {
+                controller.close();
+            }
+            return;
+        }
+        if( typeof (onChunk) != 'function') {
+            var blobs = typeof (Blob) == 'function' && typeof (URL) != 'undefined' && typeof (URL.createObjectURL) == 'function';
+            if(blobs) {
+                audio.url = URL.createObjectURL(new Blob(parts, {
+                    type: audio.type
+                }));
+            }
+            if(withData || !blobs) {
+                var bytes = new Uint8Array(length);
+                var offset = 0;
+                for(var i = 0; i < parts.length; i++) {
+                    bytes.set(parts[i], offset);
+                    offset += parts[i].length;
+                }
+                audio.data = bytes.buffer;
+            }
+            parts = [];
+        }
+        callback(200, audio);
+    };
+
+
+    this.fail = function(error) {
+        if(controller != null) {
+            // already answered: the body fails.
+            if(!cancelled) {
+                controller.error(error);
+            }
+            return;
+        }
+        callback(error.status, undefined, error);
+    };
+
+    /**
+     * Returns the stream request URI.
+     *
+     * @return the stream request URI
+     */
+    this.getUri = function() {
+        if( typeof (item.itemId) == 'undefined') {
+            throw new DaapError("No stream: itemId expected.");
+        }
+        return "databases/" + databaseId + "/items/" + item.itemId + "." + format + "?session-id=" + sid;
+    };
+
+    /**
+     * Describe the audio from the specified response headers and, if streamed, answer with it.
+     *
+     * @param headers {Object} the response headers
+     */
+    function begin(headers) {
+        var range = /^bytes\s+(\d+)-\d+\/(\d+|\*)$/.exec(headers['content-range'] || "");
+        var type = headers['content-type'] || "application/octet-stream";
+        var mediaType = type.split(";")[0].trim().toLowerCase();
+        audio = {
+            type: type,
+            mimeType: CODECS.hasOwnProperty(mediaType) ? 'audio/mp4; codecs="' + CODECS[mediaType] + '"' : type,
+            offset: range != null ? Number(range[1]) : 0,
+            length: -1,
+            size: -1
+        };
+        if(range != null && range[2] != "*") {
+            audio.size = Number(range[2]);
+        } else if(range == null && typeof (headers['content-length']) != 'undefined') {
+            audio.size = Number(headers['content-length']);
+        }
+        if(streamed) {
+            audio.body = new ReadableStream({
+                start: function(aController) {
+                    controller = aController;
+                },
+                cancel: function() {
+                    cancelled = true;
+                }
+            });
+            callback(200, audio);
+        }
+    }
+
+}
@@ -0,0 +1,24 @@
+/**
+ * A {@link DaapError} reported when the DAAP server does not support the requested feature: either without any
+ * request when the server reports it in its server info (see {@link DaapClient#fetchServerInfo(callback, options)}),
+ * the status code being <code>0</code> as no request was sent, or when the server rejects the request as not supported
+ * (HTML status code 405 or 501).
+ *
+ * @constructor
+ * @param aFeature {String} the unsupported feature, e.g. "query" - see the supports property of the server info
+ * @param aStatus {int} the HTML status code of the rejected request, <code>0</code> if not sent
+ */
+function UnsupportedFeatureError(aFeature, aStatus) {
+
+    DaapError.call(this, "DAAP server does not support " + aFeature, aStatus);
+
+    /** the name of the error. */
+    this.name = "UnsupportedFeatureError";
+
+    /** the unsupported feature. */
+    this.feature = aFeature;
+
+}
+
+UnsupportedFeatureError.prototype = Object.create(DaapError.prototype);
+UnsupportedFeatureError.prototype.constructor = UnsupportedFeatureError;
@@ -1,15 +1,22 @@
 /**
  * Update request handler; retrieves revision ID and is a callback for {DaapHttpClient#execute(request)}.
+ * <p>
+ * If a revision ID is specified, the request is a long-poll: the server responds once its revision differs from the
+ * specified one (or after its own timeout).
  *
  * @constructor
- * @param l {Object} the listener
  * @param aSid {String} the DAAP session ID
+ * @param l {Object} the listener
+ * @param aRid {String} the known DAAP revision ID - optional
  */
-function UpdateRequestHandler(aSid, l) {
+function UpdateRequestHandler(aSid, l, aRid) {
 
     /** @private the DAAP session ID. */
     var sid = aSid;
 
+    /** @private the known DAAP revision ID. */
+    var rid = aRid;
+
     /** @private the listener. */
     var listener = l;
 
@@ -21,13 +28,13 @@ function UpdateRequestHandler(aSid, l) {
      * @param packet {Object} the DAAP packet received from the server upon update request
      */
     this.handleResponse = function(packet) {
-        var rid = packet.seekFirst('musr').convertToInt();
+        var rid = packet.seekRequired('musr').convertToInt();
         l.ridUpdated(rid);
     };
 
 
-    this.fail = function(code) {
-        l.fail(code);
+    this.fail = function(error) {
+        l.fail(error);
     };
 
     /**
@@ -36,6 +43,9 @@ function UpdateRequestHandler(aSid, l) {
      * @return the update request URI
      */
     this.getUri = function() {
+        if( typeof (rid) != 'undefined') {
+            return "update?session-id=" + sid + "&revision-number=" + rid + "&delta=0";
+        }
         return "update?session-id=" + sid;
     };
 
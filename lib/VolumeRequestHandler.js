@@ -0,0 +1,41 @@
+/**
+ * Volume request handler; retrieves the volume of a DACP server (see {@link DacpClient}) and is a callback for
+ * {DaapHttpClient#execute(request)}.
+ *
+ * @constructor
+ * @param aSid {String} the DACP session ID
+ * @param aCallback {Function} the callback, called with the volume
+ */
+function VolumeRequestHandler(aSid, aCallback) {
+
+    /** @private the DACP session ID. */
+    var sid = aSid;
+
+    /** @private the callback. */
+    var callback = aCallback;
+
+    /**
+     * Handle the response of the DACP server to the volume request.
+     *
+     * @param packet {Object} the DAAP packet received from the server upon volume request
+     */
+    this.handleResponse = function(packet) {
+        var volume = packet.seekRequired('cmvo').convertToInt();
+        callback(200, volume);
+    };
+
+
+    this.fail = function(error) {
+        callback(error.status, undefined, error);
+    };
+
+    /**
+     * Returns the volume request URI.
+     *
+     * @return the volume request URI
+     */
+    this.getUri = function() {
+        return "ctrl-int/1/getproperty?properties=dmcp.volume&session-id=" + sid;
+    };
+
+}
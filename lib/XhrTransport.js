@@ -0,0 +1,61 @@
+/**
+ * The HTTP transport based on XMLHttpRequest; see {@link FetchTransport} for the description of a transport.
+ *
+ * @constructor
+ */
+function XhrTransport() {
+
+    /**
+     * Send the specified request.
+     *
+     * @param request {Object} the request to send
+     * @param callback {Function} the callback function called with the HTTP status code, the response body and headers
+     * @return the function aborting the request
+     */
+    this.send = function(request, callback) {
+        var aborted = false;
+        var xhr = new XMLHttpRequest();
+        xhr.onreadystatechange = function() {
+            if(this.readyState == 4 && !aborted) {
+                if(this.status == 0) {
+                    callback(0, null, {});
+                } else {
+                    callback(this.status, new Uint8Array(this.response || new ArrayBuffer(0)), responseHeaders(this));
+                }
+            }
+        };
+
+        xhr.open(request.method, request.url, true);
+        xhr.responseType = 'arraybuffer';
+        for(var name in request.headers) {
+            if(request.headers.hasOwnProperty(name)) {
+                xhr.setRequestHeader(name, request.headers[name]);
+            }
+        }
+        xhr.send( typeof (request.body) != 'undefined' ? request.body : null);
+        return function() {
+            aborted = true;
+            xhr.abort();
+        };
+    };
+
+    /**
+     * Return the response headers of the specified XMLHttpRequest, indexed by lower case name.
+     *
+     * @private
+     * @param xhr {XMLHttpRequest} the completed request
+     * @return the response headers
+     */
+    function responseHeaders(xhr) {
+        var headers = {};
+        var lines = (xhr.getAllResponseHeaders() || "").split("\r\n");
+        for(var i = 0; i < lines.length; i++) {
+            var separator = lines[i].indexOf(":");
+            if(separator > 0) {
+                headers[lines[i].substring(0, separator).toLowerCase()] = lines[i].substring(separator + 1).trim();
+            }
+        }
+        return headers;
+    }
+
+}
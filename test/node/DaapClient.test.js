@@ -0,0 +1,875 @@
+/*
+ * Runs the client against the mock DAAP server, with the Fetch and the Node transports: node --test test/node
+ */
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var buffer = require('buffer');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var lib = require('./lib');
+var MockDaapServer = require('./MockDaapServer');
+
+var DaapClient = lib.loadClient();
+
+var transports = lib.load(["FetchTransport", "NodeTransport"]);
+
+var dmap = lib.load(["DaapError", "DaapContentCodes", "DaapEncoder"]);
+
+/** the temporary directories of the tests, removed once done. */
+var directories = [];
+
+test.after(function() {
+    directories.forEach(function(directory) {
+        fs.rmSync(directory, {
+            recursive: true,
+            force: true
+        });
+    });
+});
+
+/**
+ * Return a new temporary directory, removed once the tests are done.
+ *
+ * @return the path of the directory
+ */
+function temporaryDirectory() {
+    var directory = fs.mkdtempSync(path.join(os.tmpdir(), "daapclient-test-"));
+    directories.push(directory);
+    return directory;
+}
+
+var LIBRARY = {
+    name: "Test Library",
+    databases: [{
+        id: 1,
+        name: "Music",
+        items: [{
+            id: 10,
+            title: "Blue in Green",
+            artist: "Miles Davis",
+            album: "Kind of Blue",
+            format: "mp3",
+            duration: 337000,
+            trackNumber: 3,
+            year: 1959,
+            artwork: {
+                type: "image/png",
+                data: Buffer.from([0x89, 0x50, 0x4e, 0x47])
+            },
+            audio: Buffer.from(Array.from({
+                length: 64
+            }, function(value, index) {
+                return index;
+            }))
+        }, {
+            id: 11,
+            title: "So What",
+            artist: "Miles Davis",
+            album: "Kind of Blue",
+            format: "mp3",
+            duration: 562000,
+            trackNumber: 1,
+            year: 1959
+        }, {
+            id: 12,
+            title: "Naima",
+            artist: "John Coltrane",
+            album: "Giant Steps",
+            format: "m4a",
+            duration: 261000,
+            trackNumber: 6,
+            year: 1960,
+            dateAdded: new Date(Date.UTC(2012, 0, 1))
+        }],
+        playlists: [{
+            id: 100,
+            name: "Music",
+            base: true,
+            items: [10, 11, 12]
+        }, {
+            id: 101,
+            name: "Favourites",
+            items: [12, 10]
+        }]
+    }]
+};
+
+["fetch", "node"].forEach(function(transport) {
+
+    /**
+     * Start a mock server, run the specified test with it and a client, then stop the server.
+     *
+     * @param options {Object} the options of the server - optional
+     * @param fn {Function} the test, called with the server and the client; may return a Promise
+     * @return the test function
+     */
+    function withServer(options, fn) {
+        return async function() {
+            var server = new MockDaapServer(LIBRARY, options);
+            await server.start();
+            try {
+                await fn(server, new DaapClient(server.url, undefined, transport));
+            } finally {
+                await server.stop();
+            }
+        };
+    }
+
+    /**
+     * Return the requests received by the specified server to the specified path.
+     *
+     * @param server {MockDaapServer} the server
+     * @param path {String} the path
+     * @return the requests
+     */
+    function requestsTo(server, path) {
+        return server.requests.filter(function(request) {
+            return request.path == path;
+        });
+    }
+
+    /**
+     * Wait for the specified number of files to be written by a file cache store.
+     *
+     * @param directory {String} the directory of the store
+     * @param count {int} the number of files
+     * @return a Promise resolved once written
+     */
+    async function written(directory, count) {
+        for(var i = 0; i < 100; i++) {
+            var files = fs.readdirSync(directory);
+            if(files.filter(function(file) {
+                return /\.json$/.test(file);
+            }).length >= count && !files.some(function(file) {
+                return /\.tmp$/.test(file);
+            })) {
+                return;
+            }
+            await new Promise(function(resolve) {
+                setTimeout(resolve, 20);
+            });
+        }
+        assert.fail("cache not written");
+    }
+
+    test.describe("DaapClient with the " + transport + " transport", function() {
+
+        test.it("logs in and lists the databases", withServer({}, async function(server, client) {
+            var databases = await client.async.login();
+            assert.deepStrictEqual(databases, [{
+                id: 1,
+                name: "Music",
+                itemCount: 3,
+                containerCount: 2
+            }]);
+            assert.deepStrictEqual(server.requests.map(function(request) {
+                return request.path;
+            }), ["server-info", "login", "update", "databases"]);
+        }));
+
+        test.it("fetches the server info", withServer({
+            password: "secret"
+        }, async function(server, client) {
+            var info = await client.async.fetchServerInfo();
+            assert.strictEqual(info.name, "Test Library");
+            assert.strictEqual(info.daapVersion, "3.0.0");
+            assert.strictEqual(info.passwordRequired, true);
+            assert.strictEqual(info.timeout, 1800);
+            assert.strictEqual(info.supports.update, true);
+            assert.strictEqual(info.supports.query, false);
+            assert.strictEqual(info.supports.edit, undefined);
+            assert.strictEqual(client.getServerInfo(), info);
+        }));
+
+        test.it("requires a password before login", withServer({
+            password: "secret"
+        }, async function(server, client) {
+            await assert.rejects(client.async.login(), function(error) {
+                return error instanceof DaapClient.AuthenticationError && error.status == 401;
+            });
+            assert.strictEqual(requestsTo(server, "login").length, 0);
+        }));
+
+        test.it("fails at once upon an unsupported feature", withServer({
+            capabilities: {
+                update: false
+            }
+        }, async function(server, client) {
+            await client.async.login();
+            var count = server.requests.length;
+            await assert.rejects(client.async.fetchStreams({
+                query: DaapClient.Query.equals("daap.songartist", "Miles Davis")
+            }), function(error) {
+                return error instanceof DaapClient.UnsupportedFeatureError && error.feature == "query" && error.status === 0;
+            });
+            var failure = await new Promise(function(resolve) {
+                client.watch(function(code, changes, anError) {
+                    resolve({
+                        code: code,
+                        error: anError
+                    });
+                });
+            });
+            assert.ok(failure.error instanceof DaapClient.UnsupportedFeatureError);
+            assert.strictEqual(failure.error.feature, "update");
+            // no request sent.
+            assert.strictEqual(failure.code, 0);
+            assert.strictEqual(server.requests.length, count);
+        }));
+
+        test.it("fails to browse when browsing is not supported", withServer({}, async function(server, client) {
+            await client.async.login();
+            var count = server.requests.length;
+            await assert.rejects(client.async.fetchArtists(), function(error) {
+                return error instanceof DaapClient.UnsupportedFeatureError && error.feature == "browse" && error.status === 0;
+            });
+            assert.strictEqual(server.requests.length, count);
+        }));
+
+        test.it("lists the distinct artists when browsing is not supported", withServer({}, async function(server, client) {
+            await client.async.login();
+            assert.deepStrictEqual(await client.async.fetchArtists({
+                distinct: true
+            }), ["John Coltrane", "Miles Davis"]);
+            assert.deepStrictEqual(await client.async.fetchAlbums({
+                distinct: true
+            }), ["Giant Steps", "Kind of Blue"]);
+            assert.strictEqual(requestsTo(server, "databases/1/items")[0].query["meta"], "dmap.itemid,daap.songformat,daap.songartist");
+        }));
+
+        test.it("browses the artists and albums", withServer({
+            capabilities: {
+                browse: true
+            }
+        }, async function(server, client) {
+            await client.async.login();
+            assert.deepStrictEqual(await client.async.fetchArtists(), ["John Coltrane", "Miles Davis"]);
+            assert.deepStrictEqual(await client.async.fetchComposers(), []);
+            var request = requestsTo(server, "databases/1/browse/artists")[0];
+            assert.strictEqual(request.query["filter"], undefined);
+            assert.ok(request.query["session-id"]);
+            assert.strictEqual(requestsTo(server, "databases/1/browse/composers").length, 1);
+            assert.strictEqual(requestsTo(server, "databases/1/items").length, 0);
+        }));
+
+        test.it("browses the albums matching a filter", withServer({
+            capabilities: {
+                browse: true,
+                query: true
+            }
+        }, async function(server, client) {
+            await client.async.login();
+            var albums = await client.async.fetchAlbums({
+                query: DaapClient.Query.equals("daap.songartist", "Miles Davis").or(DaapClient.Query.startsWith("daap.songalbum", "Giant's"))
+            });
+            assert.deepStrictEqual(albums, ["Kind of Blue"]);
+            var request = requestsTo(server, "databases/1/browse/albums")[0];
+            // the quote escaped in the value, the expression URL encoded once.
+            assert.strictEqual(request.query["filter"], "('daap.songartist:Miles Davis','daap.songalbum:Giant\\'s*')");
+            assert.ok(/&filter=\((%27|')daap\.songartist%3AMiles%20Davis(%27|')%2C(%27|')daap\.songalbum%3AGiant%5C(%27|')s\*(%27|')\)$/.test(request.url));
+        }));
+
+        test.it("fetches the streams", withServer({}, async function(server, client) {
+            await client.async.login();
+            var streams = await client.async.fetchStreams();
+            assert.strictEqual(streams.length, 3);
+            assert.strictEqual(streams[0].title, "Blue in Green");
+            assert.strictEqual(streams[0].artist, "Miles Davis");
+            assert.strictEqual(streams[0].duration, 337000);
+            assert.strictEqual(streams[2].format, "m4a");
+            assert.ok(streams[2].uri.indexOf(server.url + "/databases/1/items/12.m4a?session-id=") == 0);
+        }));
+
+        test.it("fetches the content codes", withServer({}, async function(server, client) {
+            await client.async.fetchContentCodes();
+            await client.async.login();
+            var streams = await client.async.fetchStreams();
+            assert.strictEqual(streams[1].title, "So What");
+        }));
+
+        test.it("ignores the requested fields unknown to the content codes", withServer({}, async function(server, client) {
+            await client.async.login();
+            var streams = await client.async.fetchStreams({
+                meta: ["title", "x.unknown"]
+            });
+            assert.strictEqual(streams[1].title, "So What");
+            assert.ok(!streams[1].hasOwnProperty("x.unknown"));
+        }));
+
+        test.it("fetches a range of streams", withServer({}, async function(server, client) {
+            await client.async.login();
+            var streams = await client.async.fetchStreams({
+                range: {
+                    offset: 1,
+                    count: 2
+                }
+            });
+            assert.deepStrictEqual(streams.map(function(stream) {
+                return stream.itemId;
+            }), [11, 12]);
+        }));
+
+        test.it("fetches the streams matching a query", withServer({
+            capabilities: {
+                query: true
+            }
+        }, async function(server, client) {
+            await client.async.login();
+            var streams = await client.async.fetchStreams({
+                query: DaapClient.Query.equals("daap.songartist", "John Coltrane").or(DaapClient.Query.contains("dmap.itemname", "GREEN"))
+            });
+            assert.deepStrictEqual(streams.map(function(stream) {
+                return stream.itemId;
+            }), [10, 12]);
+            assert.strictEqual(requestsTo(server, "databases/1/items")[0].query["query"], "('daap.songartist:John Coltrane','dmap.itemname:*GREEN*')");
+            // the range applies to the matching streams.
+            streams = await client.async.fetchStreams({
+                query: DaapClient.Query.startsWith("daap.songalbum", "kind").and(DaapClient.Query.equals("dmap.itemname", "So What").not()),
+                range: {
+                    offset: 0,
+                    count: 1
+                }
+            });
+            assert.deepStrictEqual(streams.map(function(stream) {
+                return stream.itemId;
+            }), [10]);
+            var request = requestsTo(server, "databases/1/items")[1];
+            assert.strictEqual(request.query["query"], "('daap.songalbum:kind*'+'dmap.itemname!:So What')");
+            assert.strictEqual(request.query["index"], "0-0");
+            streams = await client.async.fetchStreams({
+                query: DaapClient.Query.equals("daap.songartist", "Miles Davis"),
+                range: {
+                    offset: 1,
+                    count: 2
+                }
+            });
+            assert.deepStrictEqual(streams.map(function(stream) {
+                return stream.itemId;
+            }), [11]);
+        }));
+
+        test.it("reports the progress of a response received in parts", withServer({
+            chunkSize: 64
+        }, async function(server, client) {
+            await client.async.login();
+            var notified = [];
+            var streams = await client.async.fetchStreams({
+                onProgress: function(part) {
+                    notified = notified.concat(part);
+                }
+            });
+            assert.strictEqual(notified.length, 3);
+            assert.deepStrictEqual(notified, streams);
+        }));
+
+        test.it("fetches the playlists and their streams", withServer({}, async function(server, client) {
+            await client.async.login();
+            var playlists = await client.async.fetchPlaylists();
+            assert.deepStrictEqual(playlists.map(function(playlist) {
+                return [playlist.id, playlist.name, playlist.itemCount, playlist.base];
+            }), [[100, "Music", 3, true], [101, "Favourites", 2, false]]);
+            var streams = await client.async.fetchPlaylistItems(101);
+            assert.deepStrictEqual(streams.map(function(stream) {
+                return stream.title;
+            }), ["Naima", "Blue in Green"]);
+        }));
+
+        test.it("fetches the artwork of a stream", withServer({}, async function(server, client) {
+            await client.async.login();
+            var artwork = await client.async.fetchArtwork({
+                itemId: 10
+            });
+            assert.strictEqual(artwork.type, "image/png");
+            assert.deepStrictEqual(Array.from(new Uint8Array(artwork.data)), [0x89, 0x50, 0x4e, 0x47]);
+            assert.strictEqual(await client.async.fetchArtwork({
+                itemId: 11
+            }), null);
+        }));
+
+        test.it("fetches the audio of a stream with the client headers", withServer({}, async function(server, client) {
+            client.setClientProfile("itunes");
+            await client.async.login();
+            var streams = await client.async.fetchStreams();
+            var audio = await client.async.getStream(streams[0]);
+            assert.strictEqual(audio.type, "audio/mpeg");
+            assert.strictEqual(audio.mimeType, "audio/mpeg");
+            assert.deepStrictEqual([audio.offset, audio.length, audio.size], [0, 64, 64]);
+            // the bytes are only kept by the Blob unless requested.
+            assert.strictEqual(audio.data, undefined);
+            assert.ok(/^blob:/.test(audio.url));
+            var blob = buffer.resolveObjectURL(audio.url);
+            assert.strictEqual(blob.type, "audio/mpeg");
+            assert.strictEqual(new Uint8Array(await blob.arrayBuffer())[63], 63);
+            URL.revokeObjectURL(audio.url);
+            audio = await client.async.getStream(streams[0], {
+                data: true
+            });
+            assert.strictEqual(new Uint8Array(audio.data)[63], 63);
+            URL.revokeObjectURL(audio.url);
+            var request = requestsTo(server, "databases/1/items/10.mp3")[0];
+            assert.strictEqual(request.headers["client-daap-version"], "3.13");
+            assert.strictEqual(request.headers["range"], undefined);
+        }));
+
+        test.it("fetches a range of a stream part by part", withServer({
+            chunkSize: 16
+        }, async function(server, client) {
+            await client.async.login();
+            var received = [];
+            var offsets = [];
+            var audio = await client.async.getStream(10, {
+                offset: 20,
+                onChunk: function(chunk, anAudio) {
+                    received = received.concat(Array.from(chunk));
+                    offsets.push(anAudio.offset);
+                }
+            });
+            assert.deepStrictEqual(offsets, [20, 20, 20]);
+            assert.deepStrictEqual([audio.offset, audio.length, audio.size], [20, 44, 64]);
+            assert.strictEqual(audio.data, undefined);
+            assert.strictEqual(received.length, 44);
+            assert.strictEqual(received[0], 20);
+            assert.strictEqual(requestsTo(server, "databases/1/items/10.mp3")[0].headers["range"], "bytes=20-");
+        }));
+
+        test.it("seeks within a stream streamed from an offset", withServer({
+            chunkSize: 16
+        }, async function(server, client) {
+            await client.async.login();
+            var audio = await client.async.getStream(10, {
+                stream: true
+            });
+            // answered before the whole audio is read.
+            assert.strictEqual(audio.length, -1);
+            var reader = audio.body.getReader();
+            var first = await reader.read();
+            assert.deepStrictEqual(Array.from(first.value), Array.from({
+                length: 16
+            }, function(value, index) {
+                return index;
+            }));
+            await reader.cancel();
+            // seek to byte 40.
+            audio = await client.async.getStream(10, {
+                offset: 40,
+                stream: true
+            });
+            assert.strictEqual(audio.mimeType, "audio/mpeg");
+            assert.deepStrictEqual([audio.offset, audio.size], [40, 64]);
+            var received = [];
+            for await (var part of audio.body) {
+                received = received.concat(Array.from(part));
+            }
+            assert.deepStrictEqual(received, Array.from({
+                length: 24
+            }, function(value, index) {
+                return 40 + index;
+            }));
+            assert.strictEqual(audio.length, 24);
+            assert.strictEqual(audio.url, undefined);
+            assert.strictEqual(requestsTo(server, "databases/1/items/10.mp3")[1].headers["range"], "bytes=40-");
+        }));
+
+        test.it("rejects an empty range of a stream", withServer({}, async function(server, client) {
+            await client.async.login();
+            await assert.rejects(client.async.getStream(10, {
+                length: 0
+            }), function(error) {
+                return error instanceof DaapClient.Error && /Invalid length/.test(error.message);
+            });
+            await assert.rejects(client.async.getStream(10, {
+                offset: 10,
+                length: -1
+            }), DaapClient.Error);
+            assert.strictEqual(requestsTo(server, "databases/1/items/10.mp3").length, 0);
+        }));
+
+        test.it("requests a transcoded stream", withServer({}, async function(server, client) {
+            await client.async.login();
+            var audio = await client.async.getStream({
+                itemId: 10,
+                format: "mp3"
+            }, {
+                transcode: "wav",
+                length: 10
+            });
+            assert.strictEqual(audio.type, "audio/wav");
+            assert.strictEqual(audio.length, 10);
+            var request = requestsTo(server, "databases/1/items/10.wav")[0];
+            assert.strictEqual(request.headers["accept-codecs"], "wav");
+            assert.strictEqual(request.headers["range"], "bytes=0-9");
+        }));
+
+        test.it("reports a range beyond the stream", withServer({}, async function(server, client) {
+            await client.async.login();
+            await assert.rejects(client.async.getStream(10, {
+                offset: 100
+            }), function(error) {
+                return error instanceof DaapClient.Error && error.status == 416;
+            });
+        }));
+
+        test.it("edits the playlists and refreshes the revision", withServer({}, async function(server, client) {
+            await client.async.login();
+            var playlistId = await client.async.createPlaylist("Party, Vol. 1");
+            assert.strictEqual(playlistId, 102);
+            await client.async.renamePlaylist(playlistId, "Jazz 'n' Blues");
+            await client.async.addItemsToPlaylist(playlistId, [10, {
+                itemId: 11
+            }, 12]);
+            var streams = await client.async.fetchPlaylistItems(playlistId);
+            await client.async.moveItemInPlaylist(playlistId, streams[2], 0);
+            await client.async.removeItemsFromPlaylist(playlistId, [streams[1]]);
+            var playlists = await client.async.fetchPlaylists();
+            assert.deepStrictEqual(playlists.map(function(playlist) {
+                return [playlist.id, playlist.name, playlist.itemCount];
+            }).slice(2), [[102, "Jazz 'n' Blues", 2]]);
+            assert.deepStrictEqual((await client.async.fetchPlaylistItems(playlistId)).map(function(stream) {
+                return stream.itemId;
+            }), [12, 10]);
+            await client.async.deletePlaylist(playlistId);
+            assert.strictEqual((await client.async.fetchPlaylists()).length, 2);
+            var paths = server.requests.map(function(request) {
+                return request.path;
+            });
+            paths.forEach(function(path, index) {
+                if(/\/edit$/.test(path)) {
+                    assert.strictEqual(paths[index + 1], "update");
+                }
+            });
+            assert.strictEqual(requestsTo(server, "update").length, 7);
+            // the parameters are also posted as a DMAP body.
+            var encoder = new dmap.DaapEncoder();
+            var create = requestsTo(server, "databases/1/edit")[0];
+            assert.strictEqual(create.method, "POST");
+            assert.strictEqual(create.headers["content-type"], "application/x-dmap-tagged");
+            assert.deepStrictEqual(new Uint8Array(create.body), encoder.encode(["medc", [["minm", "Party, Vol. 1"]]]));
+            var move = requestsTo(server, "databases/1/containers/102/edit").filter(function(request) {
+                return request.query["action"] == "move";
+            })[0];
+            var pair = move.query["edit-params"].replace(/^'edit-param\.move-pair:|'$/g, "").split(",").map(Number);
+            assert.deepStrictEqual(new Uint8Array(move.body), encoder.encode(["medc", [["mcti", pair[0]], ["mcti", pair[1]]]]));
+        }));
+
+        test.it("edits a playlist whose name holds parameter separators", withServer({}, async function(server, client) {
+            await client.async.login();
+            var playlistId = await client.async.createPlaylist("Rock, a:b");
+            await client.async.renamePlaylist(playlistId, "Pop, dmap.itemname:x");
+            var request = requestsTo(server, "databases/1/edit")[1];
+            assert.strictEqual(request.query["edit-params"], "'dmap.itemid:" + playlistId + ",dmap.itemname:Pop\\, dmap.itemname\\:x'");
+            var playlists = await client.async.fetchPlaylists();
+            assert.deepStrictEqual(playlists.map(function(playlist) {
+                return playlist.name;
+            }), ["Music", "Favourites", "Pop, dmap.itemname:x"]);
+        }));
+
+        test.it("reports playlist editing as not supported", withServer({
+            capabilities: {
+                edit: false
+            }
+        }, async function(server, client) {
+            await client.async.login();
+            await assert.rejects(client.async.createPlaylist("Party"), function(error) {
+                return error instanceof DaapClient.UnsupportedFeatureError && error.feature == "edit";
+            });
+            assert.strictEqual(requestsTo(server, "databases/1/edit").length, 0);
+        }));
+
+        test.it("reports an edit rejected by the server as not supported", withServer({}, async function(server, client) {
+            await client.async.login();
+            server.inject("databases/1/edit", {
+                status: 501
+            });
+            await assert.rejects(client.async.createPlaylist("Party"), function(error) {
+                return error instanceof DaapClient.UnsupportedFeatureError && error.status == 501;
+            });
+        }));
+
+        test.it("reports an edit of an unknown playlist as failed", withServer({}, async function(server, client) {
+            await client.async.login();
+            await assert.rejects(client.async.deletePlaylist(999), function(error) {
+                return error instanceof DaapClient.Error && !(error instanceof DaapClient.UnsupportedFeatureError) && error.status == 404;
+            });
+            server.inject("databases/1/edit", {
+                status: 400
+            });
+            await assert.rejects(client.async.renamePlaylist(101, "Party"), function(error) {
+                return error instanceof DaapClient.Error && !(error instanceof DaapClient.UnsupportedFeatureError) && error.status == 400;
+            });
+        }));
+
+        test.it("does not retry an edit", withServer({}, async function(server, client) {
+            await client.async.login();
+            client.setRetries(2, 10);
+            server.inject("databases/1/containers/101/edit", {
+                status: 503
+            });
+            await assert.rejects(client.async.addItemsToPlaylist(101, [11]), function(error) {
+                return error instanceof DaapClient.Error && error.status == 503;
+            });
+            assert.strictEqual(requestsTo(server, "databases/1/containers/101/edit").length, 1);
+        }));
+
+        test.it("logs in with Basic authentication", withServer({
+            password: "secret"
+        }, async function(server, client) {
+            await client.async.secureLogin("secret");
+            assert.ok(/^Basic /.test(requestsTo(server, "login")[0].headers["authorization"]));
+        }));
+
+        test.it("logs in with Digest authentication", withServer({
+            username: "admin",
+            password: "secret",
+            auth: "digest"
+        }, async function(server, client) {
+            await client.async.secureLogin("secret");
+            var logins = requestsTo(server, "login");
+            assert.strictEqual(logins.length, 2);
+            assert.ok(/^Digest /.test(logins[1].headers["authorization"]));
+        }));
+
+        test.it("reports a wrong password", withServer({
+            password: "secret"
+        }, async function(server, client) {
+            await assert.rejects(client.async.secureLogin("wrong"), function(error) {
+                return error instanceof DaapClient.AuthenticationError && error.status == 401;
+            });
+        }));
+
+        test.it("logs in again once the session has expired", withServer({}, async function(server, client) {
+            await client.async.login();
+            server.expireSessions();
+            var streams = await client.async.fetchStreams();
+            assert.strictEqual(streams.length, 3);
+            assert.strictEqual(requestsTo(server, "login").length, 2);
+        }));
+
+        test.it("retries a request failing with a server error", withServer({}, async function(server, client) {
+            await client.async.login();
+            client.setRetries(2, 10);
+            server.inject("databases/1/containers", {
+                status: 503
+            });
+            var playlists = await client.async.fetchPlaylists();
+            assert.strictEqual(playlists.length, 2);
+            assert.strictEqual(requestsTo(server, "databases/1/containers").length, 2);
+        }));
+
+        test.it("reports a server error once the retries are exhausted", withServer({}, async function(server, client) {
+            await client.async.login();
+            client.setRetries(1, 10);
+            server.inject("databases/1/containers", {
+                status: 500,
+                times: 2
+            });
+            await assert.rejects(client.async.fetchPlaylists(), function(error) {
+                return error instanceof DaapClient.Error && error.status == 500;
+            });
+        }));
+
+        test.it("reports a dropped connection", withServer({}, async function(server, client) {
+            await client.async.login();
+            server.inject("databases/1/containers", {
+                drop: true
+            });
+            await assert.rejects(client.async.fetchPlaylists(), DaapClient.NetworkError);
+        }));
+
+        test.it("reports a malformed response", withServer({}, async function(server, client) {
+            await client.async.login();
+            server.inject("databases/1/containers", {
+                malformed: true
+            });
+            await assert.rejects(client.async.fetchPlaylists(), DaapClient.MalformedPacketError);
+        }));
+
+        test.it("reports a failure to handle the response", withServer({
+            chunkSize: 16
+        }, async function(server, client) {
+            await client.async.login();
+            var bug = new TypeError("Cannot read properties of null");
+            await assert.rejects(client.async.getStream(10, {
+                onChunk: function() {
+                    throw bug;
+                }
+            }), function(error) {
+                return error instanceof DaapClient.Error && !(error instanceof DaapClient.NetworkError) && error.status == 400 && error.cause === bug;
+            });
+            await assert.rejects(client.async.fetchStreams({
+                onProgress: function() {
+                    throw bug;
+                }
+            }), function(error) {
+                return error instanceof DaapClient.Error && error.status == 400 && error.cause === bug;
+            });
+            // the client is still usable.
+            assert.strictEqual((await client.async.fetchStreams()).length, 3);
+        }));
+
+        test.it("reports an exception thrown while reading the body as is", withServer({}, async function(server) {
+            var bug = new Error("parser bug");
+            var result = await new Promise(function(resolve) {
+                new transports[transport == "fetch" ? "FetchTransport" : "NodeTransport"]().send({
+                    method: "GET",
+                    url: server.url + "/server-info",
+                    headers: {},
+                    onData: function() {
+                        throw bug;
+                    }
+                }, function(status, data, headers, thrown) {
+                    resolve([status, data, thrown]);
+                });
+            });
+            assert.deepStrictEqual(result, [200, null, bug]);
+        }));
+
+        test.it("reports a timeout", withServer({}, async function(server, client) {
+            await client.async.login();
+            server.inject("databases/1/containers", {
+                delay: 500
+            });
+            await assert.rejects(client.async.fetchPlaylists({
+                timeout: 50
+            }), function(error) {
+                return error instanceof DaapClient.NetworkError && error.status == 0;
+            });
+        }));
+
+        test.it("notifies the changes of the library", withServer({}, async function(server, client) {
+            await client.async.login();
+            var changes = await new Promise(function(resolve, reject) {
+                var listener = function(code, change, error) {
+                    client.unwatch(listener);
+                    if(code == 200) {
+                        resolve(change);
+                    } else {
+                        reject(error);
+                    }
+                };
+                client.watch(listener);
+                // let the client poll before changing the library.
+                setTimeout(function() {
+                    server.removeItem(1, 11);
+                    server.addItem(1, {
+                        id: 13,
+                        title: "Giant Steps",
+                        artist: "John Coltrane",
+                        format: "mp3"
+                    });
+                }, 50);
+            });
+            assert.strictEqual(changes.previousRevision, 1);
+            assert.ok(changes.revision > 1);
+            assert.deepStrictEqual(changes.updated.map(function(stream) {
+                return stream.itemId;
+            }), [13]);
+            assert.deepStrictEqual(changes.deleted, [11]);
+        }));
+
+        test.it("aborts the update request once no listener is registered", withServer({}, async function(server, client) {
+            await client.async.login();
+            var first = [];
+            var second = [];
+            var firstListener = function(code, change) {
+                first.push(change);
+            };
+            var secondListener = function(code, change) {
+                second.push(change);
+            };
+            client.watch(firstListener);
+            await lib.waitFor(function() {
+                return server.heldRequests().update == 1;
+            });
+            client.unwatch(firstListener);
+            await lib.waitFor(function() {
+                return server.heldRequests().update == 0;
+            });
+            client.watch(secondListener);
+            await lib.waitFor(function() {
+                return server.heldRequests().update == 1;
+            });
+            // a second polling would be held as well.
+            await new Promise(function(resolve) {
+                setTimeout(resolve, 50);
+            });
+            assert.strictEqual(server.heldRequests().update, 1);
+            assert.strictEqual(requestsTo(server, "update").length, 3);
+            server.removeItem(1, 11);
+            await lib.waitFor(function() {
+                return second.length == 1 && server.heldRequests().update == 1;
+            });
+            assert.deepStrictEqual(second[0].deleted, [11]);
+            assert.deepStrictEqual(first, []);
+            await client.async.logout();
+            await lib.waitFor(function() {
+                return server.heldRequests().update == 0;
+            });
+        }));
+
+        test.it("serves the streams from the cache while the revision is unchanged", withServer({}, async function(server, client) {
+            var directory = temporaryDirectory();
+            client.setCache("file", directory);
+            await client.async.login();
+            var streams = await client.async.fetchStreams();
+            var cached = await client.async.fetchStreams();
+            assert.deepStrictEqual(cached, streams);
+            assert.strictEqual(cached[2].dateAdded.getTime(), Date.UTC(2012, 0, 1));
+            assert.strictEqual(requestsTo(server, "databases/1/items").length, 1);
+            await written(directory, 2);
+        }));
+
+        test.it("reads the cache before login and updates it with the changes", withServer({}, async function(server, client) {
+            var directory = temporaryDirectory();
+            client.setCache("file", directory);
+            await client.async.login();
+            await client.async.fetchStreams();
+            await written(directory, 2);
+            server.removeItem(1, 11);
+            server.addItem(1, {
+                id: 13,
+                title: "Giant Steps",
+                artist: "John Coltrane",
+                format: "mp3"
+            });
+
+            var next = new DaapClient(server.url, undefined, transport);
+            next.setCache("file", directory);
+            var count = server.requests.length;
+            assert.strictEqual((await next.async.fetchCachedStreams()).length, 3);
+            var found = await next.async.searchCachedStreams("COLTRANE", {
+                sort: "title"
+            });
+            assert.deepStrictEqual(found.map(function(stream) {
+                return stream.title;
+            }), ["Naima"]);
+            assert.strictEqual(server.requests.length, count);
+
+            await next.async.login();
+            var streams = await next.async.fetchStreams();
+            assert.deepStrictEqual(streams.map(function(stream) {
+                return stream.itemId;
+            }), [10, 12, 13]);
+            assert.strictEqual(requestsTo(server, "databases/1/items").pop().query["delta"], "1");
+            assert.ok(streams[0].uri.indexOf("session-id=2") != -1);
+            found = await next.async.searchCachedStreams("", {
+                sort: "artist"
+            });
+            assert.deepStrictEqual(found.map(function(stream) {
+                return stream.title;
+            }), ["Giant Steps", "Naima", "Blue in Green"]);
+        }));
+
+        test.it("logs out", withServer({}, async function(server, client) {
+            await client.async.login();
+            await client.async.logout();
+            var logouts = requestsTo(server, "logout");
+            assert.strictEqual(logouts.length, 1);
+            assert.strictEqual(logouts[0].query["session-id"], "1");
+        }));
+
+    });
+
+});
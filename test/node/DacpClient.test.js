@@ -0,0 +1,221 @@
+/*
+ * Runs the remote-control client against the mock DAAP server, with the Fetch and the Node transports: node --test test/node
+ */
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var lib = require('./lib');
+var MockDaapServer = require('./MockDaapServer');
+
+var DacpClient = lib.loadClient("DacpClient");
+
+/** the pairing GUID of the remote. */
+var PAIRING_GUID = "00000000000000A1";
+
+var LIBRARY = {
+    name: "Test Library",
+    databases: [{
+        id: 1,
+        name: "Music",
+        items: [{
+            id: 10,
+            title: "Blue in Green",
+            artist: "Miles Davis",
+            album: "Kind of Blue",
+            genre: "Jazz",
+            duration: 337000
+        }, {
+            id: 11,
+            title: "So What",
+            artist: "Miles Davis",
+            album: "Kind of Blue",
+            duration: 562000
+        }]
+    }]
+};
+
+["fetch", "node"].forEach(function(transport) {
+
+    /**
+     * Start a mock server, run the specified test with it and a logged in remote, then stop the server.
+     *
+     * @param fn {Function} the test, called with the server and the remote; may return a Promise
+     * @return the test function
+     */
+    function withRemote(fn) {
+        return async function() {
+            var server = new MockDaapServer(LIBRARY, {
+                pairingGuid: PAIRING_GUID
+            });
+            await server.start();
+            try {
+                var remote = new DacpClient(server.url, undefined, transport);
+                await remote.async.login(PAIRING_GUID.toLowerCase());
+                await fn(server, remote);
+            } finally {
+                await server.stop();
+            }
+        };
+    }
+
+    /**
+     * Return the requests received by the specified server to the specified command.
+     *
+     * @param server {MockDaapServer} the server
+     * @param command {String} the command, e.g. nextitem
+     * @return the requests
+     */
+    function requestsTo(server, command) {
+        return server.requests.filter(function(request) {
+            return request.path == "ctrl-int/1/" + command;
+        });
+    }
+
+    test.describe("DacpClient with the " + transport + " transport", function() {
+
+        test.it("logs in with the pairing GUID", withRemote(async function(server, remote) {
+            var login = server.requests.filter(function(request) {
+                return request.path == "login";
+            })[0];
+            assert.strictEqual(login.query["pairing-guid"], "0x" + PAIRING_GUID);
+        }));
+
+        test.it("reports an unknown pairing GUID", async function() {
+            var server = new MockDaapServer(LIBRARY, {
+                pairingGuid: PAIRING_GUID
+            });
+            await server.start();
+            try {
+                var remote = new DacpClient(server.url, undefined, transport);
+                await assert.rejects(remote.async.login("0000000000000001"), DacpClient.AuthenticationError);
+                assert.throws(function() {
+                    remote.play(function() {
+                    });
+                }, DacpClient.Error);
+            } finally {
+                await server.stop();
+            }
+        });
+
+        test.it("queues and plays songs", withRemote(async function(server, remote) {
+            var status = await remote.async.fetchStatus();
+            assert.strictEqual(status.state, "stopped");
+            assert.strictEqual(status.itemId, undefined);
+            await remote.async.queue(10, {
+                play: true
+            });
+            await remote.async.queue(11);
+            assert.strictEqual(requestsTo(server, "cue")[0].query["query"], "'dmap.itemid:10'");
+            status = await remote.async.fetchStatus();
+            assert.strictEqual(status.state, "playing");
+            assert.strictEqual(status.title, "Blue in Green");
+            assert.strictEqual(status.genre, "Jazz");
+            assert.strictEqual(status.duration, 337000);
+            assert.deepStrictEqual([status.databaseId, status.playlistItemId, status.itemId], [1, 1, 10]);
+            await remote.async.next();
+            assert.strictEqual((await remote.async.fetchStatus()).itemId, 11);
+            await remote.async.previous();
+            await remote.async.pause();
+            status = await remote.async.fetchStatus();
+            assert.strictEqual(status.state, "paused");
+            assert.strictEqual(status.itemId, 10);
+            await remote.async.playPause();
+            assert.strictEqual((await remote.async.fetchStatus()).state, "playing");
+        }));
+
+        test.it("sets the volume, shuffle and repeat", withRemote(async function(server, remote) {
+            await remote.async.setVolume(120);
+            assert.strictEqual(await remote.async.fetchVolume(), 100);
+            await remote.async.setShuffle(true);
+            await remote.async.setRepeat("all");
+            var status = await remote.async.fetchStatus();
+            assert.strictEqual(status.shuffle, true);
+            assert.strictEqual(status.repeat, "all");
+            assert.throws(function() {
+                remote.setRepeat("twice", function() {
+                });
+            }, DacpClient.Error);
+        }));
+
+        test.it("reports a response the remote cannot handle", withRemote(async function(server, remote) {
+            server.inject("ctrl-int/1/getproperty", {
+                status: 204
+            });
+            await assert.rejects(remote.async.fetchVolume(), function(error) {
+                return error instanceof DacpClient.Error && !(error instanceof DacpClient.NetworkError) && error.status == 400;
+            });
+            assert.strictEqual(await remote.async.fetchVolume(), 50);
+        }));
+
+        test.it("notifies the status changes", withRemote(async function(server, remote) {
+            var notified = [];
+            await new Promise(function(resolve, reject) {
+                var listener = function(code, status, error) {
+                    if(code != 200) {
+                        reject(error);
+                        return;
+                    }
+                    notified.push(status);
+                    if(notified.length == 1) {
+                        // let the remote poll before changing the status.
+                        setTimeout(function() {
+                            remote.queue(11, function() {
+                            }, {
+                                play: true
+                            });
+                        }, 50);
+                    } else {
+                        remote.unwatchStatus(listener);
+                        resolve();
+                    }
+                };
+                remote.watchStatus(listener);
+            });
+            assert.strictEqual(notified[0].state, "stopped");
+            assert.strictEqual(notified[1].state, "playing");
+            assert.strictEqual(notified[1].title, "So What");
+            var polls = requestsTo(server, "playstatusupdate");
+            assert.strictEqual(polls[0].query["revision-number"], "1");
+            assert.strictEqual(polls[1].query["revision-number"], String(notified[0].revision));
+            // unwatching cancels the poll: watching again starts a single one.
+            await lib.waitFor(function() {
+                return server.heldRequests().playstatusupdate == 0;
+            });
+            var listener = function() {
+            };
+            remote.watchStatus(listener);
+            remote.unwatchStatus(listener);
+            remote.watchStatus(listener);
+            await lib.waitFor(function() {
+                return server.heldRequests().playstatusupdate == 1;
+            });
+            await new Promise(function(resolve) {
+                setTimeout(resolve, 50);
+            });
+            assert.strictEqual(server.heldRequests().playstatusupdate, 1);
+            await remote.async.logout();
+            await lib.waitFor(function() {
+                return server.heldRequests().playstatusupdate == 0;
+            });
+        }));
+
+        test.it("logs in again once the session has expired", withRemote(async function(server, remote) {
+            server.expireSessions();
+            await remote.async.setVolume(20);
+            assert.strictEqual(await remote.async.fetchVolume(), 20);
+            assert.strictEqual(server.requests.filter(function(request) {
+                return request.path == "login";
+            }).length, 2);
+        }));
+
+        test.it("logs out", withRemote(async function(server, remote) {
+            await remote.async.logout();
+            assert.strictEqual(server.requests.filter(function(request) {
+                return request.path == "logout";
+            }).length, 1);
+        }));
+
+    });
+
+});
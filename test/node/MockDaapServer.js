@@ -0,0 +1,1491 @@
+/*
+ * A scriptable, in-process DAAP server for Node, serving a library described in JSON; used by the Node test suite to
+ * run the client end to end without network access.
+ */
+'use strict';
+
+var http = require('http');
+var crypto = require('crypto');
+var util = require('util');
+var lib = require('./lib');
+
+var dmap = lib.load(["DaapError", "EndOfPacketException", "DaapContentCodes", "DaapPacket", "DaapEncoder"]);
+
+/**
+ * The DAAP server; serves server-info, content-codes, login, logout, update, databases, the songs and the playlists of
+ * each database, the songs of each playlist, the artists, albums, genres and composers of each database (browse), the
+ * artwork of the songs and the edits of the playlists; the songs and the browsed values are filtered by the DAAP
+ * queries given. It also plays
+ * the songs of its first database for the DACP remotes (ctrl-int/1): play queue, volume, shuffle, repeat and status.
+ * <p>
+ * The library is described by the following JSON format:
+ * <ul>
+ * <li>name : the name of the server - optional
+ * <li>databases : the databases; each database holds an id, a name, its items and its playlists
+ * <li>items : the songs; each song holds an id, and any of the properties of the streams of the client (title,
+ * artist, album, format, duration...) - see {@link MockDaapServer.PROPERTIES} -, an artwork ({type, data}, data
+ * being a {Buffer}) and an audio (a {Buffer}, served in any format and by range) - optional
+ * <li>playlists : the playlists; each playlist holds an id, a name, the IDs of its songs (items), base and smart -
+ * optional
+ * </ul>
+ * Example of use:
+ * <pre>
+ * var server = new MockDaapServer({ databases: [{ id: 1, name: "Music", items: [{ id: 5, title: "Song" }] }] });
+ * server.start().then(function() {
+ *     var client = new DaapClient(server.url);
+ *     ...
+ * });
+ * </pre>
+ *
+ * @constructor
+ * @param aLibrary {Object} the library
+ * @param aOptions {Object} the server options - optional:
+ *            <ul>
+ *            <li>password : the password required to log in - if omitted, no authentication is required
+ *            <li>username : the user name required to log in - if omitted, any user name is accepted
+ *            <li>auth : the HTTP authentication scheme, "basic" (default) or "digest"
+ *            <li>chunkSize : the size of the chunks in which the responses are written - if omitted, each response
+ *            is written at once
+ *            <li>capabilities : the features reported by server-info, overriding
+ *            {@link MockDaapServer.CAPABILITIES} - e.g. <code>{ update: false }</code>, <code>null</code> not to
+ *            report a feature
+ *            <li>pairingGuid : the pairing GUID of the paired DACP remote, 16 hexadecimal digits - if omitted, DACP
+ *            logins are refused
+ *            </ul>
+ */
+function MockDaapServer(aLibrary, aOptions) {
+
+    /** @private the library, copied so that the changes made by the tests do not leak. */
+    var library = copy(aLibrary);
+
+    /** @private the server options. */
+    var options = aOptions || {};
+
+    /** @private the DMAP encoder. */
+    var encoder = new dmap.DaapEncoder();
+
+    /** @private the content codes. */
+    var contentCodes = new dmap.DaapContentCodes();
+
+    /** @private the HTTP server. */
+    var server = null;
+
+    /** @private the open sockets, closed when the server stops. */
+    var sockets = [];
+
+    /** @private the pending timers, cleared when the server stops. */
+    var timers = [];
+
+    /** @private the active session IDs. */
+    var sessions = {};
+
+    /** @private the last session ID. */
+    var lastSid = 0;
+
+    /** @private the last ID of a song within a playlist. */
+    var lastContainerItemId = 0;
+
+    /** @private the current revision of the library. */
+    var revision = 1;
+
+    /** @private the deleted songs: database ID, song ID and revision of the deletion. */
+    var deletions = [];
+
+    /** @private the update requests held until the revision changes. */
+    var polls = [];
+
+    /** @private the player: state (DACP caps), shuffle, repeat, volume, queue (song IDs), position and revision. */
+    var player = {
+        state: 2,
+        shuffle: 0,
+        repeat: 0,
+        volume: 50,
+        queue: [],
+        position: -1,
+        revision: 2
+    };
+
+    /** @private the play status requests held until the player changes. */
+    var statusPolls = [];
+
+    /** @private the injected faults. */
+    var faults = [];
+
+    /** @private the nonce of the HTTP Digest challenge. */
+    var nonce = crypto.randomBytes(16).toString("hex");
+
+    /** @private the realm of the HTTP authentication. */
+    var REALM = "DAAP Server";
+
+    /** the base URL of the server, set once started. */
+    this.url = null;
+
+    /** the port of the server, set once started. */
+    this.port = null;
+
+    /** the requests received: method, url (as received), path, query (indexed by name), headers and body (a {Buffer}). */
+    this.requests = [];
+
+    var self = this;
+
+    /**
+     * Start the server on a free port of the loopback interface.
+     *
+     * @return a Promise resolved with the base URL once the server listens
+     */
+    this.start = function() {
+        return new Promise(function(resolve, reject) {
+            server = http.createServer(handle);
+            server.on('connection', function(socket) {
+                sockets.push(socket);
+                socket.on('close', function() {
+                    sockets.splice(sockets.indexOf(socket), 1);
+                });
+            });
+            server.on('error', reject);
+            server.listen(0, "127.0.0.1", function() {
+                self.port = server.address().port;
+                self.url = "http://127.0.0.1:" + self.port;
+                resolve(self.url);
+            });
+        });
+    };
+
+    /**
+     * Stop the server: the held requests are dropped and all the connections closed.
+     *
+     * @return a Promise resolved once the server is closed
+     */
+    this.stop = function() {
+        timers.forEach(clearTimeout);
+        timers = [];
+        polls = [];
+        statusPolls = [];
+        return new Promise(function(resolve) {
+            if(server == null) {
+                resolve();
+                return;
+            }
+            server.close(function() {
+                resolve();
+            });
+            sockets.slice().forEach(function(socket) {
+                socket.destroy();
+            });
+            server = null;
+        });
+    };
+
+    /**
+     * Return the current revision of the library.
+     *
+     * @return the revision ID
+     */
+    this.getRevision = function() {
+        return revision;
+    };
+
+    /**
+     * Return the number of the requests held by the server whose client is still connected.
+     *
+     * @return the number of held update requests (update) and play status requests (playstatusupdate)
+     */
+    this.heldRequests = function() {
+        return {
+            update: polls.length,
+            playstatusupdate: statusPolls.length
+        };
+    };
+
+    /**
+     * Add the specified song to the specified database (or replace the song of the same ID): the revision is
+     * incremented and the held update requests are answered.
+     *
+     * @param databaseId {int} the ID of the database
+     * @param item {Object} the song
+     */
+    this.addItem = function(databaseId, item) {
+        var database = findDatabase(databaseId);
+        var items = database.items = database.items || [];
+        revision++;
+        item = copy(item);
+        item.revision = revision;
+        var index = findIndex(items, item.id);
+        if(index == -1) {
+            items.push(item);
+        } else {
+            items[index] = item;
+        }
+        releasePolls();
+    };
+
+    /**
+     * Remove the specified song from the specified database and its playlists: the revision is incremented and the
+     * held update requests are answered.
+     *
+     * @param databaseId {int} the ID of the database
+     * @param itemId {int} the ID of the song
+     */
+    this.removeItem = function(databaseId, itemId) {
+        var database = findDatabase(databaseId);
+        var items = database.items || [];
+        var index = findIndex(items, itemId);
+        if(index != -1) {
+            items.splice(index, 1);
+        }
+        (database.playlists || []).forEach(function(playlist) {
+            playlist.entries = entriesOf(playlist).filter(function(entry) {
+                return entry.id != itemId;
+            });
+        });
+        revision++;
+        deletions.push({
+            databaseId: databaseId,
+            id: itemId,
+            revision: revision
+        });
+        releasePolls();
+    };
+
+    /**
+     * Expire all the sessions: the next requests of the logged in clients, including the held update requests, are
+     * answered with HTML status code 403.
+     */
+    this.expireSessions = function() {
+        sessions = {};
+        var expired = polls.concat(statusPolls);
+        polls = [];
+        statusPolls = [];
+        expired.forEach(function(poll) {
+            send(poll.response, 403);
+        });
+    };
+
+    /**
+     * Inject a fault in the responses to the requests whose path starts with the specified prefix (or matches the
+     * specified regular expression).
+     * <p>
+     * The fault is described by the following JSON format:
+     * <ul>
+     * <li>status : the HTML status code of the response
+     * <li>drop : <code>true</code> to close the connection without response
+     * <li>delay : the delay (ms) before the response
+     * <li>malformed : <code>true</code> to truncate the response
+     * <li>times : the number of requests affected - if omitted, the fault affects the next request only
+     * </ul>
+     *
+     * @param path {String|RegExp} the path of the requests, without leading slash, e.g. "databases/1/items"
+     * @param fault {Object} the fault
+     */
+    this.inject = function(path, fault) {
+        faults.push({
+            path: path,
+            fault: fault,
+            times: typeof (fault.times) == 'number' ? fault.times : 1
+        });
+    };
+
+    /**
+     * Handle the specified request.
+     *
+     * @private
+     * @param request {http.IncomingMessage} the request
+     * @param response {http.ServerResponse} the response
+     */
+    function handle(request, response) {
+        var chunks = [];
+        request.on('data', function(chunk) {
+            chunks.push(chunk);
+        });
+        request.on('end', function() {
+            var url = new URL(request.url, "http://localhost");
+            var path = url.pathname.replace(/^\/+/, "");
+            var query = {};
+            url.searchParams.forEach(function(value, name) {
+                query[name] = value;
+            });
+            var body = Buffer.concat(chunks);
+            self.requests.push({
+                method: request.method,
+                url: request.url,
+                path: path,
+                query: query,
+                headers: request.headers,
+                body: body
+            });
+            var fault = takeFault(path);
+            if(fault != null && fault.drop) {
+                request.socket.destroy();
+                return;
+            }
+            if(fault != null && typeof (fault.status) == 'number') {
+                later(fault.delay, function() {
+                    send(response, fault.status);
+                });
+                return;
+            }
+            later(fault != null ? fault.delay : 0, function() {
+                route(request, response, path, query, body, fault != null && fault.malformed);
+            });
+        });
+    }
+
+    /**
+     * Answer the specified request.
+     *
+     * @private
+     * @param request {http.IncomingMessage} the request
+     * @param response {http.ServerResponse} the response
+     * @param path {String} the path of the request, without leading slash
+     * @param query {Object} the query parameters, indexed by name
+     * @param body {Buffer} the request body
+     * @param malformed {boolean} <code>true</code> to truncate the response
+     */
+    function route(request, response, path, query, body, malformed) {
+        var reply = function(element) {
+            send(response, 200, element, malformed);
+        };
+        var match;
+        if(path == "server-info") {
+            reply(serverInfo());
+        } else if(path == "content-codes") {
+            reply(contentCodesResponse());
+        } else if(path == "login" && typeof (query["pairing-guid"]) != 'undefined') {
+            if(options.pairingGuid == null || query["pairing-guid"].toUpperCase() != "0X" + options.pairingGuid.toUpperCase()) {
+                send(response, 403);
+                return;
+            }
+            sessions[++lastSid] = true;
+            reply(["mlog", [["mstt", 200], ["mlid", lastSid]]]);
+        } else if(path == "login") {
+            if(!authenticate(request)) {
+                send(response, 401, null, false, {
+                    "WWW-Authenticate": challenge()
+                });
+                return;
+            }
+            var sid = ++lastSid;
+            sessions[sid] = true;
+            reply(["mlog", [["mstt", 200], ["mlid", sid]]]);
+        } else if(!sessions.hasOwnProperty(query["session-id"])) {
+            send(response, 403);
+        } else if(path == "logout") {
+            delete sessions[query["session-id"]];
+            send(response, 204);
+        } else if(path == "update") {
+            var known = Number(query["revision-number"]);
+            if(known == revision && query["delta"] == "0") {
+                // hold the request until the revision changes, or until the client aborts it.
+                var poll = {
+                    response: response,
+                    reply: reply
+                };
+                polls.push(poll);
+                response.on('close', function() {
+                    if(polls.indexOf(poll) != -1) {
+                        polls.splice(polls.indexOf(poll), 1);
+                    }
+                });
+                return;
+            }
+            reply(["mupd", [["mstt", 200], ["musr", revision]]]);
+        } else if(path == "databases") {
+            reply(databasesResponse());
+        } else if(( match = /^databases\/(\d+)(?:\/containers\/(\d+))?\/edit$/.exec(path)) != null) {
+            withDatabase(response, match[1], function(database) {
+                edit(response, database, match[2], query, body, reply);
+            });
+        } else if(( match = /^databases\/(\d+)\/items$/.exec(path)) != null) {
+            withDatabase(response, match[1], function(database) {
+                withQuery(response, query["query"], function(matches) {
+                    reply(itemsResponse(database, query, matches));
+                });
+            });
+        } else if(( match = /^databases\/(\d+)\/browse\/(artists|albums|genres|composers)$/.exec(path)) != null) {
+            withDatabase(response, match[1], function(database) {
+                withQuery(response, query["filter"], function(matches) {
+                    reply(browseResponse(database, match[2], matches));
+                });
+            });
+        } else if(( match = /^databases\/(\d+)\/containers$/.exec(path)) != null) {
+            withDatabase(response, match[1], function(database) {
+                reply(containersResponse(database, query));
+            });
+        } else if(( match = /^databases\/(\d+)\/containers\/(\d+)\/items$/.exec(path)) != null) {
+            withDatabase(response, match[1], function(database) {
+                var playlist = (database.playlists || [])[findIndex(database.playlists || [], match[2])];
+                if( typeof (playlist) == 'undefined') {
+                    send(response, 404);
+                    return;
+                }
+                withQuery(response, query["query"], function(matches) {
+                    reply(playlistItemsResponse(database, playlist, query, matches));
+                });
+            });
+        } else if(( match = /^databases\/(\d+)\/items\/(\d+)\/extra_data\/artwork$/.exec(path)) != null) {
+            withDatabase(response, match[1], function(database) {
+                var item = (database.items || [])[findIndex(database.items || [], match[2])];
+                if( typeof (item) == 'undefined' || !item.artwork) {
+                    send(response, 404);
+                    return;
+                }
+                response.writeHead(200, {
+                    "Content-Type": item.artwork.type
+                });
+                response.end(item.artwork.data);
+            });
+        } else if(( match = /^databases\/(\d+)\/items\/(\d+)\.(\w+)$/.exec(path)) != null) {
+            withDatabase(response, match[1], function(database) {
+                var item = (database.items || [])[findIndex(database.items || [], match[2])];
+                if( typeof (item) == 'undefined' || !item.audio) {
+                    send(response, 404);
+                    return;
+                }
+                audio(request, response, item.audio, match[3]);
+            });
+        } else if(( match = /^ctrl-int\/1\/(\w+)$/.exec(path)) != null) {
+            control(response, match[1], query, reply);
+        } else {
+            send(response, 404);
+        }
+    }
+
+    /**
+     * Send the specified audio, or the range of it requested by the Range header of the specified request.
+     *
+     * @private
+     * @param request {http.IncomingMessage} the request
+     * @param response {http.ServerResponse} the response
+     * @param data {Buffer} the audio
+     * @param format {String} the requested format, e.g. mp3
+     */
+    function audio(request, response, data, format) {
+        var headers = {
+            "Content-Type": AUDIO_TYPES[format] || "application/octet-stream",
+            "Accept-Ranges": "bytes"
+        };
+        var range = /^bytes=(\d*)-(\d*)$/.exec(request.headers["range"] || "");
+        if(range == null) {
+            write(response, 200, data, headers);
+            return;
+        }
+        var start = range[1] == "" ? Math.max(0, data.length - Number(range[2])) : Number(range[1]);
+        var end = range[1] == "" || range[2] == "" ? data.length - 1 : Math.min(Number(range[2]), data.length - 1);
+        if(start >= data.length || start > end) {
+            write(response, 416, Buffer.alloc(0), {
+                "Content-Range": "bytes */" + data.length
+            });
+            return;
+        }
+        headers["Content-Range"] = "bytes " + start + "-" + end + "/" + data.length;
+        write(response, 206, data.subarray(start, end + 1), headers);
+    }
+
+    /**
+     * Answer the specified DACP request: a command changing the player (answered with no content), a property or
+     * the play status, held until the player changes if the client knows the current revision of the status.
+     *
+     * @private
+     * @param response {http.ServerResponse} the response
+     * @param command {String} the command, e.g. playpause
+     * @param query {Object} the query parameters
+     * @param reply {Function} the function sending a DMAP element
+     */
+    function control(response, command, query, reply) {
+        var queued = player.queue.length > 0;
+        switch(command) {
+            case "playstatusupdate":
+                if(Number(query["revision-number"]) == player.revision) {
+                    var poll = {
+                        response: response,
+                        reply: reply
+                    };
+                    statusPolls.push(poll);
+                    response.on('close', function() {
+                        if(statusPolls.indexOf(poll) != -1) {
+                            statusPolls.splice(statusPolls.indexOf(poll), 1);
+                        }
+                    });
+                } else {
+                    reply(playStatus());
+                }
+                return;
+            case "getproperty":
+                reply(["cmgt", [["mstt", 200], ["cmvo", player.volume]]]);
+                return;
+            case "play":
+                if(queued) {
+                    player.position = Math.max(player.position, 0);
+                    player.state = 4;
+                }
+                break;
+            case "pause":
+                if(player.state == 4) {
+                    player.state = 3;
+                }
+                break;
+            case "playpause":
+                if(player.state == 4) {
+                    player.state = 3;
+                } else if(queued) {
+                    player.position = Math.max(player.position, 0);
+                    player.state = 4;
+                }
+                break;
+            case "nextitem":
+                player.position = Math.min(player.position + 1, player.queue.length - 1);
+                break;
+            case "previtem":
+                player.position = Math.max(player.position - 1, 0);
+                break;
+            case "setproperty":
+                if( typeof (query["dmcp.volume"]) != 'undefined') {
+                    player.volume = Number(query["dmcp.volume"]);
+                }
+                if( typeof (query["dacp.shufflestate"]) != 'undefined') {
+                    player.shuffle = Number(query["dacp.shufflestate"]);
+                }
+                if( typeof (query["dacp.repeatstate"]) != 'undefined') {
+                    player.repeat = Number(query["dacp.repeatstate"]);
+                }
+                break;
+            case "cue":
+                var match = /^'dmap\.itemid:(\d+)'$/.exec(query["query"] || "");
+                if(match == null) {
+                    send(response, 400);
+                    return;
+                }
+                if(query["command"] == "play") {
+                    player.queue = [Number(match[1])];
+                    player.position = 0;
+                    player.state = 4;
+                } else {
+                    player.queue.push(Number(match[1]));
+                }
+                break;
+            default:
+                send(response, 404);
+                return;
+        }
+        player.revision++;
+        var released = statusPolls;
+        statusPolls = [];
+        released.forEach(function(poll) {
+            poll.reply(playStatus());
+        });
+        send(response, 204);
+    }
+
+    /**
+     * Return the play status of the player: the song being played is a song of the first database.
+     *
+     * @private
+     * @return the play status response
+     */
+    function playStatus() {
+        var children = [["mstt", 200], ["cmsr", player.revision], ["caps", player.state], ["cash", player.shuffle], ["carp", player.repeat], ["cavc", 1]];
+        var database = (library.databases || [])[0];
+        var items = database ? database.items || [] : [];
+        var item = player.state != 2 ? items[findIndex(items, player.queue[player.position])] : undefined;
+        if( typeof (item) != 'undefined') {
+            var ids = Buffer.alloc(16);
+            ids.writeUInt32BE(database.id, 0);
+            ids.writeUInt32BE(0, 4);
+            ids.writeUInt32BE(player.position + 1, 8);
+            ids.writeUInt32BE(item.id, 12);
+            children.push(["canp", new Uint8Array(ids)]);
+            [["cann", item.title], ["cana", item.artist], ["canl", item.album], ["cang", item.genre], ["cast", item.duration], ["cant", item.duration]].forEach(function(child) {
+                if( typeof (child[1]) != 'undefined') {
+                    children.push(child);
+                }
+            });
+        }
+        return ["cmst", children];
+    }
+
+    /**
+     * Call the specified function with the specified database, or answer with HTML status code 404 if unknown.
+     *
+     * @private
+     * @param response {http.ServerResponse} the response
+     * @param id {String} the ID of the database
+     * @param fn {Function} the function
+     */
+    function withDatabase(response, id, fn) {
+        var index = findIndex(library.databases || [], id);
+        if(index == -1) {
+            send(response, 404);
+            return;
+        }
+        fn(library.databases[index]);
+    }
+
+    /**
+     * Call the specified function with the function matching the songs against the specified DAAP query (e.g.
+     * <code>('daap.songartist:Miles Davis'+'dmap.itemname:*Blue*')</code>), or answer with HTML status code 400 if
+     * the query is not valid. Terms compare the fields case insensitively, a field the song does not have matching
+     * no value.
+     *
+     * @private
+     * @param response {http.ServerResponse} the response
+     * @param expression {String} the DAAP query - 'undefined' to match every song
+     * @param fn {Function} the function
+     */
+    function withQuery(response, expression, fn) {
+        var matches;
+        try {
+            matches = parseQuery(expression || "");
+        } catch (e) {
+            send(response, 400);
+            return;
+        }
+        fn(function(item) {
+            return matches(function(field) {
+                for(var property in MockDaapServer.PROPERTIES) {
+                    if(MockDaapServer.PROPERTIES.hasOwnProperty(property) && contentCodes.lookup(MockDaapServer.PROPERTIES[property]).name == field) {
+                        return item[property];
+                    }
+                }
+                return undefined;
+            });
+        });
+    }
+
+    /**
+     * Return the server-info response.
+     *
+     * @private
+     * @return the DMAP element
+     */
+    function serverInfo() {
+        var children = [
+                ["mstt", 200],
+                ["mpro", "2.0.0"],
+                ["apro", "3.0.0"],
+                ["minm", library.name || "Mock DAAP Server"],
+                ["mslr", 1],
+                ["msau", options.password == null ? 0 : options.username == null ? 1 : 2],
+                ["mstm", 1800],
+                ["msdc", (library.databases || []).length]
+        ];
+        var capabilities = Object.assign({}, MockDaapServer.CAPABILITIES, options.capabilities);
+        for(var feature in capabilities) {
+            if(capabilities.hasOwnProperty(feature) && capabilities[feature] != null) {
+                children.push([MockDaapServer.FEATURES[feature], capabilities[feature] ? 1 : 0]);
+            }
+        }
+        return ["msrv", children];
+    }
+
+    /**
+     * Return the content-codes response: the tags of the songs.
+     *
+     * @private
+     * @return the DMAP element
+     */
+    function contentCodesResponse() {
+        var TYPES = {
+            "byte": 1,
+            "short": 3,
+            "int": 5,
+            "long": 7,
+            "string": 9,
+            "date": 10,
+            "version": 11,
+            "container": 12
+        };
+        var dictionaries = [];
+        for(var property in MockDaapServer.PROPERTIES) {
+            if(MockDaapServer.PROPERTIES.hasOwnProperty(property)) {
+                var tag = contentCodes.lookup(MockDaapServer.PROPERTIES[property]);
+                dictionaries.push(["mdcl", [
+                        ["mcnm", tag.code],
+                        ["mcna", tag.name],
+                        ["mcty", TYPES[tag.type] + (tag.signed || !/^(byte|short|int|long)$/.test(tag.type) ? 0 : 1)]
+                ]]);
+            }
+        }
+        return ["mccr", [["mstt", 200]].concat(dictionaries)];
+    }
+
+    /**
+     * Return the databases response.
+     *
+     * @private
+     * @return the DMAP element
+     */
+    function databasesResponse() {
+        var databases = library.databases || [];
+        return ["avdb", [
+                ["mstt", 200],
+                ["muty", 0],
+                ["mtco", databases.length],
+                ["mrco", databases.length],
+                ["mlcl", databases.map(function(database) {
+                    return ["mlit", [
+                            ["miid", database.id],
+                            ["minm", database.name || ""],
+                            ["mimc", (database.items || []).length],
+                            ["mctc", (database.playlists || []).length]
+                    ]];
+                })]
+        ]];
+    }
+
+    /**
+     * Return the response listing the songs of the specified database: the songs changed since the revision given by
+     * the delta parameter, if any, matching the DAAP query, if any, and the range given by the index parameter, if
+     * any.
+     *
+     * @private
+     * @param database {Object} the database
+     * @param query {Object} the query parameters
+     * @param matches {Function} the function returning <code>true</code> if a song matches the DAAP query
+     * @return the DMAP element
+     */
+    function itemsResponse(database, query, matches) {
+        var delta = Number(query["delta"] || 0);
+        var items = (database.items || []).filter(function(item) {
+            return (delta == 0 || (item.revision || 0) > delta) && matches(item);
+        });
+        var children = listing(items, query, function(item) {
+            return itemElement(item, query);
+        });
+        if(delta != 0) {
+            children[1][1] = 1;
+            children.push(["mudl", deletions.filter(function(deletion) {
+                return deletion.databaseId == database.id && deletion.revision > delta;
+            }).map(function(deletion) {
+                return ["miid", deletion.id];
+            })]);
+        }
+        return ["adbs", children];
+    }
+
+    /**
+     * Return the response listing the distinct values of the specified category among the songs of the specified
+     * database matching the DAAP filter, if any, in alphabetical order.
+     *
+     * @private
+     * @param database {Object} the database
+     * @param category {String} the category: artists, albums, genres or composers
+     * @param matches {Function} the function returning <code>true</code> if a song matches the DAAP filter
+     * @return the DMAP element
+     */
+    function browseResponse(database, category, matches) {
+        var browsed = BROWSED[category];
+        var values = [];
+        (database.items || []).forEach(function(item) {
+            var value = item[browsed.property];
+            if( typeof (value) != 'undefined' && value !== "" && values.indexOf(value) == -1 && matches(item)) {
+                values.push(value);
+            }
+        });
+        values.sort();
+        return ["abro", [
+                ["mstt", 200],
+                ["muty", 0],
+                ["mtco", values.length],
+                ["mrco", values.length],
+                [browsed.listing, values.map(function(value) {
+                    // a listing item holding a string, not a container.
+                    return ["mlit", Buffer.from(String(value), 'utf8')];
+                })]
+        ]];
+    }
+
+    /**
+     * Return the response listing the playlists of the specified database.
+     *
+     * @private
+     * @param database {Object} the database
+     * @param query {Object} the query parameters
+     * @return the DMAP element
+     */
+    function containersResponse(database, query) {
+        return ["aply", listing(database.playlists || [], query, function(playlist) {
+            var element = [
+                    ["miid", playlist.id],
+                    ["minm", playlist.name || ""],
+                    ["mimc", entriesOf(playlist).length]
+            ];
+            if(playlist.base) {
+                element.push(["abpl", 1]);
+            }
+            if(playlist.smart) {
+                element.push(["aeSP", 1]);
+            }
+            if( typeof (playlist.parentId) != 'undefined') {
+                element.push(["mpco", playlist.parentId]);
+            }
+            return ["mlit", element];
+        })];
+    }
+
+    /**
+     * Return the response listing the songs of the specified playlist matching the DAAP query, if any, in the
+     * playlist order.
+     *
+     * @private
+     * @param database {Object} the database
+     * @param playlist {Object} the playlist
+     * @param query {Object} the query parameters
+     * @param matches {Function} the function returning <code>true</code> if a song matches the DAAP query
+     * @return the DMAP element
+     */
+    function playlistItemsResponse(database, playlist, query, matches) {
+        var entries = [];
+        entriesOf(playlist).forEach(function(entry) {
+            var index = findIndex(database.items || [], entry.id);
+            if(index != -1 && matches(database.items[index])) {
+                entries.push({
+                    item: database.items[index],
+                    containerItemId: entry.containerItemId
+                });
+            }
+        });
+        return ["apso", listing(entries, query, function(entry) {
+            var element = itemElement(entry.item, query);
+            element[1].push(["mcti", entry.containerItemId]);
+            return element;
+        })];
+    }
+
+    /**
+     * Return the songs of the specified playlist, each given by its ID and its ID within the playlist.
+     *
+     * @private
+     * @param playlist {Object} the playlist
+     * @return the entries of the playlist
+     */
+    function entriesOf(playlist) {
+        if( typeof (playlist.entries) == 'undefined') {
+            playlist.entries = (playlist.items || []).map(function(id) {
+                return {
+                    id: id,
+                    containerItemId: ++lastContainerItemId
+                };
+            });
+        }
+        return playlist.entries;
+    }
+
+    /**
+     * Apply the specified edit: add (create), refresh (rename) or remove (delete) a playlist of the specified
+     * database, or add, remove or move songs of the specified playlist. The revision is incremented and the held
+     * update requests are answered. An edit whose DMAP body does not give the parameters of its URI is rejected (400).
+     *
+     * @private
+     * @param response {http.ServerResponse} the response
+     * @param database {Object} the database
+     * @param playlistId {String} the ID of the edited playlist, 'undefined' to edit the playlists
+     * @param query {Object} the query parameters
+     * @param body {Buffer} the request body, empty if none
+     * @param reply {Function} the function sending a DMAP element
+     */
+    function edit(response, database, playlistId, query, body, reply) {
+        var params = editParams(query["edit-params"] || "");
+        if(body.length > 0 && !util.isDeepStrictEqual(payloadParams(body, query["action"]), params)) {
+            send(response, 400);
+            return;
+        }
+        var playlists = database.playlists = database.playlists || [];
+        var action = query["action"];
+        var children = [["mstt", 200]];
+        var playlist;
+        if( typeof (playlistId) == 'undefined') {
+            if(action == "add" && params.hasOwnProperty("dmap.itemname")) {
+                var id = playlists.reduce(function(max, aPlaylist) {
+                    return Math.max(max, aPlaylist.id);
+                }, 0) + 1;
+                playlists.push({
+                    id: id,
+                    name: params["dmap.itemname"][0],
+                    entries: []
+                });
+                children.push(["miid", id]);
+            } else {
+                playlist = playlists[findIndex(playlists, (params["dmap.itemid"] || [])[0])];
+                if( typeof (playlist) == 'undefined') {
+                    send(response, 404);
+                    return;
+                }
+                if(action == "refresh" && params.hasOwnProperty("dmap.itemname")) {
+                    playlist.name = params["dmap.itemname"][0];
+                } else if(action == "remove") {
+                    playlists.splice(playlists.indexOf(playlist), 1);
+                } else {
+                    send(response, 400);
+                    return;
+                }
+            }
+        } else {
+            playlist = playlists[findIndex(playlists, playlistId)];
+            if( typeof (playlist) == 'undefined') {
+                send(response, 404);
+                return;
+            }
+            var entries = entriesOf(playlist);
+            if(action == "add" && params.hasOwnProperty("dmap.itemid")) {
+                params["dmap.itemid"].forEach(function(itemId) {
+                    entries.push({
+                        id: Number(itemId),
+                        containerItemId: ++lastContainerItemId
+                    });
+                });
+            } else if(action == "remove" && params.hasOwnProperty("dmap.containeritemid")) {
+                playlist.entries = entries.filter(function(entry) {
+                    return params["dmap.containeritemid"].indexOf(String(entry.containerItemId)) == -1;
+                });
+            } else if(action == "move" && params.hasOwnProperty("edit-param.move-pair")) {
+                var pair = params["edit-param.move-pair"][0].split(",");
+                var moved = entries.filter(function(entry) {
+                    return String(entry.containerItemId) == pair[0];
+                })[0];
+                if( typeof (moved) == 'undefined') {
+                    send(response, 404);
+                    return;
+                }
+                entries.splice(entries.indexOf(moved), 1);
+                var after = -1;
+                entries.forEach(function(entry, index) {
+                    if(String(entry.containerItemId) == pair[1]) {
+                        after = index;
+                    }
+                });
+                entries.splice(after + 1, 0, moved);
+            } else {
+                send(response, 400);
+                return;
+            }
+        }
+        revision++;
+        releasePolls();
+        reply(["medc", children]);
+    }
+
+    /**
+     * Return the values of the edit parameters given by the specified DMAP body (medc), as given by
+     * {@link editParams(text)}.
+     *
+     * @private
+     * @param body {Buffer} the DMAP body
+     * @param action {String} the edit action - a move gives its pair as two container item IDs
+     * @return the values, indexed by name
+     */
+    function payloadParams(body, action) {
+        var result = {};
+        var edits = new dmap.DaapPacket(new Uint8Array(body)).decode(contentCodes);
+        Object.keys(edits).forEach(function(code) {
+            var name = contentCodes.lookup(code).name;
+            var values = [].concat(edits[code]).map(String);
+            if(action == "move" && name == "dmap.containeritemid") {
+                result["edit-param.move-pair"] = [values.join(",")];
+            } else {
+                result[name] = values;
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Return the children of a listing response: status, update type, counts and the listing of the specified
+     * entries, restricted to the range given by the index parameter, if any.
+     *
+     * @private
+     * @param entries {Array} the entries
+     * @param query {Object} the query parameters
+     * @param toElement {Function} the function returning the DMAP element of an entry
+     * @return the DMAP elements
+     */
+    function listing(entries, query, toElement) {
+        var total = entries.length;
+        var index = /^(\d+)(?:-(\d*))?$/.exec(query["index"] || "");
+        if(index != null) {
+            var end = typeof (index[2]) == 'undefined' ? Number(index[1]) + 1 : index[2] == "" ? total : Number(index[2]) + 1;
+            entries = entries.slice(Number(index[1]), end);
+        }
+        return [
+                ["mstt", 200],
+                ["muty", 0],
+                ["mtco", total],
+                ["mrco", entries.length],
+                ["mlcl", entries.map(toElement)]
+        ];
+    }
+
+    /**
+     * Return the DMAP element of the specified song, holding the fields given by the meta parameter.
+     *
+     * @private
+     * @param item {Object} the song
+     * @param query {Object} the query parameters
+     * @return the DMAP element
+     */
+    function itemElement(item, query) {
+        var meta = typeof (query["meta"]) == 'string' ? query["meta"].split(",") : null;
+        var element = [["mikd", 2]];
+        for(var property in MockDaapServer.PROPERTIES) {
+            if(MockDaapServer.PROPERTIES.hasOwnProperty(property) && typeof (item[property]) != 'undefined') {
+                var tag = contentCodes.lookup(MockDaapServer.PROPERTIES[property]);
+                if(meta == null || property == "id" || meta.indexOf(tag.name) != -1) {
+                    element.push([tag.code, item[property]]);
+                }
+            }
+        }
+        return ["mlit", element];
+    }
+
+    /**
+     * Check the credentials of the specified request, if the server requires a password.
+     *
+     * @private
+     * @param request {http.IncomingMessage} the request
+     * @return <code>true</code> if the request is authenticated
+     */
+    function authenticate(request) {
+        if(options.password == null) {
+            return true;
+        }
+        var header = request.headers["authorization"] || "";
+        if(options.auth == "digest") {
+            return checkDigest(request.method, header);
+        }
+        var match = /^Basic\s+(\S+)$/i.exec(header);
+        if(match == null) {
+            return false;
+        }
+        var credentials = Buffer.from(match[1], "base64").toString("utf8");
+        var separator = credentials.indexOf(":");
+        var username = credentials.substring(0, separator);
+        return credentials.substring(separator + 1) == options.password && (options.username == null || username == options.username);
+    }
+
+    /**
+     * Check the specified HTTP Digest Authorization header (RFC 2617, MD5, qop auth or none).
+     *
+     * @private
+     * @param method {String} the HTTP method of the request
+     * @param header {String} the Authorization header
+     * @return <code>true</code> if the response of the header is valid
+     */
+    function checkDigest(method, header) {
+        if(!/^Digest\s/i.test(header)) {
+            return false;
+        }
+        var parameters = {};
+        var parameter = /(\w+)=(?:"([^"]*)"|([^\s,]*))/g;
+        var match;
+        while(( match = parameter.exec(header)) != null) {
+            parameters[match[1].toLowerCase()] = typeof (match[2]) != 'undefined' ? match[2] : match[3];
+        }
+        if(parameters.nonce != nonce || (options.username != null && parameters.username != options.username)) {
+            return false;
+        }
+        var ha1 = md5(parameters.username + ":" + REALM + ":" + options.password);
+        var ha2 = md5(method + ":" + parameters.uri);
+        var expected;
+        if(parameters.qop == "auth") {
+            expected = md5([ha1, nonce, parameters.nc, parameters.cnonce, "auth", ha2].join(":"));
+        } else {
+            expected = md5(ha1 + ":" + nonce + ":" + ha2);
+        }
+        return parameters.response == expected;
+    }
+
+    /**
+     * Return the WWW-Authenticate header of the 401 responses.
+     *
+     * @private
+     * @return the challenge
+     */
+    function challenge() {
+        if(options.auth == "digest") {
+            return 'Digest realm="' + REALM + '", nonce="' + nonce + '", qop="auth", algorithm=MD5';
+        }
+        return 'Basic realm="' + REALM + '"';
+    }
+
+    /**
+     * Send the specified response.
+     *
+     * @private
+     * @param response {http.ServerResponse} the response
+     * @param status {int} the HTML status code
+     * @param element {Array} the DMAP element of the body - optional
+     * @param malformed {boolean} <code>true</code> to truncate the body - optional
+     * @param headers {Object} the additional headers - optional
+     */
+    function send(response, status, element, malformed, headers) {
+        if(response.headersSent || response.destroyed) {
+            return;
+        }
+        var body = element != null ? Buffer.from(encoder.encode(element)) : Buffer.alloc(0);
+        if(malformed) {
+            body = body.subarray(0, Math.max(0, body.length - 3));
+        }
+        write(response, status, body, Object.assign({
+            "Content-Type": "application/x-dmap-tagged"
+        }, headers));
+    }
+
+    /**
+     * Write the specified response, in chunks if requested by the options.
+     *
+     * @private
+     * @param response {http.ServerResponse} the response
+     * @param status {int} the HTML status code
+     * @param body {Buffer} the body
+     * @param headers {Object} the headers of the response
+     */
+    function write(response, status, body, headers) {
+        response.writeHead(status, Object.assign({
+            "Content-Length": body.length
+        }, headers));
+        if(!options.chunkSize || body.length <= options.chunkSize) {
+            response.end(body);
+            return;
+        }
+        var offset = 0;
+        var writeChunk = function() {
+            if(response.destroyed) {
+                return;
+            }
+            var chunk = body.subarray(offset, offset + options.chunkSize);
+            offset += chunk.length;
+            if(offset >= body.length) {
+                response.end(chunk);
+            } else {
+                response.write(chunk);
+                later(5, writeChunk);
+            }
+        };
+        writeChunk();
+    }
+
+    /**
+     * Answer the held update requests with the current revision.
+     *
+     * @private
+     */
+    function releasePolls() {
+        var released = polls;
+        polls = [];
+        released.forEach(function(poll) {
+            poll.reply(["mupd", [["mstt", 200], ["musr", revision]]]);
+        });
+    }
+
+    /**
+     * Return the next fault injected for the specified path, if any.
+     *
+     * @private
+     * @param path {String} the path of the request
+     * @return the fault, <code>null</code> if none
+     */
+    function takeFault(path) {
+        for(var i = 0; i < faults.length; i++) {
+            var entry = faults[i];
+            var matches = entry.path instanceof RegExp ? entry.path.test(path) : path.indexOf(entry.path) == 0;
+            if(matches) {
+                if(--entry.times <= 0) {
+                    faults.splice(i, 1);
+                }
+                return entry.fault;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Call the specified function after the specified delay, unless the server stops meanwhile.
+     *
+     * @private
+     * @param delay {int} the delay (ms) - if not positive, the function is called at once
+     * @param fn {Function} the function
+     */
+    function later(delay, fn) {
+        if(!(delay > 0)) {
+            fn();
+            return;
+        }
+        var timer = setTimeout(function() {
+            timers.splice(timers.indexOf(timer), 1);
+            fn();
+        }, delay);
+        timers.push(timer);
+    }
+
+    /**
+     * Return the specified database.
+     *
+     * @private
+     * @param id {int} the ID of the database
+     * @return the database
+     * @throws Error if the database is unknown
+     */
+    function findDatabase(id) {
+        var index = findIndex(library.databases || [], id);
+        if(index == -1) {
+            throw new Error("Unknown database: " + id);
+        }
+        return library.databases[index];
+    }
+
+}
+
+/**
+ * The DAAP tag of each property of the songs of the library, named as the properties of the streams of the client.
+ */
+MockDaapServer.PROPERTIES = {
+    id: "miid",
+    title: "minm",
+    persistentId: "mper",
+    format: "asfm",
+    album: "asal",
+    albumArtist: "asaa",
+    albumId: "asai",
+    artist: "asar",
+    bitrate: "asbr",
+    composer: "ascp",
+    discCount: "asdc",
+    discNumber: "asdn",
+    duration: "astm",
+    genre: "asgn",
+    playCount: "aspc",
+    rating: "asur",
+    size: "assz",
+    trackCount: "astc",
+    trackNumber: "astn",
+    year: "asyr",
+    dateAdded: "asda",
+    mediaKind: "aeMK"
+};
+
+/**
+ * The code of the server-info flag of each feature, named as the features of the server info of the client.
+ */
+MockDaapServer.FEATURES = {
+    update: "msup",
+    persistentIds: "mspi",
+    browse: "msbr",
+    query: "msqy",
+    index: "msix",
+    edit: "msed"
+};
+
+/**
+ * The features reported by default: the ones served, browsing and queries excepted so that the client is run without
+ * them by default.
+ */
+MockDaapServer.CAPABILITIES = {
+    update: true,
+    persistentIds: true,
+    browse: false,
+    query: false,
+    index: true
+};
+
+/**
+ * The song property and the listing code of each browsed category.
+ */
+var BROWSED = {
+    artists: {
+        property: "artist",
+        listing: "abar"
+    },
+    albums: {
+        property: "album",
+        listing: "abal"
+    },
+    genres: {
+        property: "genre",
+        listing: "abgn"
+    },
+    composers: {
+        property: "composer",
+        listing: "abcp"
+    }
+};
+
+/**
+ * The content types of the audio formats.
+ */
+var AUDIO_TYPES = {
+    mp3: "audio/mpeg",
+    m4a: "audio/mp4",
+    wav: "audio/wav"
+};
+
+/**
+ * Return the values of the specified edit parameters, e.g. <code>'dmap.itemid:12,dmap.itemname:Party'</code>.
+ *
+ * @param text {String} the edit parameters
+ * @return the values, indexed by name
+ */
+function editParams(text) {
+    var result = {};
+    // the pairs are separated by the commas not escaped, a move pair excepted.
+    var pairs = text.replace(/^'|'$/g, "").match(/(?:[^,\\]|\\.)+/g) || [];
+    pairs.forEach(function(pair, index) {
+        var separator = pair.indexOf(":");
+        if(separator == -1 && index > 0 && /^edit-param\.move-pair:/.test(pairs[index - 1])) {
+            result["edit-param.move-pair"][0] += "," + pair;
+        } else if(separator != -1) {
+            var name = pair.substring(0, separator);
+            result[name] = result[name] || [];
+            result[name].push(pair.substring(separator + 1).replace(/\\(.)/g, "$1"));
+        }
+    });
+    return result;
+}
+
+/**
+ * Return the function evaluating the specified DAAP query: terms ('field:value', 'field!:value', * as wildcard at
+ * either end of the value, backslash escaping) combined with + (and) and , (or), grouped by parentheses.
+ *
+ * @param text {String} the DAAP query, empty to match everything
+ * @return the function returning <code>true</code> if the values returned by the specified function (the value of
+ *         a field, by name) match the query
+ * @throws SyntaxError if the query is not valid
+ */
+function parseQuery(text) {
+    var position = 0;
+
+    var expect = function(character) {
+        if(text.charAt(position) != character) {
+            throw new SyntaxError("Expected " + character + " at " + position + " in " + text);
+        }
+        position++;
+    };
+
+    var term = function() {
+        expect("'");
+        var field = "";
+        while(position < text.length && text.charAt(position) != ":" && text.charAt(position) != "!") {
+            field += text.charAt(position++);
+        }
+        var negated = text.charAt(position) == "!";
+        if(negated) {
+            position++;
+        }
+        expect(":");
+        var value = "";
+        var prefix = false;
+        var suffix = false;
+        if(text.charAt(position) == "*") {
+            suffix = true;
+            position++;
+        }
+        while(position < text.length && text.charAt(position) != "'") {
+            if(text.charAt(position) == "\\") {
+                position++;
+            } else if(text.charAt(position) == "*" && text.charAt(position + 1) == "'") {
+                prefix = true;
+                position++;
+                continue;
+            }
+            value += text.charAt(position++);
+        }
+        expect("'");
+        value = value.toLowerCase();
+        return function(valueOf) {
+            var actual = valueOf(field);
+            var matched = false;
+            if( typeof (actual) != 'undefined' && actual != null) {
+                actual = String(actual).toLowerCase();
+                if(prefix && suffix) {
+                    matched = actual.indexOf(value) != -1;
+                } else if(prefix) {
+                    matched = actual.indexOf(value) == 0;
+                } else if(suffix) {
+                    matched = actual.length >= value.length && actual.substring(actual.length - value.length) == value;
+                } else {
+                    matched = actual == value;
+                }
+            }
+            return negated ? !matched : matched;
+        };
+    };
+
+    var operand = function() {
+        if(text.charAt(position) != "(") {
+            return term();
+        }
+        position++;
+        var inner = expression();
+        expect(")");
+        return inner;
+    };
+
+    var expression = function() {
+        var result = operand();
+        while(text.charAt(position) == "+" || text.charAt(position) == ",") {
+            var and = text.charAt(position++) == "+";
+            var left = result;
+            var right = operand();
+            result = function(valueOf) {
+                return and ? left(valueOf) && right(valueOf) : left(valueOf) || right(valueOf);
+            };
+        }
+        return result;
+    };
+
+    if(text == "") {
+        return function() {
+            return true;
+        };
+    }
+    var matches = expression();
+    if(position != text.length) {
+        throw new SyntaxError("Unexpected " + text.charAt(position) + " at " + position + " in " + text);
+    }
+    return matches;
+}
+
+/**
+ * Return the index of the entry of the specified ID in the specified list.
+ *
+ * @param list {Array} the entries, each holding an id
+ * @param id the ID
+ * @return the index, -1 if not found
+ */
+function findIndex(list, id) {
+    for(var i = 0; i < list.length; i++) {
+        if(String(list[i].id) == String(id)) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Return a deep copy of the specified library, keeping the artwork data and the dates.
+ *
+ * @param value the library (or a part of it)
+ * @return the copy
+ */
+function copy(value) {
+    if(value instanceof Uint8Array || value instanceof Date || value == null || typeof (value) != 'object') {
+        return value;
+    }
+    var result = Array.isArray(value) ? [] : {};
+    for(var key in value) {
+        if(value.hasOwnProperty(key)) {
+            result[key] = copy(value[key]);
+        }
+    }
+    return result;
+}
+
+/**
+ * Return the MD5 hash of the specified text, as hexadecimal.
+ *
+ * @param text {String} the text
+ * @return the hash
+ */
+function md5(text) {
+    return crypto.createHash("md5").update(text, "utf8").digest("hex");
+}
+
+module.exports = MockDaapServer;
@@ -0,0 +1,305 @@
+/*
+ * A stand-in multicast DNS responder for Node, answering on the loopback interface by unicast; used by the Node test
+ * suite to browse services without a multicast network.
+ */
+'use strict';
+
+var dgram = require('dgram');
+
+/** the DNS record types. */
+var A = 1;
+var PTR = 12;
+var TXT = 16;
+var SRV = 33;
+
+/**
+ * The responder; answers the PTR, SRV, TXT and A queries of the services it announces, the PTR record with the SRV,
+ * TXT and A records in the additional records, the SRV record with the A record, and sends the goodbyes (TTL 0) of
+ * the services leaving to the hosts which queried it.
+ * <p>
+ * Each service is described by the following JSON format:
+ * <ul>
+ * <li>type : "daap" or "dacp"
+ * <li>name : the name of the service
+ * <li>host : the host name of the server - if omitted, "mock.local"
+ * <li>address : the IPv4 address of the server - if omitted, "127.0.0.1"; <code>null</code> for no A record
+ * <li>port : the port of the server
+ * <li>txt : the fields of the TXT record, indexed by name - optional
+ * <li>ttl : the TTL (s) of the records - if omitted, 120
+ * <li>split : <code>true</code> if the SRV, TXT and A records are only sent in answer to their own queries -
+ * optional
+ * </ul>
+ * Example of use:
+ * <pre>
+ * var responder = new MockMdnsResponder([{ type: "daap", name: "Music", port: 3689 }]);
+ * responder.start().then(function() {
+ *     var browser = new DaapClient.ServiceBrowser({ address: "127.0.0.1", port: responder.port });
+ *     ...
+ * });
+ * </pre>
+ *
+ * @constructor
+ * @param aServices {Array} the services announced
+ */
+function MockMdnsResponder(aServices) {
+
+    /** the services announced. */
+    var services = aServices.slice(0);
+
+    /** the UDP socket. */
+    var socket = null;
+
+    /** the hosts which queried the responder: address and port. */
+    var queriers = [];
+
+    /** this responder. */
+    var self = this;
+
+    /** the port of the responder, once started. */
+    this.port = -1;
+
+    /** the questions received so far: name and type. */
+    this.questions = [];
+
+    /**
+     * Start the responder on a free port of the loopback interface.
+     *
+     * @return a Promise resolved once listening
+     */
+    this.start = function() {
+        return new Promise(function(resolve, reject) {
+            socket = dgram.createSocket('udp4');
+            socket.on('error', reject);
+            socket.on('message', handle);
+            socket.bind(0, "127.0.0.1", function() {
+                self.port = socket.address().port;
+                resolve();
+            });
+        });
+    };
+
+    /**
+     * Stop the responder.
+     *
+     * @return a Promise resolved once closed
+     */
+    this.stop = function() {
+        return new Promise(function(resolve) {
+            if(socket == null) {
+                resolve();
+                return;
+            }
+            socket.close(resolve);
+            socket = null;
+        });
+    };
+
+    /**
+     * Announce the specified service to the hosts which queried the responder.
+     *
+     * @param service {Object} the service
+     */
+    this.announce = function(service) {
+        services.push(service);
+        broadcast(response([ptr(service, service.ttl || 120)], records(service)));
+    };
+
+    /**
+     * Send the goodbye of the specified service to the hosts which queried the responder.
+     *
+     * @param service {Object} the service
+     */
+    this.goodbye = function(service) {
+        services.splice(services.indexOf(service), 1);
+        broadcast(response([ptr(service, 0)], []));
+    };
+
+    /**
+     * Answer the specified query.
+     *
+     * @param message {Buffer} the query
+     * @param rinfo {Object} the address and port of the querier
+     */
+    function handle(message, rinfo) {
+        if(!queriers.some(function(querier) {
+            return querier.port == rinfo.port && querier.address == rinfo.address;
+        })) {
+            queriers.push(rinfo);
+        }
+        var count = message.readUInt16BE(4);
+        var offset = 12;
+        var answers = [];
+        var additionals = [];
+        for(var i = 0; i < count; i++) {
+            var labels = [];
+            while(message[offset] != 0) {
+                labels.push(message.toString('utf8', offset + 1, offset + 1 + message[offset]));
+                offset += 1 + message[offset];
+            }
+            var type = message.readUInt16BE(offset + 1);
+            offset += 5;
+            self.questions.push({
+                name: labels.join("."),
+                type: type
+            });
+            services.forEach(function(service) {
+                if(type == PTR && labels.join(".") == serviceType(service).join(".")) {
+                    answers.push(ptr(service, service.ttl || 120));
+                    if(!service.split) {
+                        additionals.push.apply(additionals, records(service));
+                    }
+                } else if((type == SRV || type == TXT) && labels.join(".") == instance(service).join(".")) {
+                    records(service).forEach(function(record) {
+                        if(record.type == type) {
+                            answers.push(record);
+                        } else if(record.type == A && type == SRV && !service.split) {
+                            additionals.push(record);
+                        }
+                    });
+                } else if(type == A) {
+                    records(service).forEach(function(record) {
+                        if(record.type == A && record.name.join(".") == labels.join(".") && !answers.some(function(answer) {
+                            return answer.type == A && answer.name.join(".") == labels.join(".");
+                        })) {
+                            answers.push(record);
+                        }
+                    });
+                }
+            });
+        }
+        if(answers.length > 0) {
+            socket.send(response(answers, additionals), rinfo.port, rinfo.address);
+        }
+    }
+
+    /**
+     * Send the specified response to the hosts which queried the responder.
+     *
+     * @param message {Buffer} the response
+     */
+    function broadcast(message) {
+        queriers.forEach(function(querier) {
+            socket.send(message, querier.port, querier.address);
+        });
+    }
+
+}
+
+/**
+ * Return the labels of the type of the specified service, e.g. ["_daap", "_tcp", "local"].
+ *
+ * @param service {Object} the service
+ * @return the labels
+ */
+function serviceType(service) {
+    return ["_" + service.type, "_tcp", "local"];
+}
+
+/**
+ * Return the labels of the instance name of the specified service, e.g. ["Music", "_daap", "_tcp", "local"].
+ *
+ * @param service {Object} the service
+ * @return the labels
+ */
+function instance(service) {
+    return [service.name].concat(serviceType(service));
+}
+
+/**
+ * Return the PTR record of the specified service.
+ *
+ * @param service {Object} the service
+ * @param ttl {int} the TTL (s)
+ * @return the record: name, type, ttl and data
+ */
+function ptr(service, ttl) {
+    return {
+        name: serviceType(service),
+        type: PTR,
+        ttl: ttl,
+        data: name(instance(service))
+    };
+}
+
+/**
+ * Return the SRV, TXT and A records of the specified service.
+ *
+ * @param service {Object} the service
+ * @return the records
+ */
+function records(service) {
+    var ttl = service.ttl || 120;
+    var host = (service.host || "mock.local").split(".");
+    var port = Buffer.alloc(6);
+    port.writeUInt16BE(service.port, 4);
+    var txt = service.txt || {};
+    var result = [{
+        name: instance(service),
+        type: SRV,
+        ttl: ttl,
+        data: Buffer.concat([port, name(host)])
+    }, {
+        name: instance(service),
+        type: TXT,
+        ttl: ttl,
+        data: Buffer.concat(Object.keys(txt).map(function(key) {
+            var entry = Buffer.from(key + "=" + txt[key], 'utf8');
+            return Buffer.concat([Buffer.from([entry.length]), entry]);
+        }))
+    }];
+    if(service.address !== null) {
+        result.push({
+            name: host,
+            type: A,
+            ttl: ttl,
+            data: Buffer.from((service.address || "127.0.0.1").split(".").map(Number))
+        });
+    }
+    return result;
+}
+
+/**
+ * Return the specified domain name, uncompressed.
+ *
+ * @param labels {Array} the labels of the name
+ * @return the name
+ */
+function name(labels) {
+    return Buffer.concat(labels.map(function(label) {
+        var bytes = Buffer.from(label, 'utf8');
+        return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+    }).concat([Buffer.from([0])]));
+}
+
+/**
+ * Return the response holding the specified records; the name of each additional record repeating the name of the
+ * first answer is compressed into a pointer.
+ *
+ * @param answers {Array} the answers
+ * @param additionals {Array} the additional records
+ * @return the response
+ */
+function response(answers, additionals) {
+    var header = Buffer.alloc(12);
+    header.writeUInt16BE(0x8400, 2);
+    header.writeUInt16BE(answers.length, 6);
+    header.writeUInt16BE(additionals.length, 10);
+    var parts = [header];
+    var first = answers.length > 0 ? answers[0].data : null;
+    answers.concat(additionals).forEach(function(record, index) {
+        var owner = name(record.name);
+        if(index >= answers.length && first != null && record.type != A && owner.equals(first)) {
+            // points to the data of the first answer (the instance name of its PTR record).
+            owner = Buffer.from([0xc0, 12 + name(answers[0].name).length + 10]);
+        }
+        var fields = Buffer.alloc(10);
+        fields.writeUInt16BE(record.type, 0);
+        fields.writeUInt16BE(record.type == PTR ? 1 : 0x8001, 2);
+        fields.writeUInt32BE(record.ttl, 4);
+        fields.writeUInt16BE(record.data.length, 8);
+        parts.push(owner, fields, record.data);
+    });
+    return Buffer.concat(parts);
+}
+
+module.exports = MockMdnsResponder;
@@ -0,0 +1,239 @@
+/*
+ * Runs the service browser against a stand-in multicast DNS responder on the loopback interface: node --test test/node
+ */
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var lib = require('./lib');
+var MockDaapServer = require('./MockDaapServer');
+var MockMdnsResponder = require('./MockMdnsResponder');
+
+var DaapClient = lib.loadClient();
+var DacpClient = lib.loadClient("DacpClient");
+
+var LIBRARY = {
+    name: "Test Library",
+    databases: [{
+        id: 1,
+        name: "Music",
+        items: [{
+            id: 10,
+            title: "Blue in Green"
+        }]
+    }]
+};
+
+/**
+ * Start the specified responder, run the specified test with a browser querying it, then stop both.
+ *
+ * @param responder {MockMdnsResponder} the responder
+ * @param options {Object} the options of the browser, besides its address and port - optional
+ * @param fn {Function} the test, called with the browser; may return a Promise
+ * @return a Promise resolved once the test has run
+ */
+async function withBrowser(responder, options, fn) {
+    await responder.start();
+    var browser = new DaapClient.ServiceBrowser(Object.assign({
+        address: "127.0.0.1",
+        port: responder.port
+    }, options));
+    try {
+        await fn(browser);
+    } finally {
+        browser.stop();
+        await responder.stop();
+    }
+}
+
+/**
+ * Return a Promise resolved with the next events of the specified browser.
+ *
+ * @param browser {ServiceBrowser} the browser
+ * @param count {int} the number of events
+ * @return the Promise of the events: event and service
+ */
+function nextEvents(browser, count) {
+    return new Promise(function(resolve, reject) {
+        var events = [];
+        browser.browse(function(event, service, error) {
+            if(event == "error") {
+                reject(error);
+                return;
+            }
+            events.push({
+                event: event,
+                service: service
+            });
+            if(events.length == count) {
+                resolve(events);
+            }
+        });
+    });
+}
+
+test.describe("ServiceBrowser", function() {
+
+    test.it("discovers a DAAP server a client can be constructed from", async function() {
+        var server = new MockDaapServer(LIBRARY);
+        await server.start();
+        var responder = new MockMdnsResponder([{
+            type: "daap",
+            name: "Test Library",
+            port: server.port,
+            txt: {
+                "txtvers": "1",
+                "Database ID": "5B7A1C12E0A2F3D4",
+                "Machine Name": "Living Room",
+                "Password": "false"
+            }
+        }]);
+        try {
+            await withBrowser(responder, {
+                types: ["daap"],
+                interval: 20
+            }, async function(browser) {
+                var events = [];
+                browser.browse(function(event, service) {
+                    events.push(event);
+                });
+                var service = (await nextEvents(browser, 1))[0].service;
+                assert.strictEqual(service.type, "daap");
+                assert.strictEqual(service.name, "Test Library");
+                assert.strictEqual(service.host, "127.0.0.1");
+                assert.strictEqual(service.hostname, "mock.local");
+                assert.strictEqual(service.port, server.port);
+                assert.strictEqual(service.databaseId, "5B7A1C12E0A2F3D4");
+                assert.strictEqual(service.machineName, "Living Room");
+                assert.strictEqual(service.passwordRequired, false);
+                assert.strictEqual(service.txt["txtvers"], "1");
+                var client = new DaapClient(service);
+                var databases = await client.async.login();
+                assert.strictEqual(databases[0].name, "Music");
+                // the queries repeated do not announce the service again.
+                await new Promise(function(resolve) {
+                    setTimeout(resolve, 100);
+                });
+                assert.ok(responder.questions.length > 2);
+                assert.deepStrictEqual(events, ["up"]);
+                assert.deepStrictEqual(browser.getServices(), [service]);
+            });
+        } finally {
+            await server.stop();
+        }
+    });
+
+    test.it("reports the DACP servers and the services leaving", async function() {
+        var server = new MockDaapServer(LIBRARY, {
+            pairingGuid: "00000000000000A1"
+        });
+        await server.start();
+        var services = [{
+            type: "daap",
+            name: "Music",
+            host: "box.local",
+            address: "192.168.1.20",
+            port: 3689,
+            txt: {
+                "Password": "true"
+            }
+        }, {
+            type: "dacp",
+            name: "iTunes_Ctrl_1A2B3C4D5E6F7A8B",
+            port: server.port,
+            txt: {
+                "DbId": "1A2B3C4D5E6F7A8B"
+            },
+            split: true
+        }];
+        var responder = new MockMdnsResponder(services);
+        try {
+            await withBrowser(responder, undefined, async function(browser) {
+                var events = await nextEvents(browser, 3);
+                var daap = events.filter(function(event) {
+                    return event.service.type == "daap";
+                })[0].service;
+                var dacp = events.filter(function(event) {
+                    return event.service.type == "dacp";
+                })[0].service;
+                // the address of the DACP server is only known once asked for.
+                assert.deepStrictEqual(events.map(function(event) {
+                    return event.event;
+                }), ["up", "up", "update"]);
+                assert.strictEqual(events[2].service, dacp);
+                assert.strictEqual(dacp.host, "127.0.0.1");
+                assert.strictEqual(dacp.hostname, "mock.local");
+                assert.strictEqual(daap.host, "192.168.1.20");
+                assert.strictEqual(daap.hostname, "box.local");
+                assert.strictEqual(daap.passwordRequired, true);
+                assert.strictEqual(daap.machineName, "Music");
+                assert.strictEqual(daap.databaseId, undefined);
+                assert.strictEqual(dacp.databaseId, "1A2B3C4D5E6F7A8B");
+                // resolved by its own SRV, TXT and A queries.
+                assert.deepStrictEqual(responder.questions.map(function(question) {
+                    return question.type;
+                }), [12, 12, 33, 16, 1]);
+                assert.strictEqual(responder.questions[3].name, "iTunes_Ctrl_1A2B3C4D5E6F7A8B._dacp._tcp.local");
+                assert.strictEqual(responder.questions[4].name, "mock.local");
+                await new DacpClient(dacp).async.login("00000000000000A1");
+                // a listener is first notified of the services already up.
+                var leaving = nextEvents(browser, 3);
+                responder.goodbye(services[1]);
+                assert.deepStrictEqual((await leaving)[2], {
+                    event: "down",
+                    service: dacp
+                });
+                assert.deepStrictEqual(browser.getServices(), [daap]);
+            });
+        } finally {
+            await server.stop();
+        }
+    });
+
+    test.it("reports the services announced later, until their TTL expires", async function() {
+        var responder = new MockMdnsResponder([]);
+        await withBrowser(responder, {
+            types: ["daap"]
+        }, async function(browser) {
+            var events = nextEvents(browser, 2);
+            // let the browser query the responder first.
+            await new Promise(function(resolve) {
+                setTimeout(resolve, 50);
+            });
+            responder.announce({
+                type: "daap",
+                name: "Kitchen",
+                address: null,
+                port: 3689,
+                ttl: 1
+            });
+            var up = (await events)[0];
+            assert.strictEqual(up.event, "up");
+            assert.strictEqual(up.service.host, "mock.local");
+            assert.strictEqual(up.service.machineName, "Kitchen");
+            assert.strictEqual(up.service.passwordRequired, false);
+            assert.deepStrictEqual((await events)[1], {
+                event: "down",
+                service: up.service
+            });
+        });
+    });
+
+    test.it("reports a network without multicast", async function() {
+        var browser = new DaapClient.ServiceBrowser({
+            // not an interface of the host.
+            "interface": "10.255.255.1"
+        });
+        var error = await new Promise(function(resolve) {
+            browser.browse(function(event, service, anError) {
+                if(event == "error") {
+                    resolve(anError);
+                }
+            });
+        });
+        assert.ok(error instanceof DaapClient.NetworkError);
+        assert.deepStrictEqual(browser.getServices(), []);
+        browser.stop();
+    });
+
+});
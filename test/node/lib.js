@@ -0,0 +1,96 @@
+/*
+ * Loads the sources of lib/ in Node without building them: DaapClient.js and DacpClient.js are assembled as the build
+ * does (see build/build.xml), replacing each @Token; with the content of lib/Token.js.
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+var LIB = path.join(__dirname, '..', '..', 'lib');
+var BUILD = path.join(__dirname, '..', '..', 'build', 'build.xml');
+
+/**
+ * Return the tokens replaced by the build, in order.
+ *
+ * @return the names of the files of lib/ (without extension) injected into the clients
+ */
+function tokens() {
+    var xml = fs.readFileSync(BUILD, 'utf8');
+    var pattern = /<token key="(\w+)"/g;
+    var result = [];
+    var match;
+    while(( match = pattern.exec(xml)) != null) {
+        result.push(match[1]);
+    }
+    return result;
+}
+
+/**
+ * Return the source of the specified file of lib/.
+ *
+ * @param name {String} the name of the file, without extension
+ * @return the source
+ */
+function source(name) {
+    return fs.readFileSync(path.join(LIB, name + '.js'), 'utf8');
+}
+
+/**
+ * Return the specified client, assembled from lib/ as by the build.
+ *
+ * @param name {String} the name of the client - if omitted, "DaapClient" is assumed
+ * @return the client constructor
+ */
+function loadClient(name) {
+    var src = source(name || 'DaapClient');
+    tokens().forEach(function(token) {
+        src = src.split('@' + token + ';').join(source(token));
+    });
+    var module = {
+        exports: {}
+    };
+    new Function('module', 'exports', 'require', src)(module, module.exports, require);
+    return module.exports;
+}
+
+/**
+ * Return the specified constructors, loaded from their files of lib/ into a common scope.
+ *
+ * @param names {Array} the names of the files, e.g. ["DaapContentCodes", "DaapEncoder"]
+ * @return the constructors, indexed by name
+ */
+function load(names) {
+    var src = names.map(source).join('\n');
+    return new Function('require', src + '\nreturn {' + names.map(function(name) {
+        return name + ': ' + name;
+    }).join(', ') + '};')(require);
+}
+
+/**
+ * Return a Promise resolved once the specified condition holds, checked every 10 ms.
+ *
+ * @param condition {Function} the condition
+ * @param timeout {int} the time (ms) after which the Promise is rejected - if omitted, 2000
+ * @return the Promise
+ */
+function waitFor(condition, timeout) {
+    var deadline = Date.now() + (timeout || 2000);
+    return new Promise(function(resolve, reject) {
+        (function check() {
+            if(condition()) {
+                resolve();
+            } else if(Date.now() > deadline) {
+                reject(new Error("Condition not met in time: " + condition));
+            } else {
+                setTimeout(check, 10);
+            }
+        })();
+    });
+}
+
+module.exports = {
+    loadClient: loadClient,
+    load: load,
+    waitFor: waitFor
+};